@@ -0,0 +1,233 @@
+/* public/service-worker.js */
+/* Offline support for the kiosk.
+   Precaches the app shell, kiosk settings, timeline and tour data, Google Fonts and every event image,
+   serves them when the network is down, and refreshes them in the
+   background once it comes back. Registered from src/utils/offline.js
+   in production builds only. */
+
+const CACHE_NAME = 'psu-timeline-v4';
+
+// kiosk.json's "data" settings can move the data files; these are their defaults
+const DATA_URL = '/data/timeline.json';
+const TOURS_URL = '/data/tours.json';
+const CONFIG_URL = '/data/kiosk.json';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const FONTS_CSS_URL =
+  'https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,400;0,700;0,900;1,400&family=Source+Sans+3:wght@300;400;600;700&family=Bebas+Neue&display=swap';
+
+// Whether the last network attempt failed — lets the page show an indicator
+let isServingFromCache = false;
+
+/* ============================================================
+   Helpers
+   ============================================================ */
+
+/* Tell every open page whether we're currently running from cache. */
+async function reportStatus(fromCache) {
+  if (fromCache === isServingFromCache) return;
+  isServingFromCache = fromCache;
+  const clients = await self.clients.matchAll();
+  clients.forEach(client => client.postMessage({ type: 'cache-status', fromCache }));
+}
+
+/* How to fetch a URL so the cached copy works where the page uses it.
+   Fonts are loaded in CORS mode, and an opaque copy would count as a
+   network error there, so Google Fonts are fetched with CORS. Other
+   cross-origin URLs are <img> sources: those may come back opaque,
+   which is fine, <img> can still display them from the cache. */
+function fetchModeFor(url) {
+  const { origin, hostname } = new URL(url, self.location.origin);
+  if (origin === self.location.origin) return 'same-origin';
+  return FONT_HOSTS.includes(hostname) ? 'cors' : 'no-cors';
+}
+
+/* Fetch a URL and store it. */
+async function cacheUrl(cache, url) {
+  const response = await fetch(url, { mode: fetchModeFor(url), cache: 'no-cache' });
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(url, response);
+  }
+}
+
+/* Cache a list of URLs, skipping (not failing on) the ones that can't be fetched. */
+function cacheAll(cache, urls) {
+  return Promise.all(urls.map(url => cacheUrl(cache, url).catch(() => {})));
+}
+
+/* The hashed JS/CSS files of this build, from CRA's asset manifest. */
+async function getAppShellUrls() {
+  const urls = ['/', '/index.html', '/asset-manifest.json'];
+  try {
+    const manifest = await (await fetch('/asset-manifest.json', { cache: 'no-cache' })).json();
+    Object.values(manifest.files || {})
+      .filter(file => !file.endsWith('.map'))
+      .forEach(file => urls.push(file));
+  } catch (err) {
+    // Dev server: no manifest, the runtime cache picks files up as they load
+  }
+  return urls;
+}
+
+/* The font files referenced by the Google Fonts stylesheet. */
+async function getFontUrls() {
+  const css = await (await fetch(FONTS_CSS_URL, { mode: 'cors' })).text();
+  const fontUrls = [...css.matchAll(/url\((https:[^)]+)\)/g)].map(match => match[1]);
+  return [FONTS_CSS_URL, ...fontUrls];
+}
+
+/* Where kiosk.json keeps the timeline and tour data (the defaults if it can't be read).
+   A single kiosk's address can move them too; the page sends those with
+   a "precache" message once it has loaded them. */
+async function getDataLocations() {
+  const locations = { timeline: DATA_URL, tours: TOURS_URL };
+  try {
+    const config = await (await fetch(CONFIG_URL, { cache: 'no-cache' })).json();
+    const data = (config && config.data) || {};
+    ['timeline', 'tours'].forEach(key => {
+      if (typeof data[key] === 'string' && data[key].trim() !== '') locations[key] = data[key];
+    });
+  } catch (err) {
+    // No or broken kiosk.json: the exhibit uses the defaults too
+  }
+  return locations;
+}
+
+/* The data files plus every image the timeline references. */
+async function getDataUrls() {
+  const { timeline, tours } = await getDataLocations();
+  const dataUrls = [CONFIG_URL, timeline, tours];
+  let events;
+  try {
+    events = await (await fetch(timeline, { cache: 'no-cache' })).json();
+  } catch (err) {
+    return dataUrls;
+  }
+  if (!Array.isArray(events)) return dataUrls;
+
+  // Same rules as src/utils/eventImages.js: "images" list first, then "image"
+  const images = events
+    .flatMap(event => (event && Array.isArray(event.images) ? event.images : [event && event.image]))
+    .map(image => (image && typeof image === 'object' ? image.src : image))
+    .filter(src => typeof src === 'string' && src !== '' && src !== 'image.jpg');
+  return [...dataUrls, ...images];
+}
+
+/* Download everything the exhibit needs. Used at install and on refresh. */
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+  const groups = await Promise.all([
+    getAppShellUrls(),
+    getFontUrls().catch(() => []),
+    getDataUrls().catch(() => [CONFIG_URL, DATA_URL, TOURS_URL]),
+  ]);
+  await cacheAll(cache, groups.flat());
+}
+
+/* ============================================================
+   Lifecycle
+   ============================================================ */
+self.addEventListener('install', event => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/* Messages from the page (see src/utils/offline.js) */
+self.addEventListener('message', event => {
+  const message = event.data || {};
+
+  // Network is back: re-download everything in the background
+  if (message.type === 'refresh') {
+    event.waitUntil(precache());
+  }
+
+  // The page loaded data that may reference images we haven't stored yet
+  if (message.type === 'precache' && Array.isArray(message.urls)) {
+    event.waitUntil(
+      caches.open(CACHE_NAME).then(async cache => {
+        const missing = [];
+        for (const url of message.urls) {
+          if (!(await cache.match(url))) missing.push(url);
+        }
+        return cacheAll(cache, missing);
+      })
+    );
+  }
+});
+
+/* ============================================================
+   Fetch strategies
+   ============================================================ */
+
+/* Pages and data: try the network first so curator edits show up,
+   fall back to the cached copy when offline. */
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl || request, response.clone());
+    reportStatus(false);
+    return response;
+  } catch (err) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (!cached) throw err;
+    reportStatus(true);
+    return cached;
+  }
+}
+
+/* Images, fonts and build files: answer from the cache immediately,
+   refresh the stored copy in the background. */
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(event.request);
+
+  const refresh = fetch(event.request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(event.request, response.clone());
+      reportStatus(false);
+      return response;
+    })
+    .catch(err => {
+      if (cached) reportStatus(true);
+      throw err;
+    });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // SPA navigation: every path is served by index.html (same as vercel.json)
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/index.html'));
+    return;
+  }
+
+  // Data files: /data/ plus wherever kiosk.json moves them (they're always JSON)
+  if (url.origin === self.location.origin &&
+      (url.pathname.startsWith('/data/') || url.pathname.endsWith('.json'))) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (request.destination === 'image' || request.destination === 'font' ||
+      request.destination === 'style' || request.destination === 'script' ||
+      url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
@@ -0,0 +1,415 @@
+// scripts/timeline-csv.mjs
+// Converts the archivists' spreadsheet (saved as CSV) to timeline.json and back.
+//
+//   npm run csv:import -- events.csv              → public/data/timeline.json
+//   npm run csv:import -- events.csv --dry-run    (report only, writes nothing)
+//   npm run csv:export -- events.csv              ← public/data/timeline.json
+//
+// Use --json <file> on either command to read/write a different JSON file.
+// Importing trims every cell, turns years into numbers, matches sport names
+// to the keys in src/utils/sportConfig.js, checks every record with the
+// exhibit's own validator (src/utils/timelineSchema.js), keeps ids stable
+// and prints a row-by-row report of rejected and suspicious rows.
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_JSON = path.join(ROOT, 'public/data/timeline.json');
+const SPORT_CONFIG_FILE = path.join(ROOT, 'src/utils/sportConfig.js');
+const SCHEMA_FILE = path.join(ROOT, 'src/utils/timelineSchema.js');
+
+// Spreadsheet columns, in order. Translations get one column per field and
+// language; "images" holds URLs separated by " | " (or the JSON list when
+// photos have captions), "media" holds the JSON list of clips and
+// "related" the ids of linked events separated by " | ".
+const TRANSLATION_LANGUAGES = ['es', 'zh'];
+const TRANSLATABLE_FIELDS = ['title', 'description'];
+const COLUMNS = [
+  'id', 'year', 'sport', 'title', 'description', 'image', 'images', 'media', 'related',
+  ...TRANSLATION_LANGUAGES.flatMap(lang => TRANSLATABLE_FIELDS.map(field => `${field}_${lang}`)),
+];
+const REQUIRED_COLUMNS = ['year', 'sport', 'title', 'description'];
+
+/* ============================================================
+   CSV reading and writing
+   ============================================================ */
+
+/**
+ * Parses CSV text (RFC 4180: quoted cells may contain commas, quotes
+ * written as "" and line breaks). Handles Excel's byte-order mark.
+ * @returns {string[][]} Rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Drop completely empty lines (spreadsheets often leave some at the end)
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds CSV text. Starts with a byte-order mark so Excel opens
+ * accented and Chinese text as UTF-8.
+ */
+function toCsv(rows) {
+  return `\uFEFF${rows.map(row => row.map(toCsvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/* ============================================================
+   The app's own rules
+   ============================================================ */
+
+/**
+ * Turns one of the app's source files into a data: URL Node can import.
+ * The app's imports leave out the ".js", which Node won't resolve, so the
+ * files it imports are turned into data: URLs too and pointed at.
+ * @param {Map<string, Promise<string>>} urls - Files already converted
+ */
+function toModuleUrl(file, urls) {
+  if (!urls.has(file)) {
+    urls.set(file, (async () => {
+      let source = readFileSync(file, 'utf8');
+      const specifiers = new Set([...source.matchAll(/from '(\.{1,2}\/[^']+)'/g)].map(match => match[1]));
+      for (const specifier of specifiers) {
+        const target = path.resolve(path.dirname(file), specifier.endsWith('.js') ? specifier : `${specifier}.js`);
+        source = source.split(`from '${specifier}'`).join(`from '${await toModuleUrl(target, urls)}'`);
+      }
+      return `data:text/javascript;base64,${Buffer.from(source).toString('base64')}`;
+    })());
+  }
+  return urls.get(file);
+}
+
+/**
+ * Imports one of the app's own source files, so this script always
+ * agrees with what the exhibit knows about.
+ */
+async function importAppModule(file) {
+  return import(await toModuleUrl(file, new Map()));
+}
+
+// "swim & diving", "Swim/Diving " and "SWIM AND DIVING" all compare equal
+function sportKey(name) {
+  return name.toLowerCase().replace(/\band\b/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+/* ============================================================
+   CSV → JSON
+   ============================================================ */
+
+function parseImages(cell) {
+  if (cell.startsWith('[')) return JSON.parse(cell);
+  return cell.split('|').map(src => src.trim()).filter(Boolean);
+}
+
+/**
+ * Turns one spreadsheet row into an event record.
+ * @param   {Object} values      - The row's cells, by column name
+ * @param   {Map}    sportsByKey - Known sport names, by sportKey
+ * @param   {Object} schema      - The exports of src/utils/timelineSchema.js
+ * @returns {{ record: Object|null, problems: string[], warnings: string[] }}
+ *          record is null when the row is rejected
+ */
+function rowToRecord(values, sportsByKey, schema) {
+  const { PLACEHOLDER_IMAGES, MIN_YEAR, MAX_YEAR } = schema;
+  const problems = [];
+  const warnings = [];
+  const record = {};
+
+  REQUIRED_COLUMNS.forEach(column => {
+    if (!values[column]) problems.push(`“${column}” is empty`);
+  });
+
+  if (values.id) {
+    const id = Number(values.id);
+    if (Number.isInteger(id)) record.id = id;
+    else problems.push(`id “${values.id}” is not a whole number`);
+  }
+
+  if (values.year) {
+    const year = Number(values.year);
+    if (!Number.isInteger(year)) problems.push(`year “${values.year}” is not a whole number`);
+    else if (year < MIN_YEAR || year > MAX_YEAR) problems.push(`year ${year} is outside ${MIN_YEAR}–${MAX_YEAR}`);
+    else record.year = year;
+  }
+
+  if (values.sport) {
+    const known = sportsByKey.get(sportKey(values.sport));
+    if (known) {
+      record.sport = known;
+      if (known !== values.sport) warnings.push(`sport “${values.sport}” written as “${known}”`);
+    } else {
+      record.sport = values.sport;
+      warnings.push(`sport “${values.sport}” is not in sportConfig.js (the gold default will be used)`);
+    }
+  }
+
+  record.title = values.title;
+  record.description = values.description;
+
+  if (values.image && PLACEHOLDER_IMAGES.includes(values.image)) {
+    warnings.push(`placeholder image “${values.image}” replaced with no image`);
+    record.image = null;
+  } else {
+    record.image = values.image || null;
+  }
+
+  if (values.images) {
+    try {
+      const images = parseImages(values.images);
+      const placeholders = images.filter(image => PLACEHOLDER_IMAGES.includes(typeof image === 'string' ? image : image && image.src));
+      if (placeholders.length) warnings.push('placeholder images in “images” were left out');
+      const real = images.filter(image => !placeholders.includes(image));
+      if (real.length) record.images = real;
+    } catch (err) {
+      problems.push(`“images” is not a list of URLs or valid JSON (${err.message})`);
+    }
+  }
+
+  if (values.media) {
+    try {
+      const media = JSON.parse(values.media);
+      if (!Array.isArray(media)) throw new Error('expected [ ... ]');
+      record.media = media;
+    } catch (err) {
+      problems.push(`“media” is not valid JSON (${err.message})`);
+    }
+  }
+
+  if (values.related) {
+    const related = values.related.split('|').map(id => id.trim()).filter(Boolean);
+    const bad = related.filter(id => !Number.isInteger(Number(id)));
+    if (bad.length) problems.push(`“related” should be ids separated by | but has “${bad.join('”, “')}”`);
+    else record.related = related.map(Number);
+  }
+
+  const translations = {};
+  TRANSLATION_LANGUAGES.forEach(lang => {
+    TRANSLATABLE_FIELDS.forEach(field => {
+      const text = values[`${field}_${lang}`];
+      if (text) translations[lang] = { ...translations[lang], [field]: text };
+    });
+  });
+  if (Object.keys(translations).length) record.translations = translations;
+
+  // Then the exhibit's own checks, so nothing imported here is skipped on
+  // the kiosk (e.g. a clip whose "type" isn't video or audio). Rows without
+  // an id are checked with a stand-in; their id is given out later.
+  if (problems.length === 0) {
+    const { issues } = schema.validateTimeline([{ id: 0, ...record }]);
+    issues
+      .filter(issue => issue.level === 'error')
+      .forEach(issue => problems.push(issue.message));
+  }
+
+  return { record: problems.length ? null : record, problems, warnings };
+}
+
+// Rows without an id reuse the id of the existing event with the same year and title
+function matchKey(record) {
+  return `${record.year}|${String(record.title).trim().toLowerCase()}`;
+}
+
+function importCsv(csvFile, jsonFile, isDryRun, sportNames, schema) {
+  const rows = parseCsv(readFileSync(csvFile, 'utf8'));
+  if (rows.length === 0) fail(`${csvFile} is empty.`);
+
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length) fail(`${csvFile} is missing the column(s): ${missing.join(', ')}`);
+  header.filter(name => !COLUMNS.includes(name)).forEach(name => {
+    console.log(`Note: column “${name}” is not used.`);
+  });
+
+  const sportsByKey = new Map();
+  sportNames.forEach(name => {
+    if (!sportsByKey.has(sportKey(name))) sportsByKey.set(sportKey(name), name);
+  });
+
+  // Existing ids, so re-importing the sheet doesn't renumber events
+  const existing = existsSync(jsonFile) ? JSON.parse(readFileSync(jsonFile, 'utf8')) : [];
+  const existingIds = new Map(
+    existing.filter(record => record && Number.isInteger(record.id)).map(record => [matchKey(record), record.id])
+  );
+
+  const report = [];
+  const parsed = [];
+  rows.slice(1).forEach((cells, i) => {
+    const rowNumber = i + 2; // spreadsheet row, counting the header as row 1
+    const values = {};
+    header.forEach((name, column) => { values[name] = (cells[column] || '').trim(); });
+
+    const { record, problems, warnings } = rowToRecord(values, sportsByKey, schema);
+    if (!record) {
+      report.push({ rowNumber, level: 'REJECTED', messages: problems });
+      return;
+    }
+    parsed.push({ rowNumber, record, warnings });
+  });
+
+  // Assign ids: keep the sheet's own, then reuse matching ones, then count up.
+  // Every id the sheet states is reserved first (the first row to state it
+  // keeps it), so a row without an id never takes one a later row asks for.
+  const usedIds = new Map();
+  parsed.forEach(({ record, rowNumber }) => {
+    if (record.id !== undefined && !usedIds.has(record.id)) usedIds.set(record.id, rowNumber);
+  });
+  const allIds = [...usedIds.keys(), ...existingIds.values()];
+  let nextId = allIds.length ? Math.max(...allIds) + 1 : 1;
+
+  parsed.forEach(({ record, rowNumber, warnings }) => {
+    if (record.id === undefined) {
+      const reused = existingIds.get(matchKey(record));
+      record.id = reused !== undefined && !usedIds.has(reused) ? reused : nextId++;
+      warnings.push(`had no id, given id ${record.id}${reused === record.id ? ' (same as before)' : ''}`);
+      usedIds.set(record.id, rowNumber);
+    } else if (usedIds.get(record.id) !== rowNumber) {
+      const newId = nextId++;
+      warnings.push(`id ${record.id} is already used by row ${usedIds.get(record.id)}, given id ${newId}`);
+      record.id = newId;
+      usedIds.set(record.id, rowNumber);
+    }
+  });
+
+  parsed.forEach(({ rowNumber, warnings }) => {
+    if (warnings.length) report.push({ rowNumber, level: 'CHECK', messages: warnings });
+  });
+
+  // Keep the file's field order the same as hand-written records
+  const records = parsed.map(({ record }) => ({
+    id: record.id,
+    year: record.year,
+    sport: record.sport,
+    title: record.title,
+    description: record.description,
+    ...record,
+  }));
+
+  printReport(report);
+  const rejected = report.filter(entry => entry.level === 'REJECTED').length;
+  console.log(`\n${records.length} events imported, ${rejected} rows rejected.`);
+
+  if (isDryRun) {
+    console.log('Dry run: nothing was written.');
+  } else {
+    writeFileSync(jsonFile, `${JSON.stringify(records, null, 2)}\n`);
+    console.log(`Wrote ${path.relative(process.cwd(), jsonFile)}`);
+  }
+}
+
+function printReport(report) {
+  report
+    .sort((a, b) => a.rowNumber - b.rowNumber)
+    .forEach(({ rowNumber, level, messages }) => {
+      messages.forEach(message => console.log(`Row ${rowNumber}: ${level.padEnd(8)} ${message}`));
+    });
+}
+
+/* ============================================================
+   JSON → CSV
+   ============================================================ */
+
+function formatImages(images) {
+  if (!Array.isArray(images) || images.length === 0) return '';
+  const isPlainList = images.every(image => typeof image === 'string' || Object.keys(image).length === 1);
+  return isPlainList
+    ? images.map(image => (typeof image === 'string' ? image : image.src)).join(' | ')
+    : JSON.stringify(images);
+}
+
+function exportCsv(jsonFile, csvFile) {
+  const records = JSON.parse(readFileSync(jsonFile, 'utf8'));
+  if (!Array.isArray(records)) fail(`${jsonFile} is not a list of events.`);
+
+  const rows = records.map(record => COLUMNS.map(column => {
+    const [field, lang] = column.split('_');
+    if (lang) return record.translations?.[lang]?.[field] ?? '';
+    if (column === 'images') return formatImages(record.images);
+    if (column === 'media') return record.media ? JSON.stringify(record.media) : '';
+    if (column === 'related') return Array.isArray(record.related) ? record.related.join(' | ') : '';
+    return record[column] ?? '';
+  }));
+
+  writeFileSync(csvFile, toCsv([COLUMNS, ...rows]));
+  console.log(`Wrote ${records.length} events to ${path.relative(process.cwd(), csvFile)}`);
+}
+
+/* ============================================================
+   Command line
+   ============================================================ */
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+const USAGE = `Usage:
+  node scripts/timeline-csv.mjs import <file.csv> [--json <timeline.json>] [--dry-run]
+  node scripts/timeline-csv.mjs export <file.csv> [--json <timeline.json>]`;
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const jsonIndex = args.indexOf('--json');
+  const jsonFile = jsonIndex === -1 ? DEFAULT_JSON : path.resolve(args[jsonIndex + 1] || '');
+  const csvFile = args.slice(1).find((arg, i) => !arg.startsWith('--') && args[i] !== '--json');
+
+  if (!['import', 'export'].includes(command) || !csvFile) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (command === 'import') {
+    if (!existsSync(csvFile)) fail(`${csvFile} not found.`);
+    const { SPORT_CONFIG } = await importAppModule(SPORT_CONFIG_FILE);
+    const schema = await importAppModule(SCHEMA_FILE);
+    importCsv(path.resolve(csvFile), jsonFile, args.includes('--dry-run'), Object.keys(SPORT_CONFIG), schema);
+  } else {
+    if (!existsSync(jsonFile)) fail(`${jsonFile} not found.`);
+    exportCsv(jsonFile, path.resolve(csvFile));
+  }
+}
+
+main().catch(err => fail(err.message));
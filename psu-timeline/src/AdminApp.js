@@ -0,0 +1,394 @@
+// src/AdminApp.js
+// Root of the /admin curator editor (chosen in index.js).
+// Loads timeline.json as-is — including records the exhibit would skip —
+// lets curators add, edit, reorder and delete events, previews each edit
+// with the real EventCard/DetailModal, and exports the finished file.
+// Nothing is saved on the server: the downloaded timeline.json replaces
+// public/data/timeline.json on the next deploy.
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+
+import AdminLogin from './components/AdminLogin';
+import AdminEventList from './components/AdminEventList';
+import AdminEventForm from './components/AdminEventForm';
+import AdminPreview from './components/AdminPreview';
+import IssueList from './components/IssueList';
+
+import { fetchTimelineData } from './utils/loadTimeline';
+import { loadKioskConfig, readConfigOverrides } from './utils/kioskConfig';
+import { validateTimeline } from './utils/timelineSchema';
+import { isAdminUnlocked, setAdminUnlocked } from './utils/adminAuth';
+import {
+  createEvent, moveRecord, getIssuesByRecord, toDraft, cleanRecord,
+  toTimelineJson, downloadTextFile,
+} from './utils/editTimeline';
+
+// Compare records by content, ignoring how optional fields were written
+function isSameRecord(a, b) {
+  return JSON.stringify(cleanRecord(toDraft(a))) === JSON.stringify(b);
+}
+
+export default function AdminApp() {
+  const [isUnlocked, setIsUnlocked] = useState(isAdminUnlocked);
+  const [records, setRecords] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  // Record open in the form: its index, or -1 with isNew for one not yet added
+  const [selectedIndex, setSelectedIndex] = useState(-1);
+  const [isNew, setIsNew] = useState(false);
+  const [draft, setDraft] = useState(null);
+  // Whether the list has changes that haven't been downloaded yet
+  const [hasUnexported, setHasUnexported] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    if (!isUnlocked) return;
+    // Edit the file the exhibit shows: kiosk.json's data.timeline
+    loadKioskConfig(readConfigOverrides(window.location.search))
+      .then(({ config }) => fetchTimelineData(config.data.timeline))
+      .then(data => {
+        validateTimeline(data); // throws if the file isn't a list at all
+        setRecords(data);
+        setIsLoading(false);
+      })
+      .catch(err => {
+        setLoadError(err);
+        setIsLoading(false);
+      });
+  }, [isUnlocked]);
+
+  // Warn before closing the tab with work that hasn't been downloaded
+  useEffect(() => {
+    if (!hasUnexported) return undefined;
+    function handleBeforeUnload(e) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasUnexported]);
+
+  const issuesByRecord = useMemo(() => getIssuesByRecord(records), [records]);
+
+  const cleanDraft = useMemo(() => (draft ? cleanRecord(draft) : null), [draft]);
+
+  // Validate the draft in place, so duplicate ids are caught too
+  const draftIssues = useMemo(() => {
+    if (!cleanDraft) return [];
+    const index = isNew ? records.length : selectedIndex;
+    const list = isNew
+      ? [...records, cleanDraft]
+      : records.map((record, i) => (i === selectedIndex ? cleanDraft : record));
+    return getIssuesByRecord(list)[index];
+  }, [cleanDraft, records, isNew, selectedIndex]);
+
+  const isDirty = Boolean(cleanDraft) && (isNew || !isSameRecord(records[selectedIndex], cleanDraft));
+  const previewEvent = draftIssues.some(issue => issue.level === 'error') ? null : cleanDraft;
+
+  const confirmDiscard = useCallback(() => (
+    !isDirty || window.confirm('Discard the unsaved changes to this event?')
+  ), [isDirty]);
+
+  const handleUnlock = useCallback(() => {
+    setAdminUnlocked(true);
+    setIsUnlocked(true);
+  }, []);
+
+  const handleLock = useCallback(() => {
+    if (hasUnexported && !window.confirm('Your changes have not been downloaded yet. Lock the editor anyway?')) return;
+    setAdminUnlocked(false);
+    window.location.assign('/');
+  }, [hasUnexported]);
+
+  const handleSelect = useCallback((index) => {
+    if (!confirmDiscard()) return;
+    setSelectedIndex(index);
+    setIsNew(false);
+    setDraft(toDraft(records[index]));
+  }, [confirmDiscard, records]);
+
+  // The preview card's ‹ › arrows step through the list, wrapping at the ends
+  const handleStep = useCallback((step) => {
+    if (records.length === 0) return;
+    const from = isNew ? records.length : selectedIndex;
+    handleSelect((from + step + records.length) % records.length);
+  }, [records.length, isNew, selectedIndex, handleSelect]);
+
+  const handlePrev = useCallback(() => handleStep(-1), [handleStep]);
+  const handleNext = useCallback(() => handleStep(1), [handleStep]);
+
+  const handleAdd = useCallback(() => {
+    if (!confirmDiscard()) return;
+    setSelectedIndex(-1);
+    setIsNew(true);
+    setDraft(toDraft(createEvent(records)));
+  }, [confirmDiscard, records]);
+
+  const handleSave = useCallback(() => {
+    const record = cleanRecord(draft);
+    if (isNew) {
+      setRecords(prev => [...prev, record]);
+      setSelectedIndex(records.length);
+      setIsNew(false);
+    } else {
+      setRecords(prev => prev.map((r, i) => (i === selectedIndex ? record : r)));
+    }
+    setDraft(toDraft(record));
+    setHasUnexported(true);
+    setNotice(`Saved “${record.title}”. Download the file to publish it.`);
+  }, [draft, isNew, records.length, selectedIndex]);
+
+  const handleCancel = useCallback(() => {
+    if (isNew) {
+      setIsNew(false);
+      setDraft(null);
+    } else {
+      setDraft(toDraft(records[selectedIndex]));
+    }
+  }, [isNew, records, selectedIndex]);
+
+  const handleMove = useCallback((from, to) => {
+    setRecords(prev => moveRecord(prev, from, to));
+    // Keep the open record selected as it moves
+    setSelectedIndex(prev => (prev === from ? to : prev === to ? from : prev));
+    setHasUnexported(true);
+  }, []);
+
+  const handleDelete = useCallback((index) => {
+    const title = (records[index] && records[index].title) || 'this event';
+    if (!window.confirm(`Delete “${title}”? This can't be undone.`)) return;
+
+    setRecords(prev => prev.filter((record, i) => i !== index));
+    if (index === selectedIndex && !isNew) {
+      setSelectedIndex(-1);
+      setDraft(null);
+    } else if (index < selectedIndex) {
+      setSelectedIndex(selectedIndex - 1);
+    }
+    setHasUnexported(true);
+  }, [records, selectedIndex, isNew]);
+
+  const handleDownload = useCallback(() => {
+    downloadTextFile(toTimelineJson(records), 'timeline.json');
+    setHasUnexported(false);
+    setNotice('Downloaded timeline.json. Replace public/data/timeline.json with it and redeploy.');
+  }, [records]);
+
+  const handleCopy = useCallback(() => {
+    navigator.clipboard.writeText(toTimelineJson(records))
+      .then(() => setNotice('Copied the file contents to the clipboard.'))
+      .catch(() => setNotice('Copying is blocked in this browser — use Download instead.'));
+  }, [records]);
+
+  if (!isUnlocked) {
+    return <AdminLogin onUnlock={handleUnlock} />;
+  }
+
+  if (isLoading) {
+    return <div style={styles.screen}><p style={styles.status}>Loading timeline.json…</p></div>;
+  }
+
+  if (loadError) {
+    return (
+      <div style={styles.screen}>
+        <p style={styles.status}>{loadError.message}</p>
+        <p style={styles.status}>Fix the file by hand first; the editor needs a readable list of events.</p>
+      </div>
+    );
+  }
+
+  const skippedCount = issuesByRecord.filter(issues => issues.some(issue => issue.level === 'error')).length;
+
+  return (
+    <div style={styles.screen}>
+      {/* Top bar */}
+      <header style={styles.topBar}>
+        <div>
+          <p style={styles.eyebrow}>ALL SPORTS MUSEUM</p>
+          <h1 style={styles.title}>Timeline editor</h1>
+        </div>
+
+        <div style={styles.topActions}>
+          {hasUnexported && <span style={styles.unsaved}>● Changes not downloaded yet</span>}
+          <button style={styles.primaryBtn} onClick={handleDownload}>Download timeline.json</button>
+          <button style={styles.secondaryBtn} onClick={handleCopy}>Copy JSON</button>
+          <a style={styles.secondaryBtn} href="/" target="_blank" rel="noreferrer">View exhibit ↗</a>
+          <button style={styles.secondaryBtn} onClick={handleLock}>Lock</button>
+        </div>
+      </header>
+
+      {notice && <p style={styles.notice}>{notice}</p>}
+
+      {skippedCount > 0 && (
+        <details style={styles.issues}>
+          <summary style={styles.issuesSummary}>
+            {skippedCount} event{skippedCount === 1 ? ' is' : 's are'} skipped by the exhibit — open them to fix
+          </summary>
+          <IssueList issues={issuesByRecord.flat()} />
+        </details>
+      )}
+
+      {/* Three columns: list | form | preview */}
+      <div style={styles.columns}>
+        <div style={{ ...styles.column, ...styles.listColumn }}>
+          <AdminEventList
+            records={records}
+            issuesByRecord={issuesByRecord}
+            selectedIndex={isNew ? -1 : selectedIndex}
+            onSelect={handleSelect}
+            onMove={handleMove}
+            onDelete={handleDelete}
+            onAdd={handleAdd}
+          />
+        </div>
+
+        <div style={styles.column}>
+          {draft ? (
+            <AdminEventForm
+              draft={draft}
+              issues={draftIssues}
+              isNew={isNew}
+              isDirty={isDirty}
+              onChange={setDraft}
+              onSave={handleSave}
+              onCancel={handleCancel}
+            />
+          ) : (
+            <p style={styles.placeholder}>Choose an event on the left, or add a new one.</p>
+          )}
+        </div>
+
+        <div style={styles.column}>
+          {draft && <AdminPreview event={previewEvent} onPrev={handlePrev} onNext={handleNext} />}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  screen: {
+    width: '100vw',
+    height: '100vh',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '14px',
+    padding: '20px 28px 0',
+    background: 'linear-gradient(145deg, #001a3d, #000f25)',
+    userSelect: 'text',                  // the kiosk disables selection; curators need it
+  },
+
+  status: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '16px',
+    color: 'rgba(255,255,255,0.7)',
+  },
+
+  topBar: {
+    display: 'flex',
+    alignItems: 'flex-end',
+    justifyContent: 'space-between',
+    gap: '20px',
+  },
+
+  eyebrow: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '11px',
+    fontWeight: 600,
+    letterSpacing: '0.25em',
+    color: 'rgba(192, 151, 79, 0.8)',
+  },
+
+  title: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: '28px',
+    fontWeight: 700,
+    color: '#FFFFFF',
+  },
+
+  topActions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+  },
+
+  unsaved: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '13px',
+    color: '#f0c040',
+  },
+
+  primaryBtn: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    fontWeight: 700,
+    color: '#001E44',
+    background: '#C0974F',
+    border: 'none',
+    borderRadius: '20px',
+    padding: '10px 20px',
+    cursor: 'pointer',
+  },
+
+  secondaryBtn: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    fontWeight: 600,
+    color: 'rgba(255,255,255,0.8)',
+    background: 'rgba(255,255,255,0.06)',
+    border: '1px solid rgba(255,255,255,0.15)',
+    borderRadius: '20px',
+    padding: '9px 18px',
+    textDecoration: 'none',
+    cursor: 'pointer',
+  },
+
+  notice: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    color: '#5baa68',
+  },
+
+  issues: {
+    maxHeight: '30vh',
+    overflowY: 'auto',
+  },
+
+  issuesSummary: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    color: '#e8534e',
+    cursor: 'pointer',
+    marginBottom: '8px',
+  },
+
+  columns: {
+    flex: 1,
+    minHeight: 0,
+    display: 'flex',
+    gap: '24px',
+  },
+
+  column: {
+    flex: 1,
+    minWidth: 0,
+    overflowY: 'auto',
+    paddingBottom: '20px',
+  },
+
+  listColumn: {
+    flex: '0 0 340px',
+    display: 'flex',
+    flexDirection: 'column',
+  },
+
+  placeholder: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '15px',
+    color: 'rgba(255,255,255,0.45)',
+    padding: '40px 0',
+  },
+};
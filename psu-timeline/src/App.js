@@ -1,80 +1,660 @@
 // src/App.js
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 
 import Background from './components/Background';
 import Header from './components/Header';
 import Timeline from './components/Timeline';
 import DetailModal from './components/DetailModal';
+import DataErrorScreen from './components/DataErrorScreen';
+import DataIssuesBadge from './components/DataIssuesBadge';
+import SportFilter from './components/SportFilter';
+import SearchOverlay from './components/SearchOverlay';
+import EventCard from './components/EventCard';
+import OfflineIndicator from './components/OfflineIndicator';
+import NotFoundNotice from './components/NotFoundNotice';
+import VisitOverlay from './components/VisitOverlay';
+import StaffScreen from './components/StaffScreen';
+import AttractScreen from './components/AttractScreen';
+import LiveAnnouncer from './components/LiveAnnouncer';
 
 import { useInactivity } from './hooks/useInactivity';
+import { useAutoplay } from './hooks/useAutoplay';
+import { useKeyboardNav } from './hooks/useKeyboardNav';
+import { useOfflineStatus } from './hooks/useOfflineStatus';
+import { useKioskConfig } from './hooks/useKioskConfig';
+import { loadTimeline, loadTours } from './utils/loadTimeline';
+import { getTargetIndex } from './utils/eventNavigation';
+import { precacheUrls } from './utils/offline';
+import { getEventImages } from './utils/eventImages';
+import { DEFAULT_LANGUAGE, localizeEvent, localizeTour, translate } from './utils/i18n';
+import { parseRoute, buildRoute, findNearestEvent } from './utils/route';
+import { trackEvent } from './utils/analytics';
+import { LARGE_TEXT_CLASS } from './utils/largeText';
 
-const INACTIVITY_TIMEOUT = 14000;
+function noop() {}
 
 export default function App() {
+  // 'kiosk' or 'web', fixed by the URL the page was opened with (?mode=web).
+  // The website has no live tour and never resets itself.
+  const [mode] = useState(() => parseRoute(window.location).mode);
+  const isKiosk = mode === 'kiosk';
+  // Timings, features, branding and data locations from kiosk.json,
+  // re-read while the app runs (see utils/kioskConfig.js)
+  const {
+    config, issues: configIssues, isLoaded: isConfigLoaded, overrides: configOverrides,
+  } = useKioskConfig();
+  const { timing, features } = config;
   const [events, setEvents] = useState([]);
   const [activeEvent, setActiveEvent] = useState(null);
-  const [isLooping, setIsLooping] = useState(true);
+  const [isLooping, setIsLooping] = useState(isKiosk);
   const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [dataIssues, setDataIssues] = useState([]);
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  // Sports the visitor has chosen to show (empty = all). Deliberately NOT
+  // cleared by handleIdle so the filter survives the idle/loop transition.
+  const [selectedSports, setSelectedSports] = useState([]);
+  // The event shown in the EventCard and highlighted on the timeline.
+  // The live tour advances it; interactive mode picks up from wherever it is.
+  const [focusedEventId, setFocusedEventId] = useState(null);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  // Language picked in the Header; handleIdle puts it back to the default
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+  // Timeline layout: 'combined' (one line) or 'lanes' (one lane per sport).
+  // The tall lanes panel covers the EventCard, so handleIdle goes back to one line.
+  const [timelineView, setTimelineView] = useState('combined');
+  // The visitor's LARGE TEXT mode (bigger type, high contrast)
+  const [isLargeText, setIsLargeText] = useState(false);
+  // A clip playing in the DetailModal holds off the idle reset
+  const [isMediaPlaying, setIsMediaPlaying] = useState(false);
+  // Set once the URL has been applied to the loaded events; until then the
+  // URL is left alone so a deep link isn't overwritten while loading
+  const [isRouteApplied, setIsRouteApplied] = useState(false);
+  // The URL named an event or page that doesn't exist
+  const [isNotFound, setIsNotFound] = useState(false);
+  // "My visit": ids the visitor saved for the take-home QR code, in the
+  // order added. handleIdle empties it so the next visitor starts fresh.
+  const [visitIds, setVisitIds] = useState([]);
+  const [isVisitOpen, setIsVisitOpen] = useState(false);
+  // Hidden analytics screen (five taps on the museum name)
+  const [isStaffOpen, setIsStaffOpen] = useState(false);
+  // THEMED TOURS (public/data/tours.json). The live tour rotates through
+  // them; a visitor can also start one from the Header. tourStep says
+  // which tour (by name) and which of its stops is showing.
+  const [allTours, setAllTours] = useState([]);
+  const [tourStep, setTourStep] = useState({ name: null, stopIndex: 0 });
+  // A tour the visitor started: plays like the live tour but holds off the idle reset
+  const [isVisitorTour, setIsVisitorTour] = useState(false);
+  // Second idle stage: full-screen photos instead of the live tour (burn-in protection)
+  const [isAttracting, setIsAttracting] = useState(false);
+  // ANALYTICS: when the current visitor session began (null during the live
+  // tour), and the event open in the DetailModal, if any
+  const sessionStartRef = useRef(null);
+  const openEventIdRef = useRef(null);
+  const isOffline = useOfflineStatus();
 
+  // The data files can move (kiosk.json), so they load once it has been read
+  const { timeline: timelineUrl, tours: toursUrl } = config.data;
   useEffect(() => {
-    fetch('/data/timeline.json')
-      .then(res => res.json())
-      .then(data => {
-        const sorted = [...data].sort((a, b) => a.year - b.year);
-        setEvents(sorted);
+    if (!isConfigLoaded) return undefined;
+    let cancelled = false;
+    setIsLoading(true);
+    setLoadError(null);
+
+    loadTimeline(timelineUrl)
+      .then(async ({ events: loaded, issues }) => {
+        // Tours point at events, so they're checked once the events are in
+        const { tours: loadedTours, issues: tourIssues } = await loadTours(loaded, toursUrl);
+        if (cancelled) return;
+        if (issues.length) console.warn('timeline.json problems:', issues);
+        if (tourIssues.length) console.warn('tours.json problems:', tourIssues);
+        setEvents(loaded);
+        setAllTours(loadedTours);
+        setDataIssues([...issues, ...tourIssues]);
         setIsLoading(false);
+        // Make sure the data files this kiosk uses (they can move, see
+        // kiosk.json) and images of newly added events are available offline too
+        precacheUrls([
+          timelineUrl,
+          toursUrl,
+          ...loaded.flatMap(event => getEventImages(event).map(image => image.src)),
+        ]);
       })
-      .catch(() => setIsLoading(false));
+      .catch(err => {
+        if (cancelled) return;
+        console.error(err);
+        setLoadError(err);
+        setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [loadAttempt, isConfigLoaded, timelineUrl, toursUrl]);
+
+  const handleRetryLoad = useCallback(() => {
+    setLoadAttempt(n => n + 1);
+  }, []);
+
+  // Events with their title/description in the chosen language
+  // (English where a translation is missing)
+  const localizedEvents = useMemo(
+    () => events.map(event => localizeEvent(event, language)),
+    [events, language]
+  );
+
+  const visitEvents = useMemo(
+    () => visitIds.map(id => localizedEvents.find(event => event.id === id)).filter(Boolean),
+    [visitIds, localizedEvents]
+  );
+
+  // A sport filter from a shared link is ignored where kiosk.json turns filtering off
+  const visibleEvents = useMemo(
+    () => (selectedSports.length === 0 || !features.sportFilter
+      ? localizedEvents
+      : localizedEvents.filter(event => selectedSports.includes(event.sport))),
+    [localizedEvents, selectedSports, features.sportFilter]
+  );
+
+  // Tell the browser (and screen readers) which language the page is in
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Inline styles follow LARGE TEXT mode through CSS custom properties (utils/largeText.js)
+  useEffect(() => {
+    document.documentElement.classList.toggle(LARGE_TEXT_CLASS, isLargeText && features.largeText);
+  }, [isLargeText, features.largeText]);
+
+  // Falls back to the first visible event before anything is focused,
+  // or when the sport filter hides the focused one
+  const currentEvent = useMemo(
+    () => visibleEvents.find(event => event.id === focusedEventId) || visibleEvents[0] || null,
+    [visibleEvents, focusedEventId]
+  );
+
+  const tours = useMemo(() => (
+    features.tours ? allTours.map(tour => localizeTour(tour, language)) : []
+  ), [features.tours, allTours, language]);
+
+  // Tours without the stops the sport filter hides (and without tours left empty)
+  const playableTours = useMemo(() => {
+    const shownIds = new Set(visibleEvents.map(event => event.id));
+    return tours
+      .map(tour => ({ ...tour, stops: tour.stops.filter(stop => shownIds.has(stop.eventId)) }))
+      .filter(tour => tour.stops.length > 0);
+  }, [tours, visibleEvents]);
+
+  // Without tours the live tour plays every event in year order
+  const isTourPlaying = (isLooping || isVisitorTour) && playableTours.length > 0;
+  const tourIndex = Math.max(0, playableTours.findIndex(tour => tour.name === tourStep.name));
+  const currentTour = isTourPlaying ? playableTours[tourIndex] : null;
+  const stopIndex = currentTour ? Math.min(tourStep.stopIndex, currentTour.stops.length - 1) : 0;
+  const currentStop = currentTour ? currentTour.stops[stopIndex] : null;
+
+  // Show each stop as the tour reaches it
+  const stopEventId = currentStop ? currentStop.eventId : null;
+  useEffect(() => {
+    if (stopEventId !== null) setFocusedEventId(stopEventId);
+  }, [stopEventId]);
+
+  // Live tour: next stop, then the next tour. A visitor's tour ends after
+  // its last stop and the idle timer takes over from there.
+  const handleTourAdvance = useCallback(() => {
+    if (!currentTour) return;
+    if (stopIndex + 1 < currentTour.stops.length) {
+      setTourStep({ name: currentTour.name, stopIndex: stopIndex + 1 });
+    } else if (isVisitorTour) {
+      setIsVisitorTour(false);
+    } else {
+      setTourStep({ name: playableTours[(tourIndex + 1) % playableTours.length].name, stopIndex: 0 });
+    }
+  }, [currentTour, stopIndex, isVisitorTour, playableTours, tourIndex]);
+
+  // Move the focus (and the open DetailModal, if any) to another event
+  const moveFocus = useCallback((action) => {
+    // The arrows step through a visitor's tour; any other jump leaves it
+    if (isVisitorTour && currentTour) {
+      if (action === 'next' || action === 'prev') {
+        const step = action === 'next' ? 1 : -1;
+        const targetIndex = Math.min(Math.max(stopIndex + step, 0), currentTour.stops.length - 1);
+        const target = currentTour.stops[targetIndex];
+        setTourStep({ name: currentTour.name, stopIndex: targetIndex });
+        setFocusedEventId(target.eventId);
+        setActiveEvent(open => (open ? localizedEvents.find(event => event.id === target.eventId) : open));
+        return;
+      }
+      setIsVisitorTour(false);
+    }
+
+    const index = getTargetIndex(visibleEvents, visibleEvents.indexOf(currentEvent), action);
+    if (index === -1) return;
+
+    const target = visibleEvents[index];
+    setFocusedEventId(target.id);
+    // Keep an open detail view in sync with the focused dot
+    setActiveEvent(open => (open ? target : open));
+  }, [visibleEvents, currentEvent, isVisitorTour, currentTour, stopIndex, localizedEvents]);
+
+  const handleNextEvent = useCallback(() => moveFocus('next'), [moveFocus]);
+  const handlePrevEvent = useCallback(() => moveFocus('prev'), [moveFocus]);
+
+  // LIVE TOUR (and a visitor's tour): auto-advance, but never underneath an open overlay.
+  // A tour stop can set its own dwell time.
+  const isAutoAdvancing = (isLooping || isVisitorTour) &&
+    !activeEvent && !isSearchOpen && !isVisitOpen && !isAttracting;
+  const autoplayInterval = (currentStop && currentStop.dwell) || timing.tourInterval * 1000;
+  const autoplayCycle = useAutoplay(
+    isAutoAdvancing, isTourPlaying ? handleTourAdvance : handleNextEvent, autoplayInterval,
+  );
+
+  const handleToggleSport = useCallback((sport) => {
+    trackEvent('filter', { sport, isOn: !selectedSports.includes(sport) });
+    setIsVisitorTour(false);
+    setSelectedSports(prev => (
+      prev.includes(sport) ? prev.filter(s => s !== sport) : [...prev, sport]
+    ));
+  }, [selectedSports]);
+
+  const handleResetSports = useCallback(() => {
+    trackEvent('filter-reset');
+    setIsVisitorTour(false);
+    setSelectedSports([]);
   }, []);
 
   const handleIdle = useCallback(() => {
+    if (sessionStartRef.current !== null) {
+      trackEvent('session-end', {
+        duration: Date.now() - sessionStartRef.current,
+        wasReading: openEventIdRef.current !== null,
+      });
+      sessionStartRef.current = null;
+    }
     setActiveEvent(null);
+    setIsSearchOpen(false);
+    setLanguage(DEFAULT_LANGUAGE);
+    setTimelineView('combined');
+    setIsLargeText(false);
+    setVisitIds([]);
+    setIsVisitOpen(false);
+    setIsStaffOpen(false);
+    setIsVisitorTour(false);
     setIsLooping(true);
   }, []);
 
+  // Called on every touch; only the first one after the tour starts a session
   const handleActive = useCallback(() => {
+    if (sessionStartRef.current === null) {
+      sessionStartRef.current = Date.now();
+      trackEvent('session-start');
+    }
     setIsLooping(false);
   }, []);
 
-  useInactivity(handleIdle, handleActive, INACTIVITY_TIMEOUT);
+  // A visitor's tour holds off the reset while it plays (not while it waits under an overlay)
+  const isTourHoldingIdle = isVisitorTour && isAutoAdvancing;
+  const isIdleHeld = isMediaPlaying || isTourHoldingIdle || !isKiosk;
+  useInactivity(handleIdle, handleActive, timing.inactivityTimeout * 1000, isIdleHeld);
+
+  // ATTRACT SCREEN: counts from the same last touch. It closes on its own
+  // tap (see AttractScreen), so that tap doesn't also land on the timeline.
+  const handleAttract = useCallback(() => {
+    setIsAttracting(true);
+  }, []);
+
+  const handleDismissAttract = useCallback(() => {
+    setIsAttracting(false);
+  }, []);
+
+  useInactivity(handleAttract, noop, timing.attractTimeout * 1000, isIdleHeld || timing.attractTimeout === 0);
 
   const handleSelectEvent = useCallback((event) => {
     setIsLooping(false);
+    setFocusedEventId(event.id);
     setActiveEvent(event);
   }, []);
 
+  const handleDotTap = useCallback((event) => {
+    trackEvent('dot-tap', { eventId: event.id });
+    handleSelectEvent(event);
+  }, [handleSelectEvent]);
+
+  // ANALYTICS: one open/close pair per event shown in the DetailModal, with
+  // the time spent on it (moving to another event closes the previous one)
+  const activeEventId = activeEvent ? activeEvent.id : null;
+  useEffect(() => {
+    if (activeEventId === null) return undefined;
+    const openedAt = Date.now();
+    openEventIdRef.current = activeEventId;
+    trackEvent('modal-open', { eventId: activeEventId });
+    return () => {
+      openEventIdRef.current = null;
+      trackEvent('modal-close', { eventId: activeEventId, dwell: Date.now() - openedAt });
+    };
+  }, [activeEventId]);
+
   const handleModalClose = useCallback(() => {
+    // Opening the event added a history entry: going back closes it (see popstate below)
+    if (window.history.state?.isEventEntry) window.history.back();
+    else setActiveEvent(null);
+  }, []);
+
+  // KEYBOARD / PRESENTER REMOTE: arrows, Page Up/Down, Home/End, Enter
+  const handleKeyAction = useCallback((action) => {
+    setIsLooping(false);
+    if (action === 'open') {
+      if (currentEvent) handleSelectEvent(currentEvent);
+      return;
+    }
+    moveFocus(action);
+  }, [currentEvent, handleSelectEvent, moveFocus]);
+
+  useKeyboardNav(!isSearchOpen && !isVisitOpen && !isStaffOpen, handleKeyAction);
+
+  const handleOpenSearch = useCallback(() => {
+    setIsSearchOpen(true);
+  }, []);
+
+  const handleCloseSearch = useCallback(() => {
+    setIsSearchOpen(false);
+  }, []);
+
+  // Open an event chosen outside the timeline (search result, related moment)
+  // and move the timeline focus to it
+  const handleShowEvent = useCallback((event) => {
+    // Drop the sport filter if it would hide the chosen dot
+    setSelectedSports(prev => (
+      prev.length === 0 || prev.includes(event.sport) ? prev : []
+    ));
+    setIsLooping(false);
+    setFocusedEventId(event.id);
+    setActiveEvent(event);
+  }, []);
+
+  const handleSearchResult = useCallback((event) => {
+    setIsSearchOpen(false);
+    handleShowEvent(event);
+  }, [handleShowEvent]);
+
+  const handleToggleVisit = useCallback((eventId) => {
+    setVisitIds(prev => (
+      prev.includes(eventId) ? prev.filter(id => id !== eventId) : [...prev, eventId]
+    ));
+  }, []);
+
+  // Start a tour picked in the Header from its first stop
+  const handleStartTour = useCallback((name) => {
+    const tour = tours.find(candidate => candidate.name === name);
+    if (!tour) return;
+    setSelectedSports([]);             // so every stop is on the timeline
+    setActiveEvent(null);
+    setIsLooping(false);
+    setTourStep({ name, stopIndex: 0 });
+    setFocusedEventId(tour.stops[0].eventId);
+    setIsVisitorTour(true);
+  }, [tours]);
+
+  const handleEndTour = useCallback(() => {
+    setIsVisitorTour(false);
+  }, []);
+
+  const handleOpenVisit = useCallback(() => {
+    setIsVisitOpen(true);
+  }, []);
+
+  const handleCloseVisit = useCallback(() => {
+    setIsVisitOpen(false);
+  }, []);
+
+  const handleVisitResult = useCallback((event) => {
+    setIsVisitOpen(false);
+    handleShowEvent(event);
+  }, [handleShowEvent]);
+
+  // URL ROUTING: /event/12, /year/1925, ?sport=…, ?mode=web (see utils/route.js)
+  const applyRoute = useCallback((route) => {
+    const knownSports = new Set(events.map(event => event.sport));
+    const sports = route.sports.filter(sport => knownSports.has(sport));
+    setSelectedSports(sports);
+
+    const event = route.eventId !== null && events.find(e => e.id === route.eventId);
+    const savedIds = (route.visitIds || []).filter(id => events.some(e => e.id === id));
+    if (route.isUnknown || (route.eventId !== null && !event) || (route.visitIds && !savedIds.length)) {
+      setActiveEvent(null);
+      setIsVisitOpen(false);
+      setIsNotFound(true);
+      return;
+    }
+
+    setIsVisitOpen(Boolean(route.visitIds));
+    if (route.visitIds) {
+      setVisitIds(savedIds);
+      setActiveEvent(null);
+      return;
+    }
+    if (event) {
+      handleShowEvent(localizeEvent(event, language));
+      return;
+    }
+
     setActiveEvent(null);
+    if (route.year !== null) {
+      const shown = sports.length ? events.filter(e => sports.includes(e.sport)) : events;
+      const nearest = findNearestEvent(shown, route.year);
+      if (nearest) setFocusedEventId(nearest.id);
+    }
+  }, [events, language, handleShowEvent]);
+
+  // Apply the URL the page was opened with once the events are in
+  useEffect(() => {
+    if (isLoading || loadError || isRouteApplied) return;
+    applyRoute(parseRoute(window.location));
+    setIsRouteApplied(true);
+  }, [isLoading, loadError, isRouteApplied, applyRoute]);
+
+  // Browser back/forward
+  useEffect(() => {
+    if (!isRouteApplied) return undefined;
+    const handlePopState = () => {
+      setIsNotFound(false);
+      applyRoute(parseRoute(window.location));
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [isRouteApplied, applyRoute]);
+
+  // Keep the URL in step with what's on screen
+  const routeUrl = buildRoute({
+    eventId: activeEvent?.id,
+    visitIds: isVisitOpen ? visitIds : null,
+    year: focusedEventId !== null ? currentEvent?.year : null,
+    sports: selectedSports,
+    mode,
+    overrides: configOverrides,
+  });
+
+  useEffect(() => {
+    if (!isRouteApplied || isNotFound) return;
+    if (routeUrl === window.location.pathname + window.location.search) return;
+
+    // Opening an event adds a history entry, so Back closes it again;
+    // everything else (tour steps, filters, moving between events) replaces it
+    if (activeEvent && parseRoute(window.location).eventId === null) {
+      window.history.pushState({ isEventEntry: true }, '', routeUrl);
+    } else {
+      window.history.replaceState(activeEvent ? window.history.state : null, '', routeUrl);
+    }
+  }, [routeUrl, activeEvent, isRouteApplied, isNotFound]);
+
+  const handleDismissNotFound = useCallback(() => {
+    setIsNotFound(false);
+  }, []);
+
+  const handleOpenStaff = useCallback(() => {
+    setIsStaffOpen(true);
+  }, []);
+
+  const handleCloseStaff = useCallback(() => {
+    setIsStaffOpen(false);
   }, []);
 
-  if (isLoading) {
+  const handleToggleLargeText = useCallback(() => {
+    setIsLargeText(isOn => !isOn);
+  }, []);
+
+  // Narration belongs to the stop, not to an event the visitor tapped meanwhile
+  const isAtTourStop = Boolean(currentStop && currentStop.eventId === currentEvent?.id);
+
+  // What screen readers hear each time the card moves on (LiveAnnouncer)
+  const announcement = currentEvent ? [
+    isAtTourStop && translate(language, 'tourStopOf', {
+      tour: currentTour.title,
+      current: stopIndex + 1,
+      total: currentTour.stops.length,
+    }),
+    translate(language, 'nowShowing', { year: currentEvent.year, title: currentEvent.title }),
+  ].filter(Boolean).join(' ') : '';
+
+  if (isLoading || !isConfigLoaded) {
     return (
       <div style={loadingStyles.screen}>
         <Background />
         <div style={loadingStyles.content}>
-          <h1 style={loadingStyles.title}>All Sports Museum</h1>
+          <h1 style={loadingStyles.title}>{config.branding.title}</h1>
           <div style={loadingStyles.spinner} />
         </div>
       </div>
     );
   }
 
+  if (loadError) {
+    return <DataErrorScreen error={loadError} onRetry={handleRetryLoad} />;
+  }
+
   return (
     <div style={styles.shell}>
       <Background />
-      <Header isLooping={isLooping} />
+      <Header
+        isLooping={isLooping}
+        language={language}
+        onChangeLanguage={setLanguage}
+        onOpenSearch={handleOpenSearch}
+        visitCount={visitIds.length}
+        onOpenVisit={handleOpenVisit}
+        onOpenStaff={handleOpenStaff}
+        branding={config.branding}
+        features={features}
+        isLargeText={isLargeText}
+        onToggleLargeText={handleToggleLargeText}
+        tours={tours}
+        tourProgress={currentTour && {
+          name: currentTour.title,
+          stop: stopIndex + 1,
+          stopCount: currentTour.stops.length,
+        }}
+        onStartTour={handleStartTour}
+        onEndTour={handleEndTour}
+      />
 
-      {/* CENTERPIECE TIMELINE */}
-      <Timeline
-        events={events}
-        onSelectEvent={handleSelectEvent}
+      {/* CURRENT EVENT (advanced by the live tour) */}
+      <EventCard
+        event={currentEvent}
+        language={language}
         isLooping={isLooping}
+        isAdvancing={isLooping || isVisitorTour}
+        autoplayInterval={autoplayInterval}
+        autoplayCycle={autoplayCycle}
+        narration={isAtTourStop ? currentStop.narration : null}
+        onOpen={handleSelectEvent}
+        onPrev={handlePrevEvent}
+        onNext={handleNextEvent}
       />
+      <LiveAnnouncer message={announcement} />
+
+      {/* TIMELINE */}
+      <Timeline
+        events={visibleEvents}
+        view={features.sportLanes ? timelineView : 'combined'}
+        language={language}
+        onSelectEvent={handleDotTap}
+        onChangeView={features.sportLanes ? setTimelineView : null}
+        focusedEventId={currentEvent?.id}
+        maxZoom={config.timeline.maxZoom}
+        wheelZoomSpeed={config.timeline.wheelZoomSpeed}
+      />
+
+      {/* SPORT FILTER */}
+      {features.sportFilter && (
+        <SportFilter
+          events={events}
+          selectedSports={selectedSports}
+          language={language}
+          onToggleSport={handleToggleSport}
+          onReset={handleResetSports}
+        />
+      )}
+
+      {/* CURATOR NOTICE: records skipped by validation */}
+      <DataIssuesBadge issues={[...configIssues, ...dataIssues]} />
+
+      {/* NETWORK: shown while running from the offline cache */}
+      <OfflineIndicator isOffline={isOffline} language={language} />
+
+      {/* SEARCH */}
+      {isSearchOpen && (
+        <SearchOverlay
+          events={events}
+          language={language}
+          onSelectResult={handleSearchResult}
+          onClose={handleCloseSearch}
+        />
+      )}
 
       {/* MODAL */}
       {activeEvent && (
-        <DetailModal event={activeEvent} onClose={handleModalClose} />
+        <DetailModal
+          event={activeEvent}
+          events={localizedEvents}
+          language={language}
+          isLooping={isLooping}
+          onClose={handleModalClose}
+          onSelectEvent={handleShowEvent}
+          onMediaPlayingChange={setIsMediaPlaying}
+          // Take-home QR codes only make sense on the kiosk
+          visitIds={isKiosk && features.myVisit ? visitIds : null}
+          onToggleVisit={handleToggleVisit}
+        />
+      )}
+
+      {/* MY VISIT */}
+      {isVisitOpen && (
+        <VisitOverlay
+          events={visitEvents}
+          language={language}
+          showQrCode={isKiosk}
+          onSelectEvent={handleVisitResult}
+          onRemove={handleToggleVisit}
+          onClose={handleCloseVisit}
+        />
+      )}
+
+      {/* DEEP LINK to an event or page that doesn't exist */}
+      {isNotFound && (
+        <NotFoundNotice language={language} onDismiss={handleDismissNotFound} />
+      )}
+
+      {/* ATTRACT: second idle stage */}
+      {isAttracting && (
+        <AttractScreen
+          events={events}
+          interval={timing.attractInterval * 1000}
+          title={config.branding.title}
+          onDismiss={handleDismissAttract}
+        />
+      )}
+
+      {/* STAFF: on-device analytics summary and export */}
+      {isStaffOpen && (
+        <StaffScreen events={events} onClose={handleCloseStaff} />
       )}
     </div>
   );
@@ -86,6 +666,9 @@ const styles = {
     height: '100vh',
     position: 'relative',
     overflow: 'hidden',
+    display: 'flex',
+    flexDirection: 'column',
+    paddingBottom: '410px',            // room for the docked timeline, minimap + filter chips
   },
 };
 
@@ -0,0 +1,398 @@
+// src/components/AdminEventForm.js
+// The curator editor's form for one event. Every field of the timeline.json
+// record has a plain control — no JSON typing needed — and problems found by
+// the exhibit's own validator are shown next to the field they belong to.
+
+import React from 'react';
+import { SPORT_CONFIG } from '../utils/sportConfig';
+import { MEDIA_TYPES } from '../utils/eventMedia';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../utils/i18n';
+
+const SPORTS = Object.keys(SPORT_CONFIG);
+const OTHER_LANGUAGES = LANGUAGES.filter(({ code }) => code !== DEFAULT_LANGUAGE);
+
+// Fields that have their own control; problems with any other field are listed at the top
+const FORM_FIELDS = ['id', 'year', 'sport', 'title', 'description', 'image', 'images', 'media', 'translations'];
+
+/**
+ * One labelled control plus any problems reported for its field.
+ */
+function Field({ label, hint, issues = [], children }) {
+  return (
+    <label style={styles.field}>
+      <span style={styles.label}>{label}</span>
+      {children}
+      {hint && <span style={styles.hint}>{hint}</span>}
+      {issues.map((issue, i) => (
+        <span key={i} style={issue.level === 'error' ? styles.error : styles.warning}>
+          {issue.message}
+        </span>
+      ))}
+    </label>
+  );
+}
+
+/**
+ * AdminEventForm
+ * @param {Object}   draft    - The record being edited (shape from toDraft)
+ * @param {Object[]} issues   - Validation issues for the draft
+ * @param {boolean}  isNew    - Whether this is a record that isn't in the list yet
+ * @param {boolean}  isDirty  - Whether the draft differs from the saved record
+ * @param {Function} onChange - Called with the updated draft on every edit
+ * @param {Function} onSave   - Called when "Save event" is tapped
+ * @param {Function} onCancel - Called when "Discard changes" is tapped
+ */
+export default function AdminEventForm({ draft, issues, isNew, isDirty, onChange, onSave, onCancel }) {
+  const issuesFor = (field) => issues.filter(issue => issue.field === field);
+  const otherIssues = issues.filter(issue => !FORM_FIELDS.includes(issue.field));
+  const hasErrors = issues.some(issue => issue.level === 'error');
+
+  const setField = (field, value) => onChange({ ...draft, [field]: value });
+
+  // Number inputs: an empty box means the field is missing
+  const setNumber = (field, text) => setField(field, text === '' ? undefined : Number(text));
+
+  const setListItem = (field, index, changes) => {
+    const list = draft[field].map((item, i) => (i === index ? { ...item, ...changes } : item));
+    setField(field, list);
+  };
+  const addListItem = (field, item) => setField(field, [...draft[field], item]);
+  const removeListItem = (field, index) => setField(field, draft[field].filter((item, i) => i !== index));
+
+  const setTranslation = (language, field, value) => {
+    const translations = draft.translations || {};
+    setField('translations', { ...translations, [language]: { ...translations[language], [field]: value } });
+  };
+
+  // Keep a sport that isn't in sportConfig.js selectable so it isn't silently changed
+  const sportOptions = draft.sport && !SPORTS.includes(draft.sport) ? [draft.sport, ...SPORTS] : SPORTS;
+
+  return (
+    <form style={styles.form} onSubmit={(e) => { e.preventDefault(); onSave(); }}>
+      {otherIssues.map((issue, i) => (
+        <span key={i} style={issue.level === 'error' ? styles.error : styles.warning}>{issue.message}</span>
+      ))}
+
+      <section style={styles.section}>
+        <h3 style={styles.sectionTitle}>Event</h3>
+        <div style={styles.row}>
+          <Field label="Year" issues={issuesFor('year')}>
+            <input
+              type="number"
+              style={styles.input}
+              value={draft.year ?? ''}
+              onChange={(e) => setNumber('year', e.target.value)}
+            />
+          </Field>
+          <Field label="Sport" issues={issuesFor('sport')}>
+            <select style={styles.input} value={draft.sport || ''} onChange={(e) => setField('sport', e.target.value)}>
+              <option value="" disabled>Choose a sport…</option>
+              {sportOptions.map(sport => <option key={sport} value={sport}>{sport}</option>)}
+            </select>
+          </Field>
+          <Field label="ID" hint="Unique number" issues={issuesFor('id')}>
+            <input
+              type="number"
+              style={styles.input}
+              value={draft.id ?? ''}
+              onChange={(e) => setNumber('id', e.target.value)}
+            />
+          </Field>
+        </div>
+
+        <Field label="Title" issues={issuesFor('title')}>
+          <input style={styles.input} value={draft.title || ''} onChange={(e) => setField('title', e.target.value)} />
+        </Field>
+
+        <Field label="Description" hint="1–3 sentences" issues={issuesFor('description')}>
+          <textarea
+            style={{ ...styles.input, ...styles.textarea }}
+            value={draft.description || ''}
+            onChange={(e) => setField('description', e.target.value)}
+          />
+        </Field>
+      </section>
+
+      <section style={styles.section}>
+        <h3 style={styles.sectionTitle}>Photos</h3>
+        <p style={styles.hint}>The first photo appears on the event card. Leave the list empty for no photo.</p>
+        {[...issuesFor('image'), ...issuesFor('images')].map((issue, i) => (
+          <span key={i} style={styles.error}>{issue.message}</span>
+        ))}
+        {draft.images.map((image, index) => (
+          <div key={index} style={styles.listItem}>
+            <input
+              style={styles.input}
+              placeholder="Photo URL"
+              value={image.src || ''}
+              onChange={(e) => setListItem('images', index, { src: e.target.value })}
+            />
+            <input
+              style={styles.input}
+              placeholder="Caption (optional)"
+              value={image.caption || ''}
+              onChange={(e) => setListItem('images', index, { caption: e.target.value })}
+            />
+            <input
+              style={styles.input}
+              placeholder="Description for screen readers (optional)"
+              value={image.alt || ''}
+              onChange={(e) => setListItem('images', index, { alt: e.target.value })}
+            />
+            <button type="button" style={styles.removeBtn} onClick={() => removeListItem('images', index)}>
+              Remove photo
+            </button>
+          </div>
+        ))}
+        <button type="button" style={styles.addBtn} onClick={() => addListItem('images', { src: '' })}>
+          + Add photo
+        </button>
+      </section>
+
+      <section style={styles.section}>
+        <h3 style={styles.sectionTitle}>Video &amp; audio</h3>
+        {issuesFor('media').map((issue, i) => <span key={i} style={styles.error}>{issue.message}</span>)}
+        {draft.media.map((clip, index) => (
+          <div key={index} style={styles.listItem}>
+            <div style={styles.row}>
+              <select
+                style={styles.input}
+                value={clip.type || ''}
+                onChange={(e) => setListItem('media', index, { type: e.target.value })}
+              >
+                {MEDIA_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+              <input
+                style={{ ...styles.input, flex: 3 }}
+                placeholder="Video or audio file URL"
+                value={clip.src || ''}
+                onChange={(e) => setListItem('media', index, { src: e.target.value })}
+              />
+            </div>
+            <input
+              style={styles.input}
+              placeholder="Title (optional)"
+              value={clip.title || ''}
+              onChange={(e) => setListItem('media', index, { title: e.target.value })}
+            />
+            <input
+              style={styles.input}
+              placeholder="Poster image URL (optional)"
+              value={clip.poster || ''}
+              onChange={(e) => setListItem('media', index, { poster: e.target.value })}
+            />
+            <input
+              style={styles.input}
+              placeholder="Captions .vtt file URL (optional)"
+              value={clip.captions || ''}
+              onChange={(e) => setListItem('media', index, { captions: e.target.value })}
+            />
+            <textarea
+              style={{ ...styles.input, ...styles.textarea }}
+              placeholder="Transcript (optional)"
+              value={clip.transcript || ''}
+              onChange={(e) => setListItem('media', index, { transcript: e.target.value })}
+            />
+            <button type="button" style={styles.removeBtn} onClick={() => removeListItem('media', index)}>
+              Remove clip
+            </button>
+          </div>
+        ))}
+        <button type="button" style={styles.addBtn} onClick={() => addListItem('media', { type: 'video', src: '' })}>
+          + Add clip
+        </button>
+      </section>
+
+      <section style={styles.section}>
+        <h3 style={styles.sectionTitle}>Translations</h3>
+        <p style={styles.hint}>Leave blank to show the English text.</p>
+        {issuesFor('translations').map((issue, i) => <span key={i} style={styles.error}>{issue.message}</span>)}
+        {OTHER_LANGUAGES.map(({ code, label }) => {
+          const translation = (draft.translations && draft.translations[code]) || {};
+          return (
+            <div key={code} style={styles.listItem} lang={code}>
+              <span style={styles.label}>{label}</span>
+              <input
+                style={styles.input}
+                placeholder="Title"
+                value={translation.title || ''}
+                onChange={(e) => setTranslation(code, 'title', e.target.value)}
+              />
+              <textarea
+                style={{ ...styles.input, ...styles.textarea }}
+                placeholder="Description"
+                value={translation.description || ''}
+                onChange={(e) => setTranslation(code, 'description', e.target.value)}
+              />
+            </div>
+          );
+        })}
+      </section>
+
+      {/* Save bar */}
+      <div style={styles.saveBar}>
+        {hasErrors && <span style={styles.error}>Fix the problems marked in red to save.</span>}
+        <button type="button" style={styles.cancelBtn} onClick={onCancel}>
+          {isNew ? 'Cancel' : 'Discard changes'}
+        </button>
+        <button type="submit" style={styles.saveBtn} disabled={hasErrors || !isDirty}>
+          {isNew ? 'Add event' : 'Save event'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '20px',
+  },
+
+  section: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+    padding: '18px 20px',
+    background: 'rgba(255,255,255,0.03)',
+    border: '1px solid rgba(255,255,255,0.08)',
+    borderRadius: '12px',
+  },
+
+  sectionTitle: {
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: '20px',
+    letterSpacing: '0.05em',
+    color: '#C0974F',
+  },
+
+  row: {
+    display: 'flex',
+    gap: '12px',
+  },
+
+  field: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+  },
+
+  label: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '12px',
+    fontWeight: 700,
+    letterSpacing: '0.1em',
+    textTransform: 'uppercase',
+    color: 'rgba(255,255,255,0.55)',
+  },
+
+  input: {
+    flex: 1,
+    minWidth: 0,
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '15px',
+    color: '#FFFFFF',
+    background: 'rgba(0,0,0,0.25)',
+    border: '1px solid rgba(255,255,255,0.15)',
+    borderRadius: '6px',
+    padding: '8px 10px',
+    userSelect: 'text',
+  },
+
+  textarea: {
+    minHeight: '90px',
+    resize: 'vertical',
+    lineHeight: 1.5,
+  },
+
+  hint: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '12px',
+    color: 'rgba(255,255,255,0.4)',
+  },
+
+  error: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '13px',
+    color: '#e8534e',
+  },
+
+  warning: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '13px',
+    color: '#f0c040',
+  },
+
+  listItem: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    padding: '12px',
+    background: 'rgba(255,255,255,0.03)',
+    borderRadius: '8px',
+  },
+
+  addBtn: {
+    alignSelf: 'flex-start',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '13px',
+    fontWeight: 600,
+    color: '#C0974F',
+    background: 'transparent',
+    border: '1px dashed rgba(192, 151, 79, 0.5)',
+    borderRadius: '16px',
+    padding: '6px 14px',
+    cursor: 'pointer',
+  },
+
+  removeBtn: {
+    alignSelf: 'flex-end',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '12px',
+    color: '#e8534e',
+    background: 'transparent',
+    border: 'none',
+    cursor: 'pointer',
+  },
+
+  saveBar: {
+    position: 'sticky',
+    bottom: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    gap: '12px',
+    padding: '14px 0',
+    background: 'linear-gradient(to top, #000f25 70%, transparent)',
+  },
+
+  cancelBtn: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    fontWeight: 600,
+    color: 'rgba(255,255,255,0.7)',
+    background: 'rgba(255,255,255,0.06)',
+    border: '1px solid rgba(255,255,255,0.15)',
+    borderRadius: '20px',
+    padding: '10px 20px',
+    cursor: 'pointer',
+  },
+
+  saveBtn: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    fontWeight: 700,
+    letterSpacing: '0.1em',
+    color: '#001E44',
+    background: '#C0974F',
+    border: 'none',
+    borderRadius: '20px',
+    padding: '10px 24px',
+    cursor: 'pointer',
+  },
+};
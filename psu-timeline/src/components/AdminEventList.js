@@ -0,0 +1,219 @@
+// src/components/AdminEventList.js
+// Left-hand list in the curator editor: every record in timeline.json,
+// in file order, with buttons to reorder or delete it. Records the
+// exhibit would skip are flagged so curators can find and fix them.
+
+import React from 'react';
+import { getSportConfig } from '../utils/sportConfig';
+
+/**
+ * AdminEventList
+ * @param {Object[]}   records        - All records, valid or not, in file order
+ * @param {Object[][]} issuesByRecord - Validation issues per record (from getIssuesByRecord)
+ * @param {number}     selectedIndex  - Index of the record open in the form (-1 for none)
+ * @param {Function}   onSelect       - Called with an index when a record is tapped
+ * @param {Function}   onMove         - Called with (from, to) to reorder a record
+ * @param {Function}   onDelete       - Called with an index to delete a record
+ * @param {Function}   onAdd          - Called when "New event" is tapped
+ */
+export default function AdminEventList({ records, issuesByRecord, selectedIndex, onSelect, onMove, onDelete, onAdd }) {
+  return (
+    <div style={styles.root}>
+      <div style={styles.headerRow}>
+        <h2 style={styles.heading}>{records.length} events</h2>
+        <button style={styles.addBtn} onClick={onAdd}>+ New event</button>
+      </div>
+
+      <p style={styles.note}>
+        The exhibit always shows events by year. The order here only matters
+        for events in the same year.
+      </p>
+
+      <ol style={styles.list}>
+        {records.map((record, index) => {
+          const issues = issuesByRecord[index] || [];
+          const hasError = issues.some(issue => issue.level === 'error');
+          const hasWarning = !hasError && issues.length > 0;
+          const { color, icon } = getSportConfig(record && record.sport);
+          const isSelected = index === selectedIndex;
+
+          return (
+            <li
+              key={index}
+              style={{ ...styles.item, ...(isSelected ? { borderColor: color, background: 'rgba(255,255,255,0.08)' } : null) }}
+            >
+              <button style={styles.selectBtn} onClick={() => onSelect(index)}>
+                <span style={{ ...styles.year, color }}>{record && record.year}</span>
+                <span style={styles.icon}>{icon}</span>
+                <span style={styles.title}>{(record && record.title) || 'Untitled event'}</span>
+                {hasError && <span style={{ ...styles.flag, ...styles.flagError }}>SKIPPED</span>}
+                {hasWarning && <span style={{ ...styles.flag, ...styles.flagWarning }}>CHECK</span>}
+              </button>
+
+              <div style={styles.actions}>
+                <button
+                  style={styles.iconBtn}
+                  onClick={() => onMove(index, index - 1)}
+                  disabled={index === 0}
+                  aria-label="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  style={styles.iconBtn}
+                  onClick={() => onMove(index, index + 1)}
+                  disabled={index === records.length - 1}
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  style={{ ...styles.iconBtn, color: '#e8534e' }}
+                  onClick={() => onDelete(index)}
+                  aria-label="Delete"
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  root: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+    minHeight: 0,
+  },
+
+  headerRow: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+
+  heading: {
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: '24px',
+    letterSpacing: '0.05em',
+    color: '#FFFFFF',
+  },
+
+  addBtn: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '13px',
+    fontWeight: 700,
+    color: '#001E44',
+    background: '#C0974F',
+    border: 'none',
+    borderRadius: '16px',
+    padding: '8px 16px',
+    cursor: 'pointer',
+  },
+
+  note: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '12px',
+    lineHeight: 1.5,
+    color: 'rgba(255,255,255,0.45)',
+  },
+
+  list: {
+    listStyle: 'none',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    overflowY: 'auto',
+    minHeight: 0,
+  },
+
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '4px 6px 4px 0',
+    border: '1px solid transparent',   // selected record gets the sport color
+    borderRadius: '8px',
+    background: 'rgba(255,255,255,0.03)',
+  },
+
+  selectBtn: {
+    flex: 1,
+    minWidth: 0,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '8px 10px',
+    background: 'transparent',
+    border: 'none',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+
+  year: {
+    flexShrink: 0,
+    width: '40px',
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: '18px',
+  },
+
+  icon: {
+    flexShrink: 0,
+    fontSize: '16px',
+  },
+
+  title: {
+    flex: 1,
+    minWidth: 0,
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    color: 'rgba(255,255,255,0.85)',
+  },
+
+  flag: {
+    flexShrink: 0,
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '10px',
+    fontWeight: 700,
+    letterSpacing: '0.1em',
+    padding: '2px 8px',
+    borderRadius: '10px',
+  },
+
+  flagError: {
+    color: '#e8534e',
+    background: 'rgba(232, 83, 78, 0.15)',
+  },
+
+  flagWarning: {
+    color: '#f0c040',
+    background: 'rgba(240, 192, 64, 0.15)',
+  },
+
+  actions: {
+    display: 'flex',
+    gap: '2px',
+  },
+
+  iconBtn: {
+    width: '30px',
+    height: '30px',
+    borderRadius: '6px',
+    border: 'none',
+    background: 'rgba(255,255,255,0.06)',
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+};
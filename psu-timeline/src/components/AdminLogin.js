@@ -0,0 +1,166 @@
+// src/components/AdminLogin.js
+// Password screen in front of the /admin curator editor.
+
+import React, { useState } from 'react';
+import Background from './Background';
+import { checkAdminPassword, isAdminConfigured } from '../utils/adminAuth';
+
+/**
+ * AdminLogin
+ * @param {Function} onUnlock - Called once the correct password has been entered
+ */
+export default function AdminLogin({ onUnlock }) {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+
+  const isConfigured = isAdminConfigured();
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setIsChecking(true);
+    const isCorrect = await checkAdminPassword(password);
+    setIsChecking(false);
+    if (isCorrect) {
+      onUnlock();
+    } else {
+      setError('That password is not correct.');
+      setPassword('');
+    }
+  }
+
+  return (
+    <div style={styles.screen}>
+      <Background />
+      <form style={styles.panel} onSubmit={handleSubmit}>
+        <p style={styles.eyebrow}>ALL SPORTS MUSEUM</p>
+        <h1 style={styles.title}>Timeline editor</h1>
+
+        {isConfigured ? (
+          <>
+            <label style={styles.label} htmlFor="admin-password">Curator password</label>
+            <input
+              id="admin-password"
+              type="password"
+              autoFocus
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => { setPassword(e.target.value); setError(null); }}
+              style={styles.input}
+            />
+            {error && <p style={styles.error}>{error}</p>}
+            <button type="submit" style={styles.submitBtn} disabled={isChecking || !password}>
+              {isChecking ? 'Checking…' : 'Open editor'}
+            </button>
+          </>
+        ) : (
+          <p style={styles.error}>
+            The editor is switched off because no password has been set for this
+            deployment. Ask whoever manages the website to set
+            <code style={styles.code}> REACT_APP_ADMIN_PASSWORD_HASH</code> (see the README).
+          </p>
+        )}
+
+        <a href="/" style={styles.backLink}>← Back to the exhibit</a>
+      </form>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  screen: {
+    width: '100vw',
+    height: '100vh',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '40px',
+  },
+
+  panel: {
+    position: 'relative',
+    zIndex: 1,
+    width: '100%',
+    maxWidth: '420px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '14px',
+    padding: '36px 40px',
+    background: 'linear-gradient(145deg, #001a3d, #000f25)',
+    border: '1px solid rgba(192, 151, 79, 0.4)',
+    borderRadius: '20px',
+    boxShadow: '0 40px 80px rgba(0,0,0,0.7)',
+    animation: 'fadeUp 0.4s cubic-bezier(0.4, 0, 0.2, 1) both',
+  },
+
+  eyebrow: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '11px',
+    fontWeight: 600,
+    letterSpacing: '0.25em',
+    color: 'rgba(192, 151, 79, 0.8)',
+  },
+
+  title: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: '28px',
+    fontWeight: 700,
+    color: '#FFFFFF',
+    marginBottom: '8px',
+  },
+
+  label: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '13px',
+    fontWeight: 600,
+    color: 'rgba(255,255,255,0.7)',
+  },
+
+  input: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '16px',
+    color: '#FFFFFF',
+    background: 'rgba(255,255,255,0.06)',
+    border: '1px solid rgba(255,255,255,0.2)',
+    borderRadius: '8px',
+    padding: '10px 12px',
+    userSelect: 'text',
+  },
+
+  error: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    lineHeight: 1.5,
+    color: '#e8534e',
+  },
+
+  code: {
+    fontFamily: 'monospace',
+    color: '#e8c17a',
+  },
+
+  submitBtn: {
+    alignSelf: 'flex-start',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    fontWeight: 700,
+    letterSpacing: '0.1em',
+    color: '#001E44',
+    background: '#C0974F',
+    border: 'none',
+    borderRadius: '20px',
+    padding: '10px 24px',
+    cursor: 'pointer',
+  },
+
+  backLink: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '13px',
+    color: 'rgba(255,255,255,0.5)',
+    textDecoration: 'none',
+    marginTop: '8px',
+  },
+};
@@ -0,0 +1,126 @@
+// src/components/AdminPreview.js
+// Live preview in the curator editor, drawn with the exhibit's own
+// EventCard and DetailModal so curators see exactly what visitors will.
+
+import React, { useState, useCallback } from 'react';
+import EventCard from './EventCard';
+import DetailModal from './DetailModal';
+import LanguageSwitcher from './LanguageSwitcher';
+import { DEFAULT_LANGUAGE, localizeEvent } from '../utils/i18n';
+
+function noop() {}
+
+/**
+ * AdminPreview
+ * @param {Object}   event  - A valid record to preview (null while the form has errors)
+ * @param {Function} onPrev - Called by the card's ‹ arrow (opens the previous record)
+ * @param {Function} onNext - Called by the card's › arrow (opens the next record)
+ */
+export default function AdminPreview({ event, onPrev, onNext }) {
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+
+  const handleOpen = useCallback(() => setIsModalOpen(true), []);
+  const handleClose = useCallback(() => setIsModalOpen(false), []);
+
+  if (!event) {
+    return (
+      <div style={styles.root}>
+        <p style={styles.empty}>The preview appears once the event has no problems marked in red.</p>
+      </div>
+    );
+  }
+
+  const localized = localizeEvent(event, language);
+
+  return (
+    <div style={styles.root}>
+      <div style={styles.toolbar}>
+        <span style={styles.heading}>PREVIEW</span>
+        <LanguageSwitcher language={language} onChangeLanguage={setLanguage} />
+      </div>
+
+      <div style={styles.stage}>
+        <EventCard
+          event={localized}
+          language={language}
+          isLooping={false}
+          isAdvancing={false}
+          autoplayInterval={0}
+          narration={null}
+          onOpen={handleOpen}
+          onPrev={onPrev}
+          onNext={onNext}
+        />
+      </div>
+
+      <p style={styles.hint}>Tap the card to preview the detail view; its arrows open the previous or next event in the list.</p>
+
+      {isModalOpen && (
+        <DetailModal
+          event={localized}
+          events={[]}
+          language={language}
+          isLooping={false}
+          onClose={handleClose}
+          onSelectEvent={noop}
+          onMediaPlayingChange={noop}
+          visitIds={null}
+          onToggleVisit={noop}
+        />
+      )}
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  root: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+  },
+
+  toolbar: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+
+  heading: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '11px',
+    fontWeight: 700,
+    letterSpacing: '0.25em',
+    color: 'rgba(192, 151, 79, 0.8)',
+  },
+
+  // Same navy as the exhibit so colors read the same
+  stage: {
+    display: 'flex',
+    minHeight: '360px',
+    borderRadius: '12px',
+    background: 'radial-gradient(ellipse at 30% 20%, #002f6c 0%, #001E44 50%, #00122a 100%)',
+    overflow: 'hidden',
+  },
+
+  hint: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '12px',
+    color: 'rgba(255,255,255,0.4)',
+    textAlign: 'center',
+  },
+
+  empty: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    lineHeight: 1.6,
+    color: 'rgba(255,255,255,0.5)',
+    padding: '40px 20px',
+    textAlign: 'center',
+    border: '1px dashed rgba(255,255,255,0.15)',
+    borderRadius: '12px',
+  },
+};
@@ -0,0 +1,229 @@
+// src/components/AttractScreen.js
+// Second idle stage: after a long stretch without visitors the live tour
+// gives way to full-screen event photos that slowly pan and cross-fade,
+// with a large "Touch to explore" in every language. Nothing on it stays
+// still (photos pan, the text drifts), so no frame burns into the screen.
+// With reduced motion the text hops to a new spot with each photo instead.
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { getSportConfig } from '../utils/sportConfig';
+import { getEventImages } from '../utils/eventImages';
+import { LANGUAGES, DEFAULT_LANGUAGE, translate } from '../utils/i18n';
+import { useReducedMotion } from '../hooks/useReducedMotion';
+
+// Where the text sits with reduced motion, in turn (offsets from its usual place)
+const REST_SPOTS = ['translate(0, 0)', 'translate(14vw, -2vh)', 'translate(4vw, -14vh)', 'translate(10vw, -8vh)'];
+
+/**
+ * AttractScreen
+ * @param {Object[]} events    - All loaded events (the ones with photos are shown)
+ * @param {number}   interval  - Ms each photo stays up
+ * @param {string}   title     - Museum name from kiosk.json
+ * @param {Function} onDismiss - Called on the first tap or key press
+ */
+export default function AttractScreen({ events, interval, title, onDismiss }) {
+  // Events with a photo; an exhibit without any shows every event as a color field
+  const slides = useMemo(() => {
+    const withPhotos = events
+      .map(event => ({ event, image: getEventImages(event)[0] || null }))
+      .filter(slide => slide.image);
+    return withPhotos.length ? withPhotos : events.map(event => ({ event, image: null }));
+  }, [events]);
+
+  // Start somewhere different each time so the same photo doesn't always lead
+  const [step, setStep] = useState(() => Math.floor(Math.random() * slides.length));
+  const isReducedMotion = useReducedMotion();
+
+  useEffect(() => {
+    const timer = setInterval(() => setStep(n => n + 1), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+
+  // The whole screen is one big button; the remote's keys count too.
+  // Closing on the tap itself (not on touchstart) keeps it from landing
+  // on whatever is underneath.
+  useEffect(() => {
+    window.addEventListener('keydown', onDismiss);
+    return () => window.removeEventListener('keydown', onDismiss);
+  }, [onDismiss]);
+
+  if (slides.length === 0) return null;
+
+  // The previous photo stays underneath while the next one fades in over it
+  const slideAt = (n) => slides[((n % slides.length) + slides.length) % slides.length];
+  const layers = [step - 1, step].map(n => ({ n, ...slideAt(n) }));
+  const current = layers[1];
+  const { color, icon } = getSportConfig(current.event.sport);
+  const otherLanguages = LANGUAGES.filter(({ code }) => code !== DEFAULT_LANGUAGE);
+
+  return (
+    <div
+      style={styles.root}
+      onClick={onDismiss}
+      role="button"
+      aria-label={translate(DEFAULT_LANGUAGE, 'touchToExplore')}
+    >
+      {layers.map(({ n, event, image }) => {
+        const sportColor = getSportConfig(event.sport).color;
+        return (
+          <div
+            key={n}
+            style={{
+              ...styles.slide,
+              background: `radial-gradient(ellipse at 30% 40%, ${sportColor}55, #00122a 70%)`,
+              // Pan and zoom across one photo's time and the fade into the next
+              animationDuration: `1.5s, ${interval * 2}ms`,
+              animationDirection: n % 2 ? 'normal, reverse' : 'normal, normal',
+            }}
+          >
+            {image ? (
+              <div style={{ ...styles.photo, backgroundImage: `url("${image.src}")` }} />
+            ) : (
+              <span style={styles.bigYear}>{event.year}</span>
+            )}
+          </div>
+        );
+      })}
+
+      {/* Darkens the edges so the text reads on any photo */}
+      <div style={styles.shade} />
+
+      {/* Call to action and caption drift together, slowly, all the time */}
+      <div
+        style={isReducedMotion
+          ? { ...styles.drift, animation: 'none', transform: REST_SPOTS[step % REST_SPOTS.length] }
+          : styles.drift}
+      >
+        <p style={styles.eyebrow}>{title.toUpperCase()}</p>
+        <h1 style={styles.cta}>{translate(DEFAULT_LANGUAGE, 'touchToExplore')}</h1>
+        <p style={styles.ctaOther}>
+          {otherLanguages.map(({ code }) => (
+            <span key={code} lang={code} style={styles.ctaOtherItem}>{translate(code, 'touchToExplore')}</span>
+          ))}
+        </p>
+
+        <div key={current.n} style={{ ...styles.caption, borderLeftColor: color }}>
+          <span style={styles.captionYear}>{icon} {current.event.year}</span>
+          <span style={styles.captionTitle}>{current.event.title}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  root: {
+    position: 'fixed',
+    inset: 0,
+    zIndex: 150,                         // above every visitor overlay, below the staff screen
+    overflow: 'hidden',
+    background: '#00122a',
+    cursor: 'pointer',
+    animation: 'fadeIn 2s ease both',    // keyframe in global.css
+  },
+
+  slide: {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    // fadeIn once, attractPan for the photo's whole time on screen (durations set inline)
+    animationName: 'fadeIn, attractPan',
+    animationTimingFunction: 'ease, linear',
+    animationFillMode: 'both, both',
+  },
+
+  photo: {
+    position: 'absolute',
+    inset: 0,
+    backgroundSize: 'cover',
+    backgroundPosition: 'center',
+  },
+
+  // Stand-in for events without a photo
+  bigYear: {
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: '38vw',
+    lineHeight: 1,
+    color: 'rgba(255,255,255,0.08)',
+  },
+
+  shade: {
+    position: 'absolute',
+    inset: 0,
+    background: `
+      linear-gradient(to top, rgba(0,10,30,0.9) 0%, rgba(0,10,30,0.2) 45%, rgba(0,10,30,0) 60%),
+      radial-gradient(ellipse at center, rgba(0,0,0,0) 50%, rgba(0,0,0,0.55) 100%)
+    `,
+  },
+
+  drift: {
+    position: 'absolute',
+    left: '8vw',
+    bottom: '12vh',
+    maxWidth: '70vw',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '14px',
+    animation: 'attractDrift 90s ease-in-out infinite',
+  },
+
+  eyebrow: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    fontWeight: 600,
+    letterSpacing: '0.3em',
+    color: '#e8c17a',
+  },
+
+  cta: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: 'clamp(48px, 7vw, 110px)',
+    fontWeight: 900,
+    lineHeight: 1,
+    color: '#FFFFFF',
+    textShadow: '0 4px 30px rgba(0,0,0,0.6)',
+    animation: 'shimmer 4s ease-in-out infinite',
+  },
+
+  ctaOther: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px 28px',
+  },
+
+  ctaOtherItem: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: 'clamp(18px, 2vw, 28px)',
+    fontWeight: 300,
+    color: 'rgba(255,255,255,0.8)',
+  },
+
+  caption: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    marginTop: '18px',
+    paddingLeft: '16px',
+    borderLeft: '4px solid',           // color set inline via sport config
+    animation: 'fadeUp 1s ease both',
+  },
+
+  captionYear: {
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: '32px',
+    letterSpacing: '0.05em',
+    color: '#e8c17a',
+  },
+
+  captionTitle: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '20px',
+    fontWeight: 600,
+    color: 'rgba(255,255,255,0.9)',
+  },
+};
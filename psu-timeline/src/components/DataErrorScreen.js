@@ -0,0 +1,111 @@
+// src/components/DataErrorScreen.js
+// Full-screen fallback shown when timeline.json can't be used at all
+// (network failure, JSON syntax error, or no valid events).
+// Written for the volunteers who edit the data file, not for visitors.
+
+import React from 'react';
+import Background from './Background';
+import IssueList from './IssueList';
+
+/**
+ * DataErrorScreen
+ * @param {Error}    error   - The error thrown by loadTimeline (may carry .issues)
+ * @param {Function} onRetry - Called when the "Try again" button is pressed
+ */
+export default function DataErrorScreen({ error, onRetry }) {
+  return (
+    <div style={styles.screen}>
+      <Background />
+      <div style={styles.panel}>
+        <p style={styles.eyebrow}>ALL SPORTS MUSEUM</p>
+        <h1 style={styles.title}>The timeline data couldn't be loaded</h1>
+        <p style={styles.message}>{error.message}</p>
+
+        <IssueList issues={error.issues} />
+
+        <p style={styles.help}>
+          Fix <code style={styles.code}>public/data/timeline.json</code>, then redeploy or press “Try again”.
+        </p>
+        <button style={styles.retryBtn} onClick={onRetry}>Try again</button>
+      </div>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  screen: {
+    width: '100vw',
+    height: '100vh',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '40px',
+  },
+
+  panel: {
+    position: 'relative',
+    zIndex: 1,
+    width: '100%',
+    maxWidth: '760px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '16px',
+    padding: '36px 40px',
+    background: 'linear-gradient(145deg, #001a3d, #000f25)',
+    border: '1px solid rgba(232, 83, 78, 0.4)',
+    borderRadius: '20px',
+    boxShadow: '0 40px 80px rgba(0,0,0,0.7)',
+    animation: 'fadeUp 0.4s cubic-bezier(0.4, 0, 0.2, 1) both',
+  },
+
+  eyebrow: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '11px',
+    fontWeight: 600,
+    letterSpacing: '0.25em',
+    color: 'rgba(192, 151, 79, 0.8)',
+  },
+
+  title: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: 'clamp(22px, 3vw, 32px)',
+    fontWeight: 700,
+    color: '#FFFFFF',
+    lineHeight: 1.2,
+  },
+
+  message: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '16px',
+    lineHeight: 1.6,
+    color: '#e8534e',
+  },
+
+  help: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    color: 'rgba(255,255,255,0.6)',
+  },
+
+  code: {
+    fontFamily: 'monospace',
+    color: '#e8c17a',
+  },
+
+  retryBtn: {
+    alignSelf: 'flex-start',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    fontWeight: 700,
+    letterSpacing: '0.1em',
+    color: '#001E44',
+    background: '#C0974F',
+    border: 'none',
+    borderRadius: '20px',
+    padding: '10px 24px',
+    cursor: 'pointer',
+  },
+};
@@ -0,0 +1,98 @@
+// src/components/DataIssuesBadge.js
+// Small corner badge shown when some records in timeline.json (or tours in
+// tours.json, or settings in kiosk.json) were skipped or look suspicious.
+// Tapping it opens the list so a curator can see what
+// to fix, while the rest of the timeline keeps running for visitors.
+
+import React, { useState } from 'react';
+import IssueList from './IssueList';
+
+/**
+ * DataIssuesBadge
+ * @param {Object[]} issues - Entries from validateTimeline, validateTours and resolveKioskConfig
+ */
+export default function DataIssuesBadge({ issues }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!issues || issues.length === 0) return null;
+
+  const skipped = new Set(issues.filter(i => i.level === 'error').map(i => i.record)).size;
+  const warnings = issues.filter(i => i.level === 'warning').length;
+  const label = [
+    skipped && `${skipped} record${skipped === 1 ? '' : 's'} skipped`,
+    warnings && `${warnings} warning${warnings === 1 ? '' : 's'}`,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div style={styles.root}>
+      {isOpen && (
+        <div style={styles.panel}>
+          <p style={styles.panelTitle}>Problems in the exhibit's data files</p>
+          <IssueList issues={issues} />
+        </div>
+      )}
+      <button
+        style={{ ...styles.badge, ...(skipped ? styles.badgeError : null) }}
+        onClick={() => setIsOpen(open => !open)}
+      >
+        ⚠ {label}
+      </button>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  root: {
+    position: 'absolute',
+    left: '24px',
+    bottom: '20px',
+    zIndex: 50,
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'flex-start',
+    gap: '10px',
+    maxWidth: '560px',
+  },
+
+  panel: {
+    padding: '16px',
+    background: 'rgba(0, 15, 37, 0.95)',
+    border: '1px solid rgba(255,255,255,0.12)',
+    borderRadius: '12px',
+    boxShadow: '0 20px 40px rgba(0,0,0,0.6)',
+    animation: 'fadeUp 0.3s cubic-bezier(0.4, 0, 0.2, 1) both',
+  },
+
+  panelTitle: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '11px',
+    fontWeight: 700,
+    letterSpacing: '0.2em',
+    textTransform: 'uppercase',
+    color: 'rgba(255,255,255,0.5)',
+    marginBottom: '10px',
+  },
+
+  badge: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '11px',
+    fontWeight: 600,
+    letterSpacing: '0.05em',
+    color: '#f0c040',
+    background: 'rgba(240, 192, 64, 0.08)',
+    border: '1px solid rgba(240, 192, 64, 0.3)',
+    borderRadius: '20px',
+    padding: '6px 14px',
+    cursor: 'pointer',
+    opacity: 0.7,
+  },
+
+  badgeError: {
+    color: '#e8534e',
+    background: 'rgba(232, 83, 78, 0.08)',
+    border: '1px solid rgba(232, 83, 78, 0.3)',
+  },
+};
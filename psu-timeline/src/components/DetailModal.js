@@ -2,16 +2,52 @@
 // Full-screen modal overlay that shows expanded event details
 // when a user clicks/taps an event dot on the timeline.
 // Closes on backdrop click, Escape key, or Close button.
-
-import React, { useEffect } from 'react';
+// Keyboard focus stays inside while it's open and goes back to where it
+// was (usually the dot that opened it) when it closes.
+
+import React, { useEffect, useRef, useCallback, useId } from 'react';
+import ImageGallery from './ImageGallery';
+import MediaPlayer from './MediaPlayer';
+import RelatedMoments from './RelatedMoments';
+import TakeHome from './TakeHome';
 import { getSportConfig } from '../utils/sportConfig';
+import { getEventImages } from '../utils/eventImages';
+import { getEventMedia } from '../utils/eventMedia';
+import { translate, translateSport } from '../utils/i18n';
+import { getRelatedEvents } from '../utils/relatedEvents';
+import { textSize, fadedWhite, sportText } from '../utils/largeText';
+import { useFocusTrap } from '../hooks/useFocusTrap';
 
 /**
  * DetailModal
- * @param {Object}   event     - The event object to display in detail
- * @param {Function} onClose   - Called when the modal should be dismissed
+ * @param {Object}   event                - The event object to display in detail (already localized)
+ * @param {Object[]} events               - All events, to pick related moments from
+ * @param {string}   language             - Code of the language being shown
+ * @param {boolean}  isLooping            - Whether we're in auto-loop mode (clips start muted)
+ * @param {Function} onClose              - Called when the modal should be dismissed
+ * @param {Function} onSelectEvent        - Called with a related event the visitor tapped
+ * @param {Function} onMediaPlayingChange - Called with true while any clip is playing
+ * @param {number[]} visitIds             - The visitor's "my visit" list, or null to leave out
+ *                                          the take-home QR codes (website, editor preview)
+ * @param {Function} onToggleVisit        - Called with an event id to add it to / remove it from the list
  */
-export default function DetailModal({ event, onClose }) {
+export default function DetailModal({
+  event, events, language, isLooping, onClose, onSelectEvent, onMediaPlayingChange, visitIds, onToggleVisit,
+}) {
+  // Scrollable content area, sent back to the top when the event changes
+  const contentRef = useRef(null);
+  const modalRef = useRef(null);
+  const titleId = useId();
+  useFocusTrap(modalRef);
+
+  // Number of clips currently playing; several can play at once
+  const playingCountRef = useRef(0);
+
+  const handlePlayingChange = useCallback((isPlaying) => {
+    playingCountRef.current += isPlaying ? 1 : -1;
+    onMediaPlayingChange(playingCountRef.current > 0);
+  }, [onMediaPlayingChange]);
+
   // Close modal on Escape key press
   useEffect(() => {
     function handleKeyDown(e) {
@@ -21,10 +57,17 @@ export default function DetailModal({ event, onClose }) {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [onClose]);
 
+  useEffect(() => {
+    if (contentRef.current) contentRef.current.scrollTop = 0;
+  }, [event?.id]);
+
   if (!event) return null;
 
   const { color, icon } = getSportConfig(event.sport);
-  const hasImage = event.image && event.image !== 'image.jpg' && event.image !== null;
+  const images = getEventImages(event);
+  const hasImage = images.length > 0;
+  const clips = getEventMedia(event);
+  const related = getRelatedEvents(event, events);
 
   // Prevent click events inside the modal from bubbling up to the backdrop
   function handleModalClick(e) {
@@ -36,39 +79,47 @@ export default function DetailModal({ event, onClose }) {
     <div style={styles.backdrop} onClick={onClose}>
 
       {/* Modal panel: clicking inside does NOT close the modal */}
-      <div style={styles.modal} onClick={handleModalClick}>
+      <div
+        ref={modalRef}
+        style={styles.modal}
+        onClick={handleModalClick}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+      >
 
         {/* Decorative colored stripe at top */}
         <div style={{ ...styles.topBar, background: `linear-gradient(to right, ${color}, transparent)` }} />
 
         {/* Close button (top right corner) */}
-        <button style={styles.closeBtn} onClick={onClose} aria-label="Close">
+        <button style={styles.closeBtn} onClick={onClose} aria-label={translate(language, 'close')}>
           <span style={styles.closeBtnX}>✕</span>
         </button>
 
         {/* CONTENT LAYOUT */}
-        <div style={styles.content}>
+        <div ref={contentRef} style={styles.content}>
 
           {/* Left column: all text information */}
           <div style={styles.leftCol}>
 
             {/* Sport badge */}
             <div style={styles.sportRow}>
-              <span style={styles.bigIcon}>{icon}</span>
+              <span style={styles.bigIcon} aria-hidden="true">{icon}</span>
               <div>
-                <span style={{ ...styles.sportTag, color, borderColor: color }}>
-                  {event.sport.toUpperCase()}
+                <span style={{ ...styles.sportTag, color: sportText(color), borderColor: color }}>
+                  {translateSport(language, event.sport).toUpperCase()}
                 </span>
               </div>
             </div>
 
             {/* Giant year display */}
-            <div style={styles.yearDisplay}>
+            <div style={styles.yearDisplay} aria-hidden="true">
               <span style={styles.yearGhost}>{event.year}</span>
             </div>
 
             {/* Event title */}
-            <h2 style={styles.title}>{event.title}</h2>
+            <h2 id={titleId} style={styles.title}>{event.title}</h2>
 
             {/* Colored divider */}
             <div style={{ ...styles.divider, background: `linear-gradient(to right, ${color}, rgba(255,255,255,0.1))` }} />
@@ -79,38 +130,52 @@ export default function DetailModal({ event, onClose }) {
             {/* Metadata row (sport + year in pill form) */}
             <div style={styles.metaRow}>
               <div style={styles.metaPill}>
-                <span style={styles.metaLabel}>SPORT</span>
-                <span style={styles.metaValue}>{event.sport}</span>
+                <span style={styles.metaLabel}>{translate(language, 'sport')}</span>
+                <span style={styles.metaValue}>{translateSport(language, event.sport)}</span>
               </div>
               <div style={styles.metaDivider} />
               <div style={styles.metaPill}>
-                <span style={styles.metaLabel}>YEAR</span>
-                <span style={{ ...styles.metaValue, color }}>{event.year}</span>
+                <span style={styles.metaLabel}>{translate(language, 'year')}</span>
+                <span style={{ ...styles.metaValue, color: sportText(color) }}>{event.year}</span>
               </div>
             </div>
+
+            {/* Archival video and audio clips */}
+            {clips.length > 0 && (
+              <div style={styles.mediaList}>
+                {clips.map(clip => (
+                  <MediaPlayer
+                    key={`${event.id}-${clip.src}`}
+                    clip={clip}
+                    color={color}
+                    language={language}
+                    startMuted={isLooping}
+                    onPlayingChange={handlePlayingChange}
+                  />
+                ))}
+              </div>
+            )}
+
+            {/* QR codes for the visitor's phone */}
+            {visitIds && (
+              <TakeHome
+                event={event}
+                visitIds={visitIds}
+                color={color}
+                language={language}
+                onToggleVisit={onToggleVisit}
+              />
+            )}
           </div>
 
-          {/* Right column: image (if available) */}
+          {/* Right column: photo gallery (if the event has images) */}
           {hasImage && (
-            <div style={styles.rightCol}>
-              <div style={{ ...styles.imageFrame, borderColor: color }}>
-                <img
-                  src={event.image}
-                  alt={event.title}
-                  style={styles.image}
-                  onError={(e) => { e.target.parentElement.style.display = 'none'; }}
-                />
-                {/* Bottom gradient overlay on image */}
-                <div style={styles.imageOverlay} />
-                {/* Year watermark on image */}
-                <span style={{ ...styles.imageYear, color }}>{event.year}</span>
-              </div>
-            </div>
+            <ImageGallery key={event.id} images={images} color={color} year={event.year} language={language} />
           )}
 
           {/* If no image: show a decorative year panel instead */}
           {!hasImage && (
-            <div style={styles.noImagePanel}>
+            <div style={styles.noImagePanel} aria-hidden="true">
               <div style={{ ...styles.yearCircle, borderColor: color }}>
                 <span style={{ ...styles.yearCircleText, color }}>{event.year}</span>
               </div>
@@ -119,8 +184,11 @@ export default function DetailModal({ event, onClose }) {
           )}
         </div>
 
+        {/* Other events to move on to */}
+        <RelatedMoments related={related} language={language} onSelectEvent={onSelectEvent} />
+
         {/* Bottom instruction */}
-        <p style={styles.closeHint}>Press ESC or click outside to close</p>
+        <p style={styles.closeHint}>{translate(language, 'closeHint')}</p>
       </div>
     </div>
   );
@@ -151,6 +219,8 @@ const styles = {
     width: '100%',
     maxWidth: '820px',
     maxHeight: '80vh',
+    display: 'flex',
+    flexDirection: 'column',
     background: 'linear-gradient(145deg, #001a3d, #000f25)',
     border: '1px solid rgba(255,255,255,0.12)',
     borderRadius: '20px',
@@ -161,6 +231,7 @@ const styles = {
       0 10px 30px rgba(0,0,0,0.5)
     `,
     animation: 'fadeUp 0.4s cubic-bezier(0.4, 0, 0.2, 1) both',
+    outline: 'none',                 // focused only as a fallback; its controls show the focus
   },
 
   topBar: {
@@ -178,7 +249,7 @@ const styles = {
     borderRadius: '50%',
     border: '1px solid rgba(255,255,255,0.15)',
     background: 'rgba(255,255,255,0.06)',
-    color: 'rgba(255,255,255,0.6)',
+    color: fadedWhite(0.6),
     cursor: 'pointer',
     display: 'flex',
     alignItems: 'center',
@@ -188,17 +259,18 @@ const styles = {
   },
 
   closeBtnX: {
-    fontSize: '14px',
+    fontSize: textSize('14px'),
     lineHeight: 1,
   },
 
   content: {
+    flex: 1,
+    minHeight: 0,                    // lets the content shrink and scroll above the related strip
     display: 'flex',
     gap: '40px',
     padding: '32px 40px',
     alignItems: 'flex-start',
     overflowY: 'auto',               // allow scrolling within modal if content is tall
-    maxHeight: 'calc(80vh - 80px)',  // account for topBar + hint height
   },
 
   leftCol: {
@@ -220,7 +292,7 @@ const styles = {
 
   sportTag: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '12px',
+    fontSize: textSize('12px'),
     fontWeight: 700,
     letterSpacing: '0.2em',
     padding: '4px 12px',
@@ -246,7 +318,7 @@ const styles = {
 
   title: {
     fontFamily: "'Playfair Display', Georgia, serif",
-    fontSize: 'clamp(22px, 3vw, 34px)',
+    fontSize: textSize('clamp(22px, 3vw, 34px)'),
     fontWeight: 700,
     color: '#FFFFFF',
     lineHeight: 1.2,
@@ -264,10 +336,10 @@ const styles = {
 
   description: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: 'clamp(14px, 1.6vw, 17px)',
+    fontSize: textSize('clamp(14px, 1.6vw, 17px)'),
     fontWeight: 300,
     lineHeight: 1.75,
-    color: 'rgba(255,255,255,0.8)',
+    color: fadedWhite(0.8),
     marginBottom: '28px',
   },
 
@@ -283,6 +355,13 @@ const styles = {
     width: 'fit-content',
   },
 
+  mediaList: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '14px',
+    marginTop: '24px',
+  },
+
   metaPill: {
     display: 'flex',
     flexDirection: 'column',
@@ -298,60 +377,20 @@ const styles = {
 
   metaLabel: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '10px',
+    fontSize: textSize('10px'),
     fontWeight: 700,
     letterSpacing: '0.2em',
-    color: 'rgba(255,255,255,0.3)',
+    color: fadedWhite(0.3),
     textTransform: 'uppercase',
   },
 
   metaValue: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '15px',
+    fontSize: textSize('15px'),
     fontWeight: 600,
     color: '#FFFFFF',
   },
 
-  // Right column with image
-  rightCol: {
-    flexShrink: 0,
-    width: '240px',
-  },
-
-  imageFrame: {
-    position: 'relative',
-    borderRadius: '12px',
-    overflow: 'hidden',
-    border: '2px solid',
-    boxShadow: '0 12px 36px rgba(0,0,0,0.5)',
-    aspectRatio: '3 / 4',
-  },
-
-  image: {
-    width: '100%',
-    height: '100%',
-    objectFit: 'cover',
-    display: 'block',
-  },
-
-  imageOverlay: {
-    position: 'absolute',
-    inset: 0,
-    background: 'linear-gradient(to top, rgba(0,10,30,0.7) 0%, transparent 50%)',
-    pointerEvents: 'none',
-  },
-
-  // Year watermark on bottom-left of the image
-  imageYear: {
-    position: 'absolute',
-    bottom: '12px',
-    left: '14px',
-    fontFamily: "'Bebas Neue', Impact, sans-serif",
-    fontSize: '28px',
-    lineHeight: 1,
-    filter: 'drop-shadow(0 2px 4px rgba(0,0,0,0.8))',
-  },
-
   // Decorative panel shown when no image is available
   noImagePanel: {
     flexShrink: 0,
@@ -392,8 +431,8 @@ const styles = {
   closeHint: {
     textAlign: 'center',
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '11px',
-    color: 'rgba(255,255,255,0.2)',
+    fontSize: textSize('11px'),
+    color: fadedWhite(0.2),
     letterSpacing: '0.05em',
     padding: '10px 0 14px',
   },
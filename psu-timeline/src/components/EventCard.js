@@ -5,13 +5,28 @@
 
 import React, { useEffect, useRef } from 'react';
 import { getSportConfig } from '../utils/sportConfig';
+import { getEventImages } from '../utils/eventImages';
+import { getEventMedia } from '../utils/eventMedia';
+import { translate, translateSport } from '../utils/i18n';
+import { activateOnKey } from '../utils/a11y';
+import { textSize, fadedWhite, sportText } from '../utils/largeText';
 
 /**
  * EventCard
- * @param {Object}  event      - The timeline event object to display
- * @param {boolean} isLooping  - Whether we're in auto-loop mode (affects subtitle)
+ * @param {Object}   event            - The timeline event object to display (already localized)
+ * @param {string}   language         - Code of the language being shown
+ * @param {boolean}  isLooping        - Whether we're in auto-loop mode (affects subtitle)
+ * @param {boolean}  isAdvancing      - Whether the card moves on by itself (live tour or a visitor's tour)
+ * @param {number}   autoplayInterval - Ms until the tour advances (drives the progress bar)
+ * @param {number}   autoplayCycle    - From useAutoplay; changes whenever its countdown starts over
+ * @param {string}   narration        - Tour narration for this stop, or null
+ * @param {Function} onOpen           - Called when the card is tapped (opens DetailModal)
+ * @param {Function} onPrev           - Called by the ‹ arrow button
+ * @param {Function} onNext           - Called by the › arrow button
  */
-export default function EventCard({ event, isLooping }) {
+export default function EventCard({
+  event, language, isLooping, isAdvancing, autoplayInterval, autoplayCycle, narration, onOpen, onPrev, onNext,
+}) {
   // Reference to the card DOM element so we can restart the animation
   const cardRef = useRef(null);
 
@@ -32,13 +47,29 @@ export default function EventCard({ event, isLooping }) {
   // Get the sport's color and icon from our config
   const { color, icon } = getSportConfig(event.sport);
 
-  // Check if this event has a real image (not null/placeholder)
-  const hasImage = event.image && event.image !== 'image.jpg' && event.image !== null;
+  // The card shows the event's first real photo (galleries live in DetailModal)
+  const [coverImage] = getEventImages(event);
+  const hasImage = Boolean(coverImage);
+
+  // During the tour, an event's first video plays silently in place of the photo
+  const previewClip = isLooping ? getEventMedia(event).find(clip => clip.type === 'video') : null;
 
   return (
     <div style={styles.container}>
-      {/* The card itself — animates in from below */}
-      <div ref={cardRef} style={{ ...styles.card, '--sport-color': color }}>
+      {/* Previous-event arrow (interactive mode only) */}
+      {!isLooping && (
+        <button style={styles.navBtn} onClick={onPrev} aria-label={translate(language, 'previousEvent')}>‹</button>
+      )}
+
+      {/* The card itself — animates in from below. Tapping it opens the detail view. */}
+      <div
+        ref={cardRef}
+        style={{ ...styles.card, '--sport-color': color }}
+        onClick={() => onOpen(event)}
+        onKeyDown={activateOnKey(() => onOpen(event))}
+        role="button"
+        tabIndex={0}
+      >
 
         {/* Top decorative bar using sport color */}
         <div style={{ ...styles.sportBar, background: color }} />
@@ -52,22 +83,22 @@ export default function EventCard({ event, isLooping }) {
             {/* Sport badge row */}
             <div style={styles.badgeRow}>
               {/* Sport icon */}
-              <span style={styles.sportIcon}>{icon}</span>
+              <span style={styles.sportIcon} aria-hidden="true">{icon}</span>
 
               {/* Sport name badge */}
-              <span style={{ ...styles.sportBadge, borderColor: color, color: color }}>
-                {event.sport.toUpperCase()}
+              <span style={{ ...styles.sportBadge, borderColor: color, color: sportText(color) }}>
+                {translateSport(language, event.sport).toUpperCase()}
               </span>
 
               {/* Divider dot */}
-              <span style={styles.dividerDot}>·</span>
+              <span style={styles.dividerDot} aria-hidden="true">·</span>
 
               {/* Year shown in small label next to badge */}
               <span style={styles.yearBadge}>{event.year}</span>
             </div>
 
             {/* Large year display — the visual anchor of the card */}
-            <div style={styles.bigYear}>{event.year}</div>
+            <div style={styles.bigYear} aria-hidden="true">{event.year}</div>
 
             {/* Event title */}
             <h2 style={styles.eventTitle}>{event.title}</h2>
@@ -75,35 +106,69 @@ export default function EventCard({ event, isLooping }) {
             {/* Thin gold divider line */}
             <div style={{ ...styles.divider, background: `linear-gradient(to right, ${color}, transparent)` }} />
 
+            {/* Themed tour narration for this stop */}
+            {narration && (
+              <p style={{ ...styles.narration, borderLeftColor: color }}>{narration}</p>
+            )}
+
             {/* Event description */}
             <p style={styles.description}>{event.description}</p>
 
             {/* Bottom instruction text (changes based on mode) */}
             <p style={styles.hint}>
-              {isLooping
-                ? '← Touch the timeline below to explore →'
-                : '← Use arrow buttons to navigate →'}
+              {translate(language, isLooping ? 'hintLooping' : 'hintInteractive')}
             </p>
           </div>
 
-          {/* RIGHT COLUMN: Image (only renders if we have a valid image URL) */}
-          {hasImage && (
+          {/* RIGHT COLUMN: Muted video preview or image (only renders if we have one) */}
+          {(previewClip || hasImage) && (
             <div style={styles.imageColumn}>
               <div style={{ ...styles.imageFrame, borderColor: color }}>
-                <img
-                  src={event.image}
-                  alt={event.title}
-                  style={styles.image}
-                  // Graceful fallback: hide image if it fails to load
-                  onError={(e) => { e.target.parentElement.style.display = 'none'; }}
-                />
+                {previewClip ? (
+                  <video
+                    key={previewClip.src}
+                    src={previewClip.src}
+                    poster={previewClip.poster || coverImage?.src}
+                    style={styles.image}
+                    muted
+                    autoPlay
+                    loop
+                    playsInline
+                  />
+                ) : (
+                  <img
+                    src={coverImage.src}
+                    alt={coverImage.alt}
+                    style={styles.image}
+                    // Graceful fallback: hide image if it fails to load
+                    onError={(e) => { e.target.parentElement.style.display = 'none'; }}
+                  />
+                )}
                 {/* Subtle overlay gradient on image for polish */}
                 <div style={styles.imageOverlay} />
               </div>
             </div>
           )}
         </div>
+
+        {/* Gold progress bar counting down to the next auto-advance.
+            Keyed by the autoplay cycle so the animation restarts whenever
+            useAutoplay's timer does (every step, and when it is restarted). */}
+        {isAdvancing && (
+          <div style={styles.progressTrack}>
+            <div
+              key={autoplayCycle}
+              style={{ ...styles.progressFill, animationDuration: `${autoplayInterval}ms` }}
+              data-motion="essential" // keeps counting down with reduced motion (global.css)
+            />
+          </div>
+        )}
       </div>
+
+      {/* Next-event arrow (interactive mode only) */}
+      {!isLooping && (
+        <button style={styles.navBtn} onClick={onNext} aria-label={translate(language, 'nextEvent')}>›</button>
+      )}
     </div>
   );
 }
@@ -119,7 +184,9 @@ const styles = {
     display: 'flex',
     justifyContent: 'center',
     alignItems: 'center',
+    gap: '24px',
     flex: 1,
+    minHeight: 0,
     padding: '16px 48px',
   },
 
@@ -141,6 +208,21 @@ const styles = {
     `,
     // Entrance animation — defined in global.css
     animation: 'fadeUp 0.6s cubic-bezier(0.4, 0, 0.2, 1) both',
+    cursor: 'pointer',
+  },
+
+  // Round ‹ › buttons either side of the card
+  navBtn: {
+    flexShrink: 0,
+    width: '56px',
+    height: '56px',
+    borderRadius: '50%',
+    border: '1px solid rgba(192, 151, 79, 0.4)',
+    background: 'rgba(0, 20, 50, 0.6)',
+    color: '#C0974F',
+    fontSize: '32px',
+    lineHeight: 1,
+    cursor: 'pointer',
   },
 
   // Thin colored bar at the very top of the card
@@ -172,13 +254,13 @@ const styles = {
   },
 
   sportIcon: {
-    fontSize: '20px',
+    fontSize: textSize('20px'),
     lineHeight: 1,
   },
 
   sportBadge: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '11px',
+    fontSize: textSize('11px'),
     fontWeight: 700,
     letterSpacing: '0.2em',
     padding: '3px 10px',
@@ -188,14 +270,14 @@ const styles = {
   },
 
   dividerDot: {
-    color: 'rgba(255,255,255,0.3)',
-    fontSize: '16px',
+    color: fadedWhite(0.3),
+    fontSize: textSize('16px'),
   },
 
   yearBadge: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '12px',
-    color: 'rgba(255,255,255,0.5)',
+    fontSize: textSize('12px'),
+    color: fadedWhite(0.5),
     letterSpacing: '0.1em',
   },
 
@@ -212,7 +294,7 @@ const styles = {
 
   eventTitle: {
     fontFamily: "'Playfair Display', Georgia, serif",
-    fontSize: 'clamp(20px, 2.5vw, 30px)',
+    fontSize: textSize('clamp(20px, 2.5vw, 30px)'),
     fontWeight: 700,
     color: '#FFFFFF',
     lineHeight: 1.2,
@@ -228,20 +310,33 @@ const styles = {
     width: '120px',
   },
 
+  // Curator's words for the stop, set apart from the event's own text
+  narration: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: textSize('clamp(14px, 1.6vw, 17px)'),
+    fontStyle: 'italic',
+    lineHeight: 1.5,
+    color: '#e8c17a',
+    borderLeft: '3px solid',           // color set inline via sport config
+    paddingLeft: '14px',
+    marginBottom: '14px',
+    maxWidth: '520px',
+  },
+
   description: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: 'clamp(13px, 1.5vw, 16px)',
+    fontSize: textSize('clamp(13px, 1.5vw, 16px)'),
     fontWeight: 300,
     lineHeight: 1.65,
-    color: 'rgba(255, 255, 255, 0.75)',
+    color: fadedWhite(0.75),
     marginBottom: '20px',
     maxWidth: '520px',
   },
 
   hint: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '12px',
-    color: 'rgba(255, 255, 255, 0.25)',
+    fontSize: textSize('12px'),
+    color: fadedWhite(0.25),
     letterSpacing: '0.05em',
     animation: 'shimmer 3s ease-in-out infinite',
   },
@@ -267,6 +362,24 @@ const styles = {
     display: 'block',
   },
 
+  // Thin strip along the bottom edge of the card
+  progressTrack: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    height: '3px',
+    background: 'rgba(255,255,255,0.06)',
+  },
+
+  progressFill: {
+    height: '100%',
+    background: 'linear-gradient(to right, #C0974F, #e8c17a)',
+    animationName: 'progressFill',     // keyframe in global.css
+    animationTimingFunction: 'linear',
+    animationFillMode: 'both',
+  },
+
   // Subtle gradient overlay on image bottom
   imageOverlay: {
     position: 'absolute',
@@ -1,31 +1,62 @@
 // src/components/Header.js
 // Displays the museum name, subtitle, and current mode indicator at the top.
-// Also shows a "Touch to Explore" prompt when in auto-loop mode.
+// Also shows a "Touch to Explore" prompt when in auto-loop mode, and the
+// themed tour being played with the position in it.
 
 import React from 'react';
+import LanguageSwitcher from './LanguageSwitcher';
+import TourMenu from './TourMenu';
+import LargeTextToggle from './LargeTextToggle';
+import { useSecretTaps } from '../hooks/useSecretTaps';
+import { translate } from '../utils/i18n';
+import { textSize, fadedWhite, fadedGold } from '../utils/largeText';
 
 /**
  * Header component
- * @param {boolean} isLooping - Whether the timeline is in auto-loop mode
+ * @param {boolean}  isLooping         - Whether the timeline is in auto-loop mode
+ * @param {string}   language          - Code of the language being shown
+ * @param {Function} onChangeLanguage  - Called with a language code from the switcher
+ * @param {Function} onOpenSearch      - Called when the Search button is tapped
+ * @param {number}   visitCount        - Events in the visitor's "my visit" list (button hidden at 0)
+ * @param {Function} onOpenVisit       - Called when the My Visit button is tapped
+ * @param {Function} onOpenStaff       - Called after five quick taps on the museum name (hidden)
+ * @param {Object[]} tours             - Themed tours from tours.json (menu hidden when empty)
+ * @param {Object}   tourProgress      - { name, stop, stopCount } of the tour playing, or null
+ * @param {Function} onStartTour       - Called with the name of a tour the visitor picked
+ * @param {Function} onEndTour         - Called when the visitor stops their tour
+ * @param {Object}   branding          - { eyebrow, title, subtitle } from kiosk.json (subtitle null = translated default)
+ * @param {Object}   features          - Which of search, languages, myVisit, largeText are on (kiosk.json)
+ * @param {boolean}  isLargeText       - Whether the visitor turned on large text
+ * @param {Function} onToggleLargeText - Called when the LARGE TEXT button is tapped
  */
-export default function Header({ isLooping }) {
+export default function Header({
+  isLooping, language, onChangeLanguage, onOpenSearch, visitCount, onOpenVisit, onOpenStaff,
+  tours, tourProgress, onStartTour, onEndTour, branding, features, isLargeText, onToggleLargeText,
+}) {
+  const tourPosition = tourProgress && translate(language, 'tourPosition', {
+    current: tourProgress.stop,
+    total: tourProgress.stopCount,
+  });
+
+  const handleBrandTap = useSecretTaps(onOpenStaff);
+
   return (
     <header style={styles.header}>
-      {/* Left side: Museum branding */}
-      <div style={styles.brandBlock}>
+      {/* Left side: Museum branding (also the hidden door to the staff screen) */}
+      <div style={styles.brandBlock} onClick={handleBrandTap}>
         {/* Small eyebrow text */}
-        <p style={styles.eyebrow}>PENN STATE UNIVERSITY</p>
+        <p style={styles.eyebrow}>{branding.eyebrow}</p>
 
         {/* Main museum title using Playfair Display serif font */}
         <h1 style={styles.title}>
-          All Sports Museum
+          {branding.title}
         </h1>
 
         {/* Decorative gold underline beneath the title */}
         <div style={styles.titleUnderline} />
 
         {/* Subtitle */}
-        <p style={styles.subtitle}>Athletic Heritage Timeline</p>
+        <p style={styles.subtitle}>{branding.subtitle || translate(language, 'subtitle')}</p>
       </div>
 
       {/* Right side: Status indicator */}
@@ -34,19 +65,59 @@ export default function Header({ isLooping }) {
           // Auto-loop mode — invite the visitor to interact
           <div style={styles.loopBadge}>
             <span style={styles.pulseDot} />
-            <span style={styles.loopLabel}>LIVE TOUR</span>
+            <span style={styles.loopLabel}>{translate(language, 'liveTour')}</span>
+            {tourProgress && (
+              <span style={styles.loopTour}>{tourProgress.name} · {tourPosition}</span>
+            )}
+          </div>
+        ) : tourProgress ? (
+          // A tour the visitor started — name, position and a way out
+          <div style={{ ...styles.interactiveBadge, ...styles.tourBadge }}>
+            <span style={styles.interactiveIcon}>🧭</span>
+            <span style={styles.tourName}>{tourProgress.name}</span>
+            <span style={styles.interactiveLabel}>{tourPosition}</span>
+            <button style={styles.endTourBtn} onClick={onEndTour} aria-label={translate(language, 'endTour')}>
+              ✕
+            </button>
           </div>
         ) : (
           // Interactive mode — show that the user is in control
           <div style={styles.interactiveBadge}>
             <span style={styles.interactiveIcon}>◈</span>
-            <span style={styles.interactiveLabel}>INTERACTIVE</span>
+            <span style={styles.interactiveLabel}>{translate(language, 'interactive')}</span>
           </div>
         )}
 
+        {/* Large text, language selector, tours, my visit + search buttons */}
+        <div style={styles.actionRow}>
+          {features.largeText && (
+            <LargeTextToggle isOn={isLargeText} language={language} onToggle={onToggleLargeText} />
+          )}
+          {features.languages && (
+            <LanguageSwitcher language={language} onChangeLanguage={onChangeLanguage} />
+          )}
+          {tours.length > 0 && (
+            <TourMenu tours={tours} language={language} onStartTour={onStartTour} />
+          )}
+          {features.myVisit && visitCount > 0 && (
+            <button style={{ ...styles.searchBtn, ...styles.visitBtn }} onClick={onOpenVisit}>
+              <span style={styles.searchIcon}>📱</span>
+              <span style={{ ...styles.searchLabel, color: '#e8c17a' }}>
+                {translate(language, 'myVisitButton', { count: visitCount })}
+              </span>
+            </button>
+          )}
+          {features.search && (
+            <button style={styles.searchBtn} onClick={onOpenSearch}>
+              <span style={styles.searchIcon}>🔍</span>
+              <span style={styles.searchLabel}>{translate(language, 'search')}</span>
+            </button>
+          )}
+        </div>
+
         {/* Touch-to-explore hint (only visible in loop mode) */}
         {isLooping && (
-          <p style={styles.touchHint}>Touch anywhere to explore</p>
+          <p style={styles.touchHint}>{translate(language, 'touchToExplore')}</p>
         )}
       </div>
     </header>
@@ -59,7 +130,7 @@ export default function Header({ isLooping }) {
 const styles = {
   header: {
     position: 'relative',
-    zIndex: 10,
+    zIndex: 30,                        // above the EventCard so the tour menu can drop over it
     display: 'flex',
     justifyContent: 'space-between',
     alignItems: 'flex-start',
@@ -74,10 +145,10 @@ const styles = {
 
   eyebrow: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '11px',
+    fontSize: textSize('11px'),
     fontWeight: 600,
     letterSpacing: '0.25em',           // wide tracking for all-caps label
-    color: 'rgba(192, 151, 79, 0.8)',  // muted gold
+    color: fadedGold(0.8),             // muted gold
     textTransform: 'uppercase',
     marginBottom: '4px',
   },
@@ -101,10 +172,10 @@ const styles = {
 
   subtitle: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '13px',
+    fontSize: textSize('13px'),
     fontWeight: 300,
     letterSpacing: '0.15em',
-    color: 'rgba(255, 255, 255, 0.5)',
+    color: fadedWhite(0.5),
     textTransform: 'uppercase',
   },
 
@@ -139,12 +210,20 @@ const styles = {
 
   loopLabel: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '11px',
+    fontSize: textSize('11px'),
     fontWeight: 700,
     letterSpacing: '0.2em',
     color: '#5baa68',
   },
 
+  // Tour name next to LIVE TOUR
+  loopTour: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('12px'),
+    fontWeight: 600,
+    color: fadedWhite(0.75),
+  },
+
   // Blue badge for interactive/manual mode
   interactiveBadge: {
     display: 'flex',
@@ -157,22 +236,83 @@ const styles = {
   },
 
   interactiveIcon: {
-    fontSize: '12px',
+    fontSize: textSize('12px'),
     color: '#C0974F',
   },
 
   interactiveLabel: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '11px',
+    fontSize: textSize('11px'),
     fontWeight: 700,
     letterSpacing: '0.2em',
     color: '#C0974F',
   },
 
+  // The interactive badge, turned into "tour name · 3 / 7 ✕"
+  tourBadge: {
+    padding: '4px 6px 4px 14px',
+    animation: 'fadeIn 0.3s ease both',
+  },
+
+  tourName: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: textSize('15px'),
+    fontWeight: 700,
+    color: '#FFFFFF',
+  },
+
+  endTourBtn: {
+    width: '36px',
+    height: '36px',
+    marginLeft: '4px',
+    borderRadius: '50%',
+    border: '1px solid rgba(192, 151, 79, 0.4)',
+    background: 'transparent',
+    color: '#C0974F',
+    fontSize: textSize('12px'),
+    cursor: 'pointer',
+  },
+
+  actionRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+  },
+
+  searchBtn: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    minHeight: '44px',                 // comfortable touch target
+    padding: '8px 18px',
+    background: 'rgba(255,255,255,0.06)',
+    border: '1px solid rgba(255,255,255,0.15)',
+    borderRadius: '22px',
+    cursor: 'pointer',
+  },
+
+  // Gold outline so the saved list stands out once there is one
+  visitBtn: {
+    borderColor: 'rgba(192, 151, 79, 0.6)',
+    animation: 'fadeIn 0.3s ease both',
+  },
+
+  searchIcon: {
+    fontSize: textSize('14px'),
+  },
+
+  searchLabel: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('11px'),
+    fontWeight: 700,
+    letterSpacing: '0.2em',
+    color: fadedWhite(0.8),
+  },
+
   touchHint: {
     fontFamily: "'Source Sans 3', sans-serif",
-    fontSize: '12px',
-    color: 'rgba(255,255,255,0.35)',
+    fontSize: textSize('12px'),
+    color: fadedWhite(0.35),
     letterSpacing: '0.05em',
     animation: 'shimmer 3s ease-in-out infinite',
   },
@@ -0,0 +1,205 @@
+// src/components/ImageGallery.js
+// Photo gallery for the DetailModal's right column.
+// Swipe the main photo to move through an event's images, tap a thumbnail
+// to jump to it, or tap the main photo to open it full screen.
+
+import React, { useState, useCallback } from 'react';
+import Lightbox from './Lightbox';
+import { textSize, fadedWhite } from '../utils/largeText';
+import { useSwipe } from '../hooks/useSwipe';
+import { translate } from '../utils/i18n';
+
+/**
+ * ImageGallery
+ * Render with key={event.id} so it starts from the first photo for each event.
+ * @param {Object[]} images   - Photos from getEventImages: { src, caption, alt }
+ * @param {string}   color    - Sport accent color for the frame and active thumbnail
+ * @param {number}   year     - Event year, shown as a watermark on the photo
+ * @param {string}   language - Code of the language being shown
+ */
+export default function ImageGallery({ images, color, year, language }) {
+  const [index, setIndex] = useState(0);
+  const [isLightboxOpen, setIsLightboxOpen] = useState(false);
+  // Photos that failed to load are dropped from the gallery
+  const [failed, setFailed] = useState([]);
+
+  const shown = images.filter(image => !failed.includes(image.src));
+  const count = shown.length;
+  const current = Math.min(index, Math.max(count - 1, 0));
+
+  const swipe = useSwipe({
+    onPrev: () => setIndex((current - 1 + count) % count),
+    onNext: () => setIndex((current + 1) % count),
+    onTap: () => setIsLightboxOpen(true),
+  });
+
+  const handleCloseLightbox = useCallback(() => setIsLightboxOpen(false), []);
+
+  if (count === 0) return null;
+
+  const image = shown[current];
+
+  return (
+    <div style={styles.root}>
+      {/* A button so keyboard and switch users can open the photo too. Taps
+          come through useSwipe (a swipe must not also open it), so onClick
+          only handles keyboard presses, which have no click count. */}
+      <button
+        type="button"
+        style={{ ...styles.frame, borderColor: color }}
+        aria-label={translate(language, 'openPhoto', { number: current + 1, count })}
+        onClick={(e) => { if (e.detail === 0) setIsLightboxOpen(true); }}
+        {...swipe}
+      >
+        <img
+          key={image.src}
+          src={image.src}
+          alt={image.alt}
+          style={styles.image}
+          draggable={false}
+          onError={() => setFailed(prev => [...prev, image.src])}
+        />
+        {/* Bottom gradient overlay on image */}
+        <div style={styles.overlay} />
+        {/* Year watermark on image */}
+        <span style={{ ...styles.year, color }}>{year}</span>
+        {count > 1 && <span style={styles.counter}>{current + 1}/{count}</span>}
+        <span style={styles.expandIcon} aria-hidden="true">⤢</span>
+      </button>
+
+      {image.caption && <p style={styles.caption}>{image.caption}</p>}
+
+      {/* Thumbnails (only when there's more than one photo) */}
+      {count > 1 && (
+        <div style={styles.thumbs}>
+          {shown.map((thumb, i) => (
+            <button
+              key={thumb.src}
+              style={{ ...styles.thumb, borderColor: i === current ? color : 'transparent' }}
+              onClick={() => setIndex(i)}
+              aria-label={translate(language, 'showPhoto', { number: i + 1 })}
+            >
+              <img src={thumb.src} alt="" style={styles.thumbImage} draggable={false} />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {isLightboxOpen && (
+        <Lightbox
+          images={shown}
+          index={current}
+          language={language}
+          onChange={setIndex}
+          onClose={handleCloseLightbox}
+        />
+      )}
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  root: {
+    flexShrink: 0,
+    width: '240px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+  },
+
+  frame: {
+    position: 'relative',
+    display: 'block',
+    width: '100%',
+    padding: 0,
+    background: 'none',
+    borderRadius: '12px',
+    overflow: 'hidden',
+    border: '2px solid',               // color set inline
+    boxShadow: '0 12px 36px rgba(0,0,0,0.5)',
+    aspectRatio: '3 / 4',
+    cursor: 'zoom-in',
+    touchAction: 'pan-y',              // horizontal swipes change the photo
+  },
+
+  image: {
+    width: '100%',
+    height: '100%',
+    objectFit: 'cover',
+    display: 'block',
+    animation: 'fadeIn 0.4s ease both',
+  },
+
+  overlay: {
+    position: 'absolute',
+    inset: 0,
+    background: 'linear-gradient(to top, rgba(0,10,30,0.7) 0%, transparent 50%)',
+    pointerEvents: 'none',
+  },
+
+  // Year watermark on bottom-left of the image
+  year: {
+    position: 'absolute',
+    bottom: '12px',
+    left: '14px',
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: '28px',
+    lineHeight: 1,
+    filter: 'drop-shadow(0 2px 4px rgba(0,0,0,0.8))',
+  },
+
+  counter: {
+    position: 'absolute',
+    bottom: '14px',
+    right: '14px',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('12px'),
+    fontWeight: 600,
+    color: fadedWhite(0.8),
+  },
+
+  expandIcon: {
+    position: 'absolute',
+    top: '10px',
+    right: '12px',
+    fontSize: textSize('16px'),
+    color: fadedWhite(0.7),
+    filter: 'drop-shadow(0 1px 3px rgba(0,0,0,0.8))',
+    pointerEvents: 'none',
+  },
+
+  caption: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('13px'),
+    lineHeight: 1.4,
+    color: fadedWhite(0.65),
+  },
+
+  thumbs: {
+    display: 'flex',
+    gap: '6px',
+    overflowX: 'auto',
+  },
+
+  thumb: {
+    flexShrink: 0,
+    width: '52px',
+    height: '52px',
+    padding: 0,
+    borderRadius: '6px',
+    border: '2px solid transparent',   // active thumbnail gets the sport color
+    overflow: 'hidden',
+    background: 'rgba(255,255,255,0.05)',
+    cursor: 'pointer',
+  },
+
+  thumbImage: {
+    width: '100%',
+    height: '100%',
+    objectFit: 'cover',
+    display: 'block',
+  },
+};
@@ -0,0 +1,82 @@
+// src/components/IssueList.js
+// Curator-facing list of problems found in timeline.json.
+// Used by both the fatal error screen and the "records skipped" badge.
+
+import React from 'react';
+
+/**
+ * IssueList
+ * @param {Object[]} issues - Entries from validateTimeline: { level, record, message }
+ */
+export default function IssueList({ issues }) {
+  if (!issues || issues.length === 0) return null;
+
+  return (
+    <ul style={styles.list}>
+      {issues.map((issue, i) => (
+        <li key={i} style={styles.item}>
+          <span style={{ ...styles.level, ...(issue.level === 'error' ? styles.error : styles.warning) }}>
+            {issue.level === 'error' ? 'SKIPPED' : 'WARNING'}
+          </span>
+          <span style={styles.record}>{issue.record}</span>
+          <span style={styles.message}>{issue.message}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  list: {
+    listStyle: 'none',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    overflowY: 'auto',
+    maxHeight: '50vh',
+    textAlign: 'left',
+  },
+
+  item: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'baseline',
+    gap: '6px 10px',
+    padding: '10px 14px',
+    background: 'rgba(255,255,255,0.04)',
+    border: '1px solid rgba(255,255,255,0.08)',
+    borderRadius: '8px',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+  },
+
+  level: {
+    fontSize: '10px',
+    fontWeight: 700,
+    letterSpacing: '0.2em',
+    padding: '2px 8px',
+    borderRadius: '10px',
+  },
+
+  error: {
+    color: '#e8534e',
+    border: '1px solid rgba(232, 83, 78, 0.5)',
+  },
+
+  warning: {
+    color: '#f0c040',
+    border: '1px solid rgba(240, 192, 64, 0.5)',
+  },
+
+  record: {
+    fontWeight: 600,
+    color: '#FFFFFF',
+  },
+
+  message: {
+    color: 'rgba(255,255,255,0.7)',
+  },
+};
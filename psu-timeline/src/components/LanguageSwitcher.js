@@ -0,0 +1,72 @@
+// src/components/LanguageSwitcher.js
+// Row of language buttons in the Header. Each language is labelled in
+// its own script so visitors can spot theirs without reading English.
+
+import React from 'react';
+import { LANGUAGES, translate } from '../utils/i18n';
+import { textSize, fadedWhite } from '../utils/largeText';
+
+/**
+ * LanguageSwitcher
+ * @param {string}   language         - Code of the language being shown
+ * @param {Function} onChangeLanguage - Called with a language code when a button is tapped
+ */
+export default function LanguageSwitcher({ language, onChangeLanguage }) {
+  return (
+    <div style={styles.group} role="group" aria-label={translate(language, 'language')}>
+      <span style={styles.globe} aria-hidden="true">🌐</span>
+      {LANGUAGES.map(({ code, label }) => {
+        const isActive = code === language;
+        return (
+          <button
+            key={code}
+            lang={code}
+            style={{ ...styles.option, ...(isActive ? styles.optionActive : null) }}
+            onClick={() => onChangeLanguage(code)}
+            aria-pressed={isActive}
+          >
+            {label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  group: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    padding: '3px',
+    background: 'rgba(255,255,255,0.06)',
+    border: '1px solid rgba(255,255,255,0.15)',
+    borderRadius: '22px',
+  },
+
+  globe: {
+    fontSize: textSize('14px'),
+    padding: '0 6px 0 8px',
+  },
+
+  option: {
+    minHeight: '38px',                 // comfortable touch target
+    padding: '6px 14px',
+    border: 'none',
+    borderRadius: '19px',
+    background: 'transparent',
+    color: fadedWhite(0.7),
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('13px'),
+    fontWeight: 600,
+    cursor: 'pointer',
+  },
+
+  optionActive: {
+    background: '#C0974F',             // PSU gold
+    color: '#001E44',
+  },
+};
@@ -0,0 +1,64 @@
+// src/components/LargeTextToggle.js
+// Big "Aa LARGE TEXT" button in the Header. Switches on larger type and a
+// high-contrast palette for visitors who find the standard text hard to
+// read (see utils/largeText.js). Its own size never changes, so it is
+// always where the visitor found it.
+
+import React from 'react';
+import { translate } from '../utils/i18n';
+
+/**
+ * LargeTextToggle
+ * @param {boolean}  isOn     - Whether large text is on
+ * @param {string}   language - Code of the language being shown
+ * @param {Function} onToggle - Called when the button is tapped
+ */
+export default function LargeTextToggle({ isOn, language, onToggle }) {
+  return (
+    <button
+      style={{ ...styles.button, ...(isOn ? styles.buttonOn : null) }}
+      onClick={onToggle}
+      aria-pressed={isOn}
+    >
+      <span style={styles.glyph} aria-hidden="true">Aa</span>
+      <span style={styles.label}>{translate(language, 'largeText')}</span>
+    </button>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  button: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    minHeight: '56px',                 // bigger than the other header buttons, on purpose
+    padding: '6px 20px 6px 16px',
+    background: 'rgba(255,255,255,0.06)',
+    border: '2px solid #e8c17a',
+    borderRadius: '28px',
+    color: '#FFFFFF',
+    cursor: 'pointer',
+  },
+
+  buttonOn: {
+    background: '#e8c17a',
+    color: '#001E44',
+  },
+
+  glyph: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: '28px',
+    fontWeight: 700,
+    lineHeight: 1,
+  },
+
+  label: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    fontWeight: 700,
+    letterSpacing: '0.15em',
+  },
+};
@@ -0,0 +1,170 @@
+// src/components/Lightbox.js
+// Full-screen photo viewer opened from the DetailModal gallery.
+// Swipe or use the arrows to move between photos; tap the backdrop,
+// the Close button or press Escape to return to the modal.
+
+import React, { useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { useSwipe } from '../hooks/useSwipe';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { translate } from '../utils/i18n';
+
+/**
+ * Lightbox
+ * @param {Object[]} images   - Photos: { src, caption, alt }
+ * @param {number}   index    - Index of the photo being shown
+ * @param {string}   language - Code of the language being shown
+ * @param {Function} onChange - Called with the new index when the visitor moves
+ * @param {Function} onClose  - Called when the lightbox should close
+ */
+export default function Lightbox({ images, index, language, onChange, onClose }) {
+  const count = images.length;
+  const showPrev = () => onChange((index - 1 + count) % count);
+  const showNext = () => onChange((index + 1) % count);
+  const swipe = useSwipe({ onPrev: showPrev, onNext: showNext });
+  // Takes the focus from the DetailModal underneath, and gives it back on close
+  const backdropRef = useRef(null);
+  useFocusTrap(backdropRef);
+
+  // Capture keys before DetailModal and the timeline see them,
+  // so Escape closes only the lightbox and arrows page through photos
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowLeft') onChange((index - 1 + count) % count);
+      else if (e.key === 'ArrowRight') onChange((index + 1) % count);
+      else return;
+      e.stopPropagation();
+      e.preventDefault();
+    }
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [index, count, onChange, onClose]);
+
+  const image = images[index];
+
+  // Portal to <body> so the animated (transformed) modal panel
+  // doesn't trap this fixed-position overlay inside itself
+  return createPortal(
+    <div
+      ref={backdropRef}
+      style={styles.backdrop}
+      onClick={onClose}
+      role="dialog"
+      aria-modal="true"
+      aria-label={translate(language, 'photoViewer')}
+      tabIndex={-1}
+    >
+      <button style={styles.closeBtn} onClick={onClose} aria-label={translate(language, 'closePhoto')}>
+        ✕
+      </button>
+
+      <figure style={styles.figure} onClick={(e) => e.stopPropagation()} {...swipe}>
+        <img key={image.src} src={image.src} alt={image.alt} style={styles.image} draggable={false} />
+        {image.caption && <figcaption style={styles.caption}>{image.caption}</figcaption>}
+      </figure>
+
+      {count > 1 && (
+        <>
+          <button
+            style={{ ...styles.arrow, left: '32px' }}
+            onClick={(e) => { e.stopPropagation(); showPrev(); }}
+            aria-label={translate(language, 'previousPhoto')}
+          >
+            ‹
+          </button>
+          <button
+            style={{ ...styles.arrow, right: '32px' }}
+            onClick={(e) => { e.stopPropagation(); showNext(); }}
+            aria-label={translate(language, 'nextPhoto')}
+          >
+            ›
+          </button>
+          <p style={styles.counter}>{index + 1} / {count}</p>
+        </>
+      )}
+    </div>,
+    document.body
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    zIndex: 200,                         // above DetailModal
+    background: 'rgba(0, 3, 12, 0.96)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    animation: 'fadeIn 0.3s ease both',
+    outline: 'none',
+  },
+
+  figure: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '16px',
+    maxWidth: '80vw',
+    touchAction: 'pan-y',
+  },
+
+  image: {
+    maxWidth: '80vw',
+    maxHeight: '78vh',
+    objectFit: 'contain',
+    borderRadius: '8px',
+    boxShadow: '0 20px 60px rgba(0,0,0,0.7)',
+    animation: 'fadeIn 0.4s ease both',
+  },
+
+  caption: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '16px',
+    color: 'rgba(255,255,255,0.8)',
+    textAlign: 'center',
+    maxWidth: '720px',
+  },
+
+  closeBtn: {
+    position: 'absolute',
+    top: '24px',
+    right: '28px',
+    width: '52px',
+    height: '52px',
+    borderRadius: '50%',
+    border: '1px solid rgba(255,255,255,0.2)',
+    background: 'rgba(255,255,255,0.08)',
+    color: '#FFFFFF',
+    fontSize: '18px',
+    cursor: 'pointer',
+  },
+
+  arrow: {
+    position: 'absolute',
+    top: '50%',
+    marginTop: '-32px',
+    width: '64px',
+    height: '64px',
+    borderRadius: '50%',
+    border: '1px solid rgba(192, 151, 79, 0.4)',
+    background: 'rgba(0, 20, 50, 0.6)',
+    color: '#C0974F',
+    fontSize: '36px',
+    lineHeight: 1,
+    cursor: 'pointer',
+  },
+
+  counter: {
+    position: 'absolute',
+    bottom: '24px',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '13px',
+    letterSpacing: '0.2em',
+    color: 'rgba(255,255,255,0.5)',
+  },
+};
@@ -0,0 +1,37 @@
+// src/components/LiveAnnouncer.js
+// Invisible status line read out by screen readers. Tells them which
+// event the card has moved to, whether the tour advanced it or the
+// visitor did, without taking the focus away from where it is.
+
+import React from 'react';
+
+/**
+ * LiveAnnouncer
+ * @param {string} message - Text to read out; a new value is announced
+ */
+export default function LiveAnnouncer({ message }) {
+  // Always rendered: screen readers only watch live regions that were already on the page
+  return (
+    <p style={styles.hidden} role="status" aria-live="polite" aria-atomic="true">
+      {message}
+    </p>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  // Off screen for sighted visitors, still in the accessibility tree
+  hidden: {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    margin: '-1px',
+    padding: 0,
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    whiteSpace: 'nowrap',
+    border: 0,
+  },
+};
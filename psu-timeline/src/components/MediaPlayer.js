@@ -0,0 +1,266 @@
+// src/components/MediaPlayer.js
+// Touch-friendly player for an event's archival video or audio clip.
+// Large play/pause, seek and mute controls, WebVTT captions that can be
+// toggled on and off, and an optional transcript panel.
+
+import React, { useEffect, useRef, useState } from 'react';
+import { translate } from '../utils/i18n';
+import { textSize, fadedWhite } from '../utils/largeText';
+
+/**
+ * Formats seconds as m:ss for the time readout.
+ */
+function formatTime(seconds) {
+  if (!Number.isFinite(seconds)) return '0:00';
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+/**
+ * MediaPlayer
+ * @param {Object}   clip            - From getEventMedia: { type, src, title, poster, captions, captionsLang, transcript }
+ * @param {string}   color           - Sport accent color
+ * @param {string}   language        - Code of the language for control labels
+ * @param {boolean}  startMuted      - Start with the sound off (loop mode)
+ * @param {Function} onPlayingChange - Called with true when playback starts and false when it stops
+ */
+export default function MediaPlayer({ clip, color, language, startMuted, onPlayingChange }) {
+  const mediaRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isMuted, setIsMuted] = useState(startMuted);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [showCaptions, setShowCaptions] = useState(true);
+  const [showTranscript, setShowTranscript] = useState(false);
+
+  const isVideo = clip.type === 'video';
+
+  // Report playback so the inactivity timer waits for the clip to finish.
+  // Every onPlayingChange(true) is paired with an onPlayingChange(false),
+  // including when the player unmounts mid-clip.
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    onPlayingChange(true);
+    return () => onPlayingChange(false);
+  }, [isPlaying, onPlayingChange]);
+
+  // Show or hide the caption track
+  useEffect(() => {
+    const media = mediaRef.current;
+    if (!media || !media.textTracks || media.textTracks.length === 0) return;
+    media.textTracks[0].mode = showCaptions ? 'showing' : 'hidden';
+  }, [showCaptions, clip.captions]);
+
+  const togglePlay = () => {
+    const media = mediaRef.current;
+    if (!media) return;
+    if (media.paused) media.play().catch(() => setIsPlaying(false));
+    else media.pause();
+  };
+
+  const handleSeek = (e) => {
+    const media = mediaRef.current;
+    if (media) media.currentTime = Number(e.target.value);
+  };
+
+  const mediaProps = {
+    ref: mediaRef,
+    src: clip.src,
+    muted: isMuted,
+    preload: 'metadata',
+    playsInline: true,
+    onPlay: () => setIsPlaying(true),
+    onPause: () => setIsPlaying(false),
+    onEnded: () => setIsPlaying(false),
+    onTimeUpdate: (e) => setCurrentTime(e.target.currentTime),
+    onLoadedMetadata: (e) => setDuration(e.target.duration),
+  };
+
+  const captionsTrack = clip.captions && (
+    <track kind="captions" src={clip.captions} srcLang={clip.captionsLang} label="Captions" default />
+  );
+
+  return (
+    <div style={styles.root}>
+      {clip.title && <p style={styles.title}>{isVideo ? '🎬' : '🎙️'} {clip.title}</p>}
+
+      {isVideo ? (
+        <video {...mediaProps} poster={clip.poster || undefined} style={styles.video} onClick={togglePlay}>
+          {captionsTrack}
+        </video>
+      ) : (
+        <div style={styles.audioPanel} onClick={togglePlay}>
+          {clip.poster
+            ? <img src={clip.poster} alt="" style={styles.audioPoster} />
+            : <span style={styles.audioIcon}>🎙️</span>}
+          <audio {...mediaProps}>{captionsTrack}</audio>
+        </div>
+      )}
+
+      {/* Control bar */}
+      <div style={styles.controls}>
+        <button
+          style={{ ...styles.playBtn, background: color }}
+          onClick={togglePlay}
+          aria-label={translate(language, isPlaying ? 'pause' : 'play')}
+        >
+          {isPlaying ? '❚❚' : '▶'}
+        </button>
+
+        <input
+          type="range"
+          min={0}
+          max={duration || 0}
+          step={0.1}
+          value={currentTime}
+          onChange={handleSeek}
+          style={{ ...styles.seek, accentColor: color }}
+          aria-label={translate(language, 'seek')}
+        />
+
+        <span style={styles.time}>{formatTime(currentTime)} / {formatTime(duration)}</span>
+
+        <button
+          style={styles.smallBtn}
+          onClick={() => setIsMuted(m => !m)}
+          aria-label={translate(language, isMuted ? 'unmute' : 'mute')}
+        >
+          {isMuted ? '🔇' : '🔊'}
+        </button>
+
+        {clip.captions && isVideo && (
+          <button
+            style={{ ...styles.smallBtn, ...(showCaptions ? { borderColor: color, color } : null) }}
+            onClick={() => setShowCaptions(c => !c)}
+            aria-pressed={showCaptions}
+          >
+            {translate(language, 'captions')}
+          </button>
+        )}
+
+        {clip.transcript && (
+          <button
+            style={{ ...styles.smallBtn, ...(showTranscript ? { borderColor: color, color } : null) }}
+            onClick={() => setShowTranscript(t => !t)}
+            aria-pressed={showTranscript}
+          >
+            {translate(language, 'transcript')}
+          </button>
+        )}
+      </div>
+
+      {showTranscript && <p style={styles.transcript}>{clip.transcript}</p>}
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  root: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+    padding: '14px',
+    background: 'rgba(255,255,255,0.04)',
+    border: '1px solid rgba(255,255,255,0.08)',
+    borderRadius: '12px',
+  },
+
+  title: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('14px'),
+    fontWeight: 600,
+    color: fadedWhite(0.85),
+  },
+
+  video: {
+    width: '100%',
+    maxHeight: '320px',
+    borderRadius: '8px',
+    background: '#000',
+    cursor: 'pointer',
+  },
+
+  audioPanel: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    height: '120px',
+    borderRadius: '8px',
+    background: 'rgba(0,0,0,0.3)',
+    overflow: 'hidden',
+    cursor: 'pointer',
+  },
+
+  audioPoster: {
+    height: '100%',
+    objectFit: 'cover',
+  },
+
+  audioIcon: {
+    fontSize: '48px',
+  },
+
+  controls: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+  },
+
+  playBtn: {
+    flexShrink: 0,
+    width: '52px',
+    height: '52px',                    // large touch target
+    borderRadius: '50%',
+    border: 'none',
+    color: '#001E44',
+    fontSize: textSize('18px'),
+    cursor: 'pointer',
+  },
+
+  seek: {
+    flex: 1,
+    minWidth: 0,
+    height: '28px',                    // tall hit area for fingers
+    cursor: 'pointer',
+  },
+
+  time: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('12px'),
+    color: fadedWhite(0.6),
+    whiteSpace: 'nowrap',
+  },
+
+  smallBtn: {
+    flexShrink: 0,
+    minWidth: '44px',
+    height: '44px',
+    padding: '0 10px',
+    borderRadius: '22px',
+    border: '1px solid rgba(255,255,255,0.2)',
+    background: 'rgba(255,255,255,0.06)',
+    color: fadedWhite(0.8),
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('12px'),
+    fontWeight: 700,
+    letterSpacing: '0.1em',
+    cursor: 'pointer',
+  },
+
+  transcript: {
+    maxHeight: '160px',
+    overflowY: 'auto',
+    whiteSpace: 'pre-line',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('14px'),
+    lineHeight: 1.6,
+    color: fadedWhite(0.75),
+    padding: '10px 12px',
+    background: 'rgba(0,0,0,0.25)',
+    borderRadius: '8px',
+  },
+};
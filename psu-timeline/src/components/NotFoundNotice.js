@@ -0,0 +1,104 @@
+// src/components/NotFoundNotice.js
+// Friendly message over the timeline when a link points to an event
+// that doesn't exist (any more), or to a page the exhibit doesn't have.
+
+import React, { useRef } from 'react';
+import { translate } from '../utils/i18n';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+/**
+ * NotFoundNotice
+ * @param {string}   language  - Code of the language being shown
+ * @param {Function} onDismiss - Called when the visitor chooses to explore the timeline
+ */
+export default function NotFoundNotice({ language, onDismiss }) {
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef);
+
+  return (
+    <div style={styles.overlay} onClick={onDismiss}>
+      <div
+        ref={panelRef}
+        style={styles.panel}
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="not-found-title"
+        onClick={e => e.stopPropagation()}
+      >
+        <span style={styles.icon} aria-hidden="true">🔍</span>
+        <h2 id="not-found-title" style={styles.title}>{translate(language, 'notFoundTitle')}</h2>
+        <p style={styles.message}>{translate(language, 'notFoundMessage')}</p>
+        <button style={styles.button} onClick={onDismiss}>
+          {translate(language, 'exploreTimeline')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    zIndex: 100,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '40px',
+    background: 'rgba(0, 10, 25, 0.75)',
+    backdropFilter: 'blur(6px)',
+    animation: 'fadeIn 0.3s ease both',
+  },
+
+  panel: {
+    maxWidth: '520px',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '14px',
+    padding: '36px 40px',
+    textAlign: 'center',
+    background: 'linear-gradient(145deg, #001a3d, #000f25)',
+    border: '1px solid rgba(192, 151, 79, 0.3)',
+    borderRadius: '20px',
+    boxShadow: '0 40px 80px rgba(0,0,0,0.7)',
+    animation: 'fadeUp 0.4s cubic-bezier(0.4, 0, 0.2, 1) both',
+  },
+
+  icon: {
+    fontSize: '36px',
+  },
+
+  title: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: 'clamp(22px, 3vw, 30px)',
+    fontWeight: 700,
+    color: '#FFFFFF',
+    lineHeight: 1.2,
+  },
+
+  message: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '16px',
+    lineHeight: 1.6,
+    color: 'rgba(255,255,255,0.7)',
+  },
+
+  button: {
+    marginTop: '8px',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    fontWeight: 700,
+    letterSpacing: '0.1em',
+    color: '#001E44',
+    background: '#C0974F',
+    border: 'none',
+    borderRadius: '22px',
+    minHeight: '44px',
+    padding: '10px 28px',
+    cursor: 'pointer',
+  },
+};
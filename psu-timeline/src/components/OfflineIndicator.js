@@ -0,0 +1,59 @@
+// src/components/OfflineIndicator.js
+// Small, low-key pill shown while the kiosk is running from its offline
+// cache. Visitors can keep exploring; staff can see the Wi-Fi is down.
+
+import React from 'react';
+import { translate } from '../utils/i18n';
+
+/**
+ * OfflineIndicator
+ * @param {boolean} isOffline - Whether content is being served from cache
+ * @param {string}  language  - Code of the language being shown
+ */
+export default function OfflineIndicator({ isOffline, language }) {
+  if (!isOffline) return null;
+
+  return (
+    <div style={styles.pill} role="status">
+      <span style={styles.dot} />
+      <span style={styles.label}>{translate(language, 'offline')}</span>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  pill: {
+    position: 'absolute',
+    right: '24px',
+    bottom: '20px',
+    zIndex: 50,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '5px 12px',
+    background: 'rgba(0, 18, 42, 0.7)',
+    border: '1px solid rgba(255,255,255,0.1)',
+    borderRadius: '20px',
+    opacity: 0.6,
+    animation: 'fadeIn 0.6s ease both',
+    pointerEvents: 'none',
+  },
+
+  dot: {
+    width: '6px',
+    height: '6px',
+    borderRadius: '50%',
+    background: '#f0c040',
+  },
+
+  label: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '10px',
+    fontWeight: 700,
+    letterSpacing: '0.2em',
+    color: 'rgba(255,255,255,0.6)',
+  },
+};
@@ -0,0 +1,106 @@
+// src/components/OnScreenKeyboard.js
+// Built-in touch keyboard for the kiosk, which has no physical keyboard.
+// Styled with the PSU navy and gold palette to match the rest of the display.
+
+import React from 'react';
+import { translate } from '../utils/i18n';
+
+// Key rows, top to bottom. Special keys are handled separately below.
+const KEY_ROWS = [
+  ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
+  ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+  ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
+  ['Z', 'X', 'C', 'V', 'B', 'N', 'M', '&', "'"],
+];
+
+/**
+ * OnScreenKeyboard
+ * @param {string}   language    - Code of the language for the key labels (English if left out)
+ * @param {Function} onKey       - Called with the character for a letter/number key
+ * @param {Function} onBackspace - Called when ⌫ is tapped
+ * @param {Function} onClear     - Called when CLEAR is tapped
+ */
+export default function OnScreenKeyboard({ language, onKey, onBackspace, onClear }) {
+  // Cancel mousedown's default so tapping a key never steals focus
+  const preventFocus = (e) => e.preventDefault();
+
+  return (
+    <div style={styles.keyboard} onMouseDown={preventFocus}>
+      {KEY_ROWS.map((row, i) => (
+        <div key={i} style={styles.row}>
+          {row.map(key => (
+            <button key={key} style={styles.key} onClick={() => onKey(key.toLowerCase())}>
+              {key}
+            </button>
+          ))}
+        </div>
+      ))}
+
+      {/* Bottom row: clear, space, backspace */}
+      <div style={styles.row}>
+        <button style={{ ...styles.key, ...styles.wideKey }} onClick={onClear}>
+          {translate(language, 'keyClear')}
+        </button>
+        <button style={{ ...styles.key, ...styles.spaceKey }} onClick={() => onKey(' ')}>
+          {translate(language, 'keySpace')}
+        </button>
+        <button
+          style={{ ...styles.key, ...styles.wideKey }}
+          onClick={onBackspace}
+          aria-label={translate(language, 'keyBackspace')}
+        >
+          ⌫
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  keyboard: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    padding: '16px',
+    background: 'rgba(0, 18, 42, 0.9)',
+    border: '1px solid rgba(192, 151, 79, 0.3)',
+    borderRadius: '16px',
+  },
+
+  row: {
+    display: 'flex',
+    justifyContent: 'center',
+    gap: '8px',
+  },
+
+  key: {
+    width: '56px',
+    height: '56px',                    // large touch target
+    borderRadius: '10px',
+    border: '1px solid rgba(255,255,255,0.12)',
+    background: 'rgba(255,255,255,0.06)',
+    color: '#FFFFFF',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '20px',
+    fontWeight: 600,
+    cursor: 'pointer',
+  },
+
+  wideKey: {
+    width: '120px',
+    fontSize: '14px',
+    letterSpacing: '0.15em',
+    color: '#C0974F',
+    borderColor: 'rgba(192, 151, 79, 0.4)',
+  },
+
+  spaceKey: {
+    width: '360px',
+    fontSize: '14px',
+    letterSpacing: '0.2em',
+    color: 'rgba(255,255,255,0.6)',
+  },
+};
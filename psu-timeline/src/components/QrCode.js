@@ -0,0 +1,53 @@
+// src/components/QrCode.js
+// Draws a QR code as a single SVG path, generated on the device by
+// utils/qrCode.js. Dark modules on white, with the quiet margin scanners need.
+
+import React, { useMemo } from 'react';
+import { createQrMatrix } from '../utils/qrCode';
+
+const QUIET_ZONE = 4; // light modules around the code
+
+/**
+ * QrCode
+ * @param {string} value - Text to encode (usually a URL)
+ * @param {number} size  - Width and height in px
+ * @param {string} label - Accessible description of where the code leads
+ */
+export default function QrCode({ value, size = 160, label }) {
+  const path = useMemo(() => {
+    const modules = createQrMatrix(value);
+    let d = '';
+    modules.forEach((row, y) => {
+      row.forEach((isDark, x) => {
+        if (isDark) d += `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`;
+      });
+    });
+    return { d, extent: modules.length + QUIET_ZONE * 2 };
+  }, [value]);
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox={`0 0 ${path.extent} ${path.extent}`}
+      style={styles.svg}
+      role="img"
+      aria-label={label}
+      shapeRendering="crispEdges"
+    >
+      <rect width={path.extent} height={path.extent} fill="#FFFFFF" />
+      <path d={path.d} fill="#001E44" />
+    </svg>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  svg: {
+    display: 'block',
+    flexShrink: 0,
+    borderRadius: '8px',
+  },
+};
@@ -0,0 +1,128 @@
+// src/components/RelatedMoments.js
+// Strip of related events along the bottom of the DetailModal, so a
+// visitor can keep exploring instead of closing the modal.
+
+import React from 'react';
+import { getSportConfig } from '../utils/sportConfig';
+import { translate } from '../utils/i18n';
+import { textSize, fadedWhite, fadedGold } from '../utils/largeText';
+
+// uiStrings key for each reason returned by getRelatedEvents
+const REASON_LABELS = {
+  linked: 'relatedLinked',
+  sport: 'relatedSport',
+  decade: 'relatedDecade',
+};
+
+/**
+ * RelatedMoments
+ * @param {Object[]} related       - From getRelatedEvents: { event, reason }
+ * @param {string}   language      - Code of the language being shown
+ * @param {Function} onSelectEvent - Called with the event the visitor tapped
+ */
+export default function RelatedMoments({ related, language, onSelectEvent }) {
+  if (related.length === 0) return null;
+
+  return (
+    <section style={styles.root}>
+      <h3 style={styles.heading}>{translate(language, 'relatedMoments')}</h3>
+
+      <div style={styles.strip}>
+        {related.map(({ event, reason }) => {
+          const { color, icon } = getSportConfig(event.sport);
+          return (
+            <button
+              key={event.id}
+              style={{ ...styles.card, borderTopColor: color }}
+              onClick={() => onSelectEvent(event)}
+            >
+              <span style={styles.topRow}>
+                <span style={styles.icon}>{icon}</span>
+                <span style={{ ...styles.year, color }}>{event.year}</span>
+              </span>
+              <span style={styles.title}>{event.title}</span>
+              <span style={styles.reason}>{translate(language, REASON_LABELS[reason])}</span>
+            </button>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  root: {
+    padding: '14px 40px 0',
+    borderTop: '1px solid rgba(255,255,255,0.08)',
+  },
+
+  heading: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('11px'),
+    fontWeight: 700,
+    letterSpacing: '0.25em',
+    color: fadedGold(0.8),
+    marginBottom: '10px',
+  },
+
+  strip: {
+    display: 'flex',
+    gap: '10px',
+    overflowX: 'auto',
+    paddingBottom: '6px',
+  },
+
+  card: {
+    flexShrink: 0,
+    width: '170px',
+    minHeight: '96px',                 // comfortable touch target
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    padding: '10px 12px',
+    textAlign: 'left',
+    background: 'rgba(255,255,255,0.05)',
+    border: '1px solid rgba(255,255,255,0.08)',
+    borderTop: '3px solid',            // sport color set inline
+    borderRadius: '10px',
+    cursor: 'pointer',
+  },
+
+  topRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+
+  icon: {
+    fontSize: textSize('18px'),
+  },
+
+  year: {
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: textSize('20px'),
+    lineHeight: 1,
+  },
+
+  title: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('13px'),
+    fontWeight: 600,
+    lineHeight: 1.3,
+    color: fadedWhite(0.85),
+    display: '-webkit-box',
+    WebkitLineClamp: 2,
+    WebkitBoxOrient: 'vertical',
+    overflow: 'hidden',
+  },
+
+  reason: {
+    marginTop: 'auto',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('11px'),
+    color: fadedWhite(0.4),
+  },
+};
@@ -0,0 +1,247 @@
+// src/components/SearchOverlay.js
+// Full-screen search panel with ranked results and an on-screen keyboard.
+// Matches event title, description, sport and year.
+// Closes on Escape, the Close button, or when a result is chosen.
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import OnScreenKeyboard from './OnScreenKeyboard';
+import { getSportConfig } from '../utils/sportConfig';
+import { searchEvents } from '../utils/searchEvents';
+import { translate, translateSport } from '../utils/i18n';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+/**
+ * SearchOverlay
+ * @param {Object[]} events         - All loaded events to search through (as loaded; results come back localized)
+ * @param {string}   language       - Code of the language being shown
+ * @param {Function} onSelectResult - Called with the event the visitor tapped
+ * @param {Function} onClose        - Called when the overlay should be dismissed
+ */
+export default function SearchOverlay({ events, language, onSelectResult, onClose }) {
+  const [query, setQuery] = useState('');
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef);
+
+  // Close on Escape; also accept typing from a physical keyboard when one is plugged in
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'Backspace') setQuery(q => q.slice(0, -1));
+      else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault(); // a typed space shouldn't also press the focused button
+        setQuery(q => q + e.key);
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const results = useMemo(() => searchEvents(events, query, language), [events, query, language]);
+
+  return (
+    <div style={styles.backdrop}>
+      <div
+        ref={panelRef}
+        style={styles.panel}
+        role="dialog"
+        aria-modal="true"
+        aria-label={translate(language, 'searchDialog')}
+        tabIndex={-1}
+      >
+
+        {/* Search field + close */}
+        <div style={styles.topRow}>
+          <div style={styles.field}>
+            <span style={styles.fieldIcon} aria-hidden="true">🔍</span>
+            <span style={query ? styles.queryText : styles.placeholder}>
+              {query || translate(language, 'searchPlaceholder')}
+            </span>
+            <span style={styles.caret} aria-hidden="true" />
+          </div>
+          <button style={styles.closeBtn} onClick={onClose} aria-label={translate(language, 'closeSearch')}>
+            ✕
+          </button>
+        </div>
+
+        {/* Ranked results */}
+        <div style={styles.results}>
+          {query.trim() && results.length === 0 && (
+            <p style={styles.empty} role="status">{translate(language, 'noResults', { query: query.trim() })}</p>
+          )}
+
+          {results.map(event => {
+            const { color, icon } = getSportConfig(event.sport);
+            return (
+              <button
+                key={event.id}
+                style={{ ...styles.result, borderLeftColor: color }}
+                onClick={() => onSelectResult(event)}
+              >
+                <span style={styles.resultIcon} aria-hidden="true">{icon}</span>
+                <span style={{ ...styles.resultYear, color }}>{event.year}</span>
+                <span style={styles.resultText}>
+                  <span style={styles.resultTitle}>{event.title}</span>
+                  <span style={styles.resultSport}>{translateSport(language, event.sport).toUpperCase()}</span>
+                </span>
+              </button>
+            );
+          })}
+        </div>
+
+        <OnScreenKeyboard
+          language={language}
+          onKey={key => setQuery(q => q + key)}
+          onBackspace={() => setQuery(q => q.slice(0, -1))}
+          onClear={() => setQuery('')}
+        />
+      </div>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0, 5, 20, 0.9)',
+    backdropFilter: 'blur(8px)',
+    WebkitBackdropFilter: 'blur(8px)',
+    zIndex: 90,                          // just below DetailModal
+    display: 'flex',
+    justifyContent: 'center',
+    padding: '40px',
+    animation: 'fadeIn 0.3s ease both',  // keyframe in global.css
+  },
+
+  panel: {
+    width: '100%',
+    maxWidth: '860px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '20px',
+    animation: 'fadeUp 0.4s cubic-bezier(0.4, 0, 0.2, 1) both',
+    outline: 'none',
+  },
+
+  topRow: {
+    display: 'flex',
+    gap: '16px',
+    alignItems: 'center',
+  },
+
+  field: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '14px',
+    minHeight: '64px',
+    padding: '0 24px',
+    background: 'rgba(255,255,255,0.06)',
+    border: '1px solid rgba(192, 151, 79, 0.5)',
+    borderRadius: '32px',
+  },
+
+  fieldIcon: {
+    fontSize: '22px',
+  },
+
+  queryText: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '24px',
+    color: '#FFFFFF',
+    whiteSpace: 'pre',
+  },
+
+  placeholder: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '20px',
+    fontWeight: 300,
+    color: 'rgba(255,255,255,0.35)',
+  },
+
+  // Blinking text cursor
+  caret: {
+    width: '2px',
+    height: '28px',
+    background: '#C0974F',
+    animation: 'shimmer 1s ease-in-out infinite',
+  },
+
+  closeBtn: {
+    width: '56px',
+    height: '56px',
+    borderRadius: '50%',
+    border: '1px solid rgba(255,255,255,0.15)',
+    background: 'rgba(255,255,255,0.06)',
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: '18px',
+    cursor: 'pointer',
+  },
+
+  results: {
+    flex: 1,
+    minHeight: 0,
+    overflowY: 'auto',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+  },
+
+  empty: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '16px',
+    color: 'rgba(255,255,255,0.5)',
+    textAlign: 'center',
+    padding: '24px 0',
+  },
+
+  result: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+    minHeight: '60px',
+    padding: '10px 20px',
+    textAlign: 'left',
+    background: 'rgba(0, 20, 50, 0.75)',
+    border: '1px solid rgba(255,255,255,0.08)',
+    borderLeft: '4px solid',           // color set inline via sport config
+    borderRadius: '10px',
+    cursor: 'pointer',
+  },
+
+  resultIcon: {
+    fontSize: '24px',
+  },
+
+  resultYear: {
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: '28px',
+    lineHeight: 1,
+    minWidth: '56px',
+  },
+
+  resultText: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px',
+    minWidth: 0,
+  },
+
+  resultTitle: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: '18px',
+    fontWeight: 700,
+    color: '#FFFFFF',
+  },
+
+  resultSport: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '11px',
+    fontWeight: 700,
+    letterSpacing: '0.2em',
+    color: 'rgba(255,255,255,0.45)',
+  },
+};
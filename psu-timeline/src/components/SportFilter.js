@@ -0,0 +1,114 @@
+// src/components/SportFilter.js
+// Touch-friendly row of sport chips below the timeline.
+// Built from the sports that actually appear in the data, using each sport's
+// color and icon from sportConfig.js. Several chips can be selected at once;
+// with none selected, every sport is shown.
+
+import React, { useMemo } from 'react';
+import { getSportConfig } from '../utils/sportConfig';
+import { translate, translateSport } from '../utils/i18n';
+import { textSize, fadedWhite } from '../utils/largeText';
+
+/**
+ * SportFilter
+ * @param {Object[]} events         - All loaded events (unfiltered)
+ * @param {string[]} selectedSports - Sports currently selected (empty = all)
+ * @param {string}   language       - Code of the language for chip labels
+ * @param {Function} onToggleSport  - Called with a sport name when its chip is tapped
+ * @param {Function} onReset        - Called when the "All sports" chip is tapped
+ */
+export default function SportFilter({ events, selectedSports, language, onToggleSport, onReset }) {
+  // Unique sports in order of first appearance (events are sorted by year)
+  const sports = useMemo(
+    () => [...new Set(events.map(event => event.sport))],
+    [events]
+  );
+
+  const isAll = selectedSports.length === 0;
+
+  return (
+    <div style={styles.bar}>
+      <button
+        style={{ ...styles.chip, ...(isAll ? styles.allActive : null) }}
+        onClick={onReset}
+        aria-pressed={isAll}
+      >
+        <span style={styles.chipLabel}>{translate(language, 'allSports')}</span>
+      </button>
+
+      {sports.map(sport => {
+        const { color, icon } = getSportConfig(sport);
+        const isSelected = selectedSports.includes(sport);
+
+        return (
+          <button
+            key={sport}
+            style={{
+              ...styles.chip,
+              borderColor: isSelected ? color : 'rgba(255,255,255,0.15)',
+              background: isSelected ? `${color}33` : styles.chip.background,
+              opacity: isAll || isSelected ? 1 : 0.55,
+            }}
+            onClick={() => onToggleSport(sport)}
+            aria-pressed={isSelected}
+          >
+            <span style={styles.chipIcon}>{icon}</span>
+            <span style={{ ...styles.chipLabel, color: isSelected ? color : styles.chipLabel.color }}>
+              {translateSport(language, sport).toUpperCase()}
+            </span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  bar: {
+    position: 'absolute',
+    left: '48px',
+    right: '48px',
+    bottom: '72px',
+    zIndex: 20,
+    display: 'flex',
+    gap: '10px',
+    overflowX: 'auto',                 // scrolls sideways if there are many sports
+    padding: '6px 2px',
+  },
+
+  chip: {
+    flexShrink: 0,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    minHeight: '44px',                 // comfortable touch target
+    padding: '8px 16px',
+    borderRadius: '22px',
+    border: '1px solid rgba(255,255,255,0.15)',
+    background: 'rgba(255,255,255,0.05)',
+    cursor: 'pointer',
+    transition: 'all 0.2s ease',
+  },
+
+  allActive: {
+    borderColor: '#C0974F',
+    background: 'rgba(192, 151, 79, 0.2)',
+  },
+
+  chipIcon: {
+    fontSize: textSize('18px'),
+    lineHeight: 1,
+  },
+
+  chipLabel: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('12px'),
+    fontWeight: 700,
+    letterSpacing: '0.15em',
+    color: fadedWhite(0.8),
+    whiteSpace: 'nowrap',
+  },
+};
@@ -0,0 +1,526 @@
+// src/components/StaffScreen.js
+// Hidden staff screen (five quick taps on the museum name in the Header).
+// Asks for the staff PIN (digits only, typed on a keypad), then summarizes
+// the on-device analytics and exports them as CSV or JSON for the exhibit
+// committee. Written for staff, so English only.
+
+import React, { useEffect, useRef, useState } from 'react';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { getFocusable } from '../utils/a11y';
+import { checkStaffPin, isStaffPinConfigured } from '../utils/adminAuth';
+import { getSportConfig } from '../utils/sportConfig';
+import {
+  MAX_RECORDS, getAnalyticsRecords, clearAnalytics, summarizeAnalytics, toAnalyticsCsv,
+} from '../utils/analytics';
+import { downloadTextFile } from '../utils/editTimeline';
+
+const TOP_EVENTS = 10;
+
+// Keypad layout, top to bottom, like a phone
+const PIN_ROWS = [['1', '2', '3'], ['4', '5', '6'], ['7', '8', '9']];
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function formatPercent(part, whole) {
+  return whole ? `${Math.round((part / whole) * 100)}%` : '—';
+}
+
+/**
+ * PinPad
+ * Numeric keypad for the staff PIN: the digits plus clear and backspace.
+ * @param {Function} onDigit     - Called with the digit tapped, as a string
+ * @param {Function} onBackspace - Called when ⌫ is tapped
+ * @param {Function} onClear     - Called when CLEAR is tapped
+ */
+function PinPad({ onDigit, onBackspace, onClear }) {
+  // Cancel mousedown's default so tapping a key never steals focus
+  const preventFocus = (e) => e.preventDefault();
+
+  return (
+    <div style={styles.pinPad} onMouseDown={preventFocus}>
+      {PIN_ROWS.flat().map(digit => (
+        <button key={digit} style={styles.pinKey} onClick={() => onDigit(digit)}>{digit}</button>
+      ))}
+      <button style={{ ...styles.pinKey, ...styles.pinActionKey }} onClick={onClear}>CLEAR</button>
+      <button style={styles.pinKey} onClick={() => onDigit('0')}>0</button>
+      <button style={{ ...styles.pinKey, ...styles.pinActionKey }} onClick={onBackspace} aria-label="Backspace">
+        ⌫
+      </button>
+    </div>
+  );
+}
+
+/**
+ * StaffLock
+ * PIN entry shown before the analytics. Typed on the keypad or on a
+ * physical keyboard's number keys.
+ * @param {Function} onUnlock - Called once the correct PIN has been entered
+ * @param {Function} onClose  - Called when Close is tapped
+ */
+function StaffLock({ onUnlock, onClose }) {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const isConfigured = isStaffPinConfigured();
+
+  const type = (update) => {
+    setPin(update);
+    setError(null);
+  };
+
+  const handleSubmit = async () => {
+    if (!pin || isChecking) return;
+    setIsChecking(true);
+    const isCorrect = await checkStaffPin(pin);
+    setIsChecking(false);
+    if (isCorrect) {
+      onUnlock();
+    } else {
+      setError('That PIN is not correct.');
+      setPin('');
+    }
+  };
+
+  // Accept typing from a physical keyboard when one is plugged in
+  const submitRef = useRef(handleSubmit);
+  submitRef.current = handleSubmit;
+  useEffect(() => {
+    if (!isConfigured) return undefined;
+    function handleKeyDown(e) {
+      if (e.key === 'Enter') submitRef.current();
+      else if (e.key === 'Backspace') type(p => p.slice(0, -1));
+      else if (/^[0-9]$/.test(e.key)) type(p => p + e.key);
+      else return;
+      e.preventDefault(); // a typed space or Enter shouldn't also press the focused button
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isConfigured]);
+
+  return (
+    <div style={{ ...styles.panel, ...styles.lockPanel }}>
+      <div style={styles.topRow}>
+        <div>
+          <p style={styles.eyebrow}>STAFF ONLY</p>
+          <h2 style={styles.title}>Enter the staff PIN</h2>
+        </div>
+        <div style={styles.actions}>
+          {isConfigured && (
+            <button style={styles.primaryBtn} onClick={handleSubmit} disabled={isChecking || !pin}>
+              {isChecking ? 'Checking…' : 'Unlock'}
+            </button>
+          )}
+          <button style={styles.secondaryBtn} onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      {isConfigured ? (
+        <>
+          <p style={styles.pinField} aria-label={`${pin.length} digits entered`}>
+            {'•'.repeat(pin.length) || ' '}
+          </p>
+          {error && <p style={styles.error} role="alert">{error}</p>}
+          <PinPad
+            onDigit={(digit) => type(p => p + digit)}
+            onBackspace={() => type(p => p.slice(0, -1))}
+            onClear={() => type('')}
+          />
+        </>
+      ) : (
+        <p style={styles.error}>
+          The staff screen is switched off because no staff PIN has been
+          set for this deployment (REACT_APP_STAFF_PIN_HASH, see the README).
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * StaffScreen
+ * @param {Object[]} events  - All loaded events, to show titles next to ids
+ * @param {Function} onClose - Called when the screen should be dismissed
+ */
+export default function StaffScreen({ events, onClose }) {
+  const [isUnlocked, setIsUnlocked] = useState(false);
+  const [records, setRecords] = useState(getAnalyticsRecords);
+  const backdropRef = useRef(null);
+  useFocusTrap(backdropRef);
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.key === 'Escape') onClose();
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // The PIN buttons are gone once unlocked; start again on the first control
+  useEffect(() => {
+    if (isUnlocked) (getFocusable(backdropRef.current)[0] || backdropRef.current).focus();
+  }, [isUnlocked]);
+  const summary = summarizeAnalytics(records);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  const titleOf = (eventId) => {
+    const event = events.find(candidate => candidate.id === eventId);
+    return event ? `${event.year} · ${event.title}` : `Event ${eventId} (no longer in timeline.json)`;
+  };
+
+  const handleExportCsv = () => {
+    downloadTextFile(toAnalyticsCsv(records), `timeline-analytics-${stamp}.csv`, 'text/csv');
+  };
+
+  const handleExportJson = () => {
+    downloadTextFile(JSON.stringify(records, null, 2), `timeline-analytics-${stamp}.json`);
+  };
+
+  const handleClear = () => {
+    if (!window.confirm('Delete all recorded interactions from this kiosk? Export them first if they are needed.')) return;
+    clearAnalytics();
+    setRecords([]);
+  };
+
+  const stats = [
+    ['Visitor sessions', summary.sessions],
+    ['Average session', formatDuration(summary.averageSession)],
+    ['Longest session', formatDuration(summary.longestSession)],
+    ['Idle resets', summary.idleResets],
+    ['Reset while reading', `${summary.cutOffs} (${formatPercent(summary.cutOffs, summary.idleResets)})`],
+    ['Dot taps', summary.dotTaps],
+    ['Stories opened', summary.modalOpens],
+    ['Average time on a story', formatDuration(summary.averageDwell)],
+    ['Zoom gestures', summary.zoomUses],
+    ['Sport filter taps', summary.filterUses],
+  ];
+
+  return (
+    <div
+      ref={backdropRef}
+      style={styles.backdrop}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Staff screen"
+      tabIndex={-1}
+    >
+      {!isUnlocked ? (
+        <StaffLock onUnlock={() => setIsUnlocked(true)} onClose={onClose} />
+      ) : (
+        <div style={styles.panel}>
+          <div style={styles.topRow}>
+            <div>
+              <p style={styles.eyebrow}>STAFF ONLY</p>
+              <h2 style={styles.title}>Visitor interactions</h2>
+              <p style={styles.meta}>
+                {records.length} of {MAX_RECORDS} records stored on this kiosk
+                {summary.since && ` · since ${new Date(summary.since).toLocaleString()}`}
+              </p>
+            </div>
+            <div style={styles.actions}>
+              <button style={styles.primaryBtn} onClick={handleExportCsv} disabled={!records.length}>Export CSV</button>
+              <button style={styles.secondaryBtn} onClick={handleExportJson} disabled={!records.length}>Export JSON</button>
+              <button style={styles.secondaryBtn} onClick={handleClear} disabled={!records.length}>Clear</button>
+              <button style={styles.secondaryBtn} onClick={onClose}>Close</button>
+            </div>
+          </div>
+
+          <div style={styles.body}>
+            <div style={styles.stats}>
+              {stats.map(([label, value]) => (
+                <div key={label} style={styles.stat}>
+                  <span style={styles.statValue}>{value}</span>
+                  <span style={styles.statLabel}>{label}</span>
+                </div>
+              ))}
+            </div>
+
+            <div style={styles.columns}>
+              <section style={styles.section}>
+                <h3 style={styles.sectionTitle}>Most opened stories</h3>
+                {summary.events.length === 0 && <p style={styles.empty}>No stories opened yet.</p>}
+                <ol style={styles.list}>
+                  {summary.events.slice(0, TOP_EVENTS).map(({ eventId, opens, averageDwell }) => (
+                    <li key={eventId} style={styles.row}>
+                      <span style={styles.rowLabel}>{titleOf(eventId)}</span>
+                      <span style={styles.rowValue}>{opens}× · {formatDuration(averageDwell)}</span>
+                    </li>
+                  ))}
+                </ol>
+              </section>
+
+              <section style={styles.section}>
+                <h3 style={styles.sectionTitle}>Sports filtered</h3>
+                {summary.sports.length === 0 && <p style={styles.empty}>The sport filter hasn't been used yet.</p>}
+                <ol style={styles.list}>
+                  {summary.sports.map(({ sport, count }) => (
+                    <li key={sport} style={styles.row}>
+                      <span style={styles.rowLabel}>{getSportConfig(sport).icon} {sport}</span>
+                      <span style={styles.rowValue}>{count}×</span>
+                    </li>
+                  ))}
+                </ol>
+                <p style={styles.note}>“All sports” tapped {summary.filterResets}×</p>
+              </section>
+            </div>
+
+            <p style={styles.note}>
+              Nothing here identifies a visitor and nothing is sent off the kiosk. A session runs from
+              the first touch after the live tour to the idle reset; “reset while reading” counts
+              resets that closed a story the visitor had open.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    zIndex: 200,                         // above everything, including the DetailModal
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '40px',
+    background: 'rgba(0, 5, 20, 0.92)',
+    animation: 'fadeIn 0.3s ease both',
+    outline: 'none',
+  },
+
+  panel: {
+    width: '100%',
+    maxWidth: '1100px',
+    maxHeight: '90vh',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '20px',
+    padding: '28px 32px',
+    background: 'linear-gradient(145deg, #001a3d, #000f25)',
+    border: '1px solid rgba(255,255,255,0.12)',
+    borderRadius: '20px',
+    boxShadow: '0 40px 80px rgba(0,0,0,0.7)',
+    userSelect: 'text',                  // the kiosk disables selection; staff may want to copy
+  },
+
+  lockPanel: {
+    width: 'auto',
+    alignItems: 'center',
+    userSelect: 'none',
+  },
+
+  pinField: {
+    alignSelf: 'stretch',
+    minHeight: '52px',
+    padding: '10px 16px',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '28px',
+    letterSpacing: '0.3em',
+    textAlign: 'center',
+    color: '#FFFFFF',
+    background: 'rgba(255,255,255,0.06)',
+    border: '1px solid rgba(255,255,255,0.2)',
+    borderRadius: '10px',
+  },
+
+  pinPad: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(3, 72px)',
+    gap: '10px',
+  },
+
+  pinKey: {
+    height: '64px',                      // large touch target
+    borderRadius: '10px',
+    border: '1px solid rgba(255,255,255,0.12)',
+    background: 'rgba(255,255,255,0.06)',
+    color: '#FFFFFF',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '24px',
+    fontWeight: 600,
+    cursor: 'pointer',
+  },
+
+  pinActionKey: {
+    fontSize: '12px',
+    letterSpacing: '0.15em',
+    color: '#C0974F',
+    borderColor: 'rgba(192, 151, 79, 0.4)',
+  },
+
+  error: {
+    maxWidth: '560px',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    lineHeight: 1.5,
+    color: '#e8534e',
+  },
+
+  topRow: {
+    display: 'flex',
+    alignItems: 'flex-end',
+    justifyContent: 'space-between',
+    gap: '20px',
+    flexWrap: 'wrap',
+  },
+
+  eyebrow: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '11px',
+    fontWeight: 600,
+    letterSpacing: '0.25em',
+    color: 'rgba(192, 151, 79, 0.8)',
+  },
+
+  title: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: '28px',
+    fontWeight: 700,
+    color: '#FFFFFF',
+  },
+
+  meta: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '13px',
+    color: 'rgba(255,255,255,0.5)',
+    marginTop: '4px',
+  },
+
+  actions: {
+    display: 'flex',
+    gap: '10px',
+  },
+
+  primaryBtn: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    fontWeight: 700,
+    color: '#001E44',
+    background: '#C0974F',
+    border: 'none',
+    borderRadius: '20px',
+    padding: '10px 20px',
+    cursor: 'pointer',
+  },
+
+  secondaryBtn: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    fontWeight: 600,
+    color: 'rgba(255,255,255,0.8)',
+    background: 'rgba(255,255,255,0.06)',
+    border: '1px solid rgba(255,255,255,0.15)',
+    borderRadius: '20px',
+    padding: '9px 18px',
+    cursor: 'pointer',
+  },
+
+  body: {
+    flex: 1,
+    minHeight: 0,
+    overflowY: 'auto',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '24px',
+  },
+
+  stats: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(5, 1fr)',
+    gap: '12px',
+  },
+
+  stat: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    padding: '14px 16px',
+    background: 'rgba(255,255,255,0.04)',
+    border: '1px solid rgba(255,255,255,0.08)',
+    borderRadius: '10px',
+  },
+
+  statValue: {
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: '30px',
+    lineHeight: 1,
+    color: '#e8c17a',
+  },
+
+  statLabel: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '12px',
+    color: 'rgba(255,255,255,0.6)',
+  },
+
+  columns: {
+    display: 'flex',
+    gap: '24px',
+  },
+
+  section: {
+    flex: 1,
+    minWidth: 0,
+  },
+
+  sectionTitle: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '12px',
+    fontWeight: 700,
+    letterSpacing: '0.2em',
+    textTransform: 'uppercase',
+    color: 'rgba(192, 151, 79, 0.8)',
+    marginBottom: '10px',
+  },
+
+  list: {
+    listStyle: 'none',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+  },
+
+  row: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '16px',
+    padding: '8px 12px',
+    background: 'rgba(255,255,255,0.03)',
+    borderRadius: '8px',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+  },
+
+  rowLabel: {
+    color: '#FFFFFF',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+
+  rowValue: {
+    flexShrink: 0,
+    color: 'rgba(255,255,255,0.6)',
+  },
+
+  empty: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    color: 'rgba(255,255,255,0.45)',
+  },
+
+  note: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '12px',
+    lineHeight: 1.6,
+    color: 'rgba(255,255,255,0.45)',
+    marginTop: '8px',
+  },
+};
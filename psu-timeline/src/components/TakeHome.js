@@ -0,0 +1,146 @@
+// src/components/TakeHome.js
+// "Take it home" panel in the DetailModal: a QR code that opens this
+// event on the visitor's phone, a button to add it to their "my visit"
+// list, and one QR code for the whole list once it has anything in it.
+
+import React from 'react';
+import QrCode from './QrCode';
+import { translate } from '../utils/i18n';
+import { buildWebUrl } from '../utils/route';
+import { textSize, fadedWhite, fadedGold } from '../utils/largeText';
+
+const CODE_SIZE = 128;
+
+/**
+ * TakeHome
+ * @param {Object}   event         - The event being shown
+ * @param {number[]} visitIds      - Ids in the visitor's "my visit" list, in the order added
+ * @param {string}   color         - Sport accent color
+ * @param {string}   language      - Code of the language being shown
+ * @param {Function} onToggleVisit - Called with the event id to add it to / remove it from the list
+ */
+export default function TakeHome({ event, visitIds, color, language, onToggleVisit }) {
+  const isSaved = visitIds.includes(event.id);
+
+  return (
+    <section style={styles.root}>
+      <p style={styles.heading}>{translate(language, 'takeHome')}</p>
+
+      <div style={styles.row}>
+        <figure style={styles.figure}>
+          <QrCode
+            value={buildWebUrl({ eventId: event.id })}
+            size={CODE_SIZE}
+            label={translate(language, 'scanMoment')}
+          />
+          <figcaption style={styles.caption}>{translate(language, 'thisMoment')}</figcaption>
+        </figure>
+
+        {visitIds.length > 0 && (
+          <figure style={styles.figure}>
+            <QrCode
+              value={buildWebUrl({ visitIds })}
+              size={CODE_SIZE}
+              label={translate(language, 'scanVisit', { count: visitIds.length })}
+            />
+            <figcaption style={{ ...styles.caption, color: '#e8c17a' }}>
+              {translate(language, 'myVisitCount', { count: visitIds.length })}
+            </figcaption>
+          </figure>
+        )}
+
+        <div style={styles.text}>
+          <p style={styles.hint}>{translate(language, 'takeHomeHint')}</p>
+          <button
+            style={isSaved ? { ...styles.toggleBtn, ...styles.toggleBtnSaved, borderColor: color } : styles.toggleBtn}
+            onClick={() => onToggleVisit(event.id)}
+            aria-pressed={isSaved}
+          >
+            {translate(language, isSaved ? 'inVisit' : 'addToVisit')}
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  root: {
+    marginTop: '28px',
+    padding: '18px 20px',
+    background: 'rgba(255,255,255,0.04)',
+    border: '1px solid rgba(255,255,255,0.08)',
+    borderRadius: '12px',
+  },
+
+  heading: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('11px'),
+    fontWeight: 700,
+    letterSpacing: '0.25em',
+    color: fadedGold(0.8),
+    marginBottom: '14px',
+  },
+
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '20px',
+    flexWrap: 'wrap',
+  },
+
+  figure: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '8px',
+    margin: 0,
+    animation: 'fadeIn 0.3s ease both',
+  },
+
+  caption: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('12px'),
+    fontWeight: 600,
+    letterSpacing: '0.1em',
+    color: fadedWhite(0.6),
+  },
+
+  text: {
+    flex: 1,
+    minWidth: '180px',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'flex-start',
+    gap: '12px',
+  },
+
+  hint: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('14px'),
+    lineHeight: 1.5,
+    color: fadedWhite(0.7),
+  },
+
+  toggleBtn: {
+    minHeight: '44px',                 // comfortable touch target
+    padding: '8px 18px',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('12px'),
+    fontWeight: 700,
+    letterSpacing: '0.15em',
+    color: '#001E44',
+    background: '#C0974F',
+    border: '1px solid transparent',
+    borderRadius: '22px',
+    cursor: 'pointer',
+  },
+
+  toggleBtnSaved: {
+    color: '#FFFFFF',
+    background: 'rgba(255,255,255,0.06)',
+  },
+};
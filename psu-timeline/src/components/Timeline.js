@@ -1,77 +1,339 @@
 // src/components/Timeline.js
 
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useLayoutEffect, useState, useCallback } from 'react';
+import TimelineRuler from './TimelineRuler';
+import TimelineCluster from './TimelineCluster';
+import TimelineMinimap from './TimelineMinimap';
+import TimelineViewToggle from './TimelineViewToggle';
 import { getSportConfig } from '../utils/sportConfig';
+import { getRulerTicks } from '../utils/timelineRuler';
+import { clusterEvents } from '../utils/clusterEvents';
+import { groupIntoLanes } from '../utils/sportLanes';
+import { translate, translateSport } from '../utils/i18n';
+import { trackEvent } from '../utils/analytics';
+import { activateOnKey } from '../utils/a11y';
+import { textSize } from '../utils/largeText';
+import { useTrackGestures } from '../hooks/useTrackGestures';
+import { useReducedMotion } from '../hooks/useReducedMotion';
 
-export default function Timeline({ events, onSelectEvent, isLooping }) {
+// Width of the track at zoom 1, relative to the visible area
+const BASE_TRACK_WIDTH = 3;
+// Dots closer than this on screen are grouped into a cluster
+const MIN_DOT_SPACING = 28;
+
+// Heights of the docked panel (px)
+const COMBINED_TRACK_HEIGHT = 240;
+const MINIMAP_SPACE = 32;              // strip below the track
+// "By sport" view: the panel grows upwards to fit one lane per sport
+const LANE_LABEL_WIDTH = 170;          // sticky sport labels left of the track
+const MIN_LANE_HEIGHT = 22;
+const MAX_LANE_HEIGHT = 36;
+const LANES_TOP = 16;                  // room above the first lane
+const RULER_SPACE = 64;                // ruler below the last lane
+const RESERVED_HEIGHT = 340;           // header and view switch above, sport filter below
+// A zoom gesture counts once it has been still this long (ms)
+const ZOOM_SETTLE_MS = 800;
+
+/**
+ * Timeline
+ * @param {Object[]} events         - Events to draw, in year order
+ * @param {string}   view           - 'combined' (one line) or 'lanes' (one lane per sport)
+ * @param {string}   language       - Language code for the lane labels and view switch
+ * @param {Function} onSelectEvent  - Called with an event when its dot is tapped
+ * @param {Function} onChangeView   - Called with 'combined' or 'lanes' (null hides the switch)
+ * @param {number}   focusedEventId - Id of the event to highlight and keep centered
+ * @param {number}   maxZoom        - Furthest the visitor can zoom in (kiosk.json)
+ * @param {number}   wheelZoomSpeed - Zoom per px of mouse-wheel movement (kiosk.json)
+ */
+export default function Timeline({
+  events, view, language, onSelectEvent, onChangeView, focusedEventId, maxZoom, wheelZoomSpeed,
+}) {
   const trackRef = useRef(null);
-  const [zoom, setZoom] = useState(1);
+  const lineRef = useRef(null);
+  const dotRefs = useRef({});
+  // With reduced motion the track jumps to where it's going instead of gliding
+  const isReducedMotion = useReducedMotion();
+  const { zoom, isDragging } = useTrackGestures(trackRef, { maxZoom, wheelZoomSpeed, isReducedMotion });
+  const scrollBehavior = isReducedMotion ? 'auto' : 'smooth';
+  const [viewportWidth, setViewportWidth] = useState(window.innerWidth);
+  const [viewportHeight, setViewportHeight] = useState(window.innerHeight);
+  // Key of the cluster the visitor fanned out (only one at a time)
+  const [expandedKey, setExpandedKey] = useState(null);
+  // Visible part of the track as fractions of its width (drives the minimap)
+  const [viewport, setViewport] = useState({ start: 0, size: 1 });
 
   const minYear = events[0]?.year || 1880;
   const maxYear = events[events.length - 1]?.year || 2020;
-  const span = maxYear - minYear;
+  const span = Math.max(maxYear - minYear, 1); // avoid dividing by zero for a single year
 
   const yearToPercent = (year) =>
     ((year - minYear) / span) * 100;
 
-  // AUTO SCROLL LOOP
-  useEffect(() => {
-    if (!isLooping || !trackRef.current) return;
+  const isLanes = view === 'lanes';
+  const lanes = groupIntoLanes(events);
 
-    let raf;
+  // Lanes share whatever height is left between the header and the filter
+  const laneHeight = Math.min(MAX_LANE_HEIGHT, Math.max(MIN_LANE_HEIGHT,
+    (viewportHeight - RESERVED_HEIGHT - MINIMAP_SPACE - LANES_TOP - RULER_SPACE) / Math.max(lanes.length, 1)));
+  const laneCenter = (index) => LANES_TOP + (index + 0.5) * laneHeight;
+  const trackHeight = isLanes
+    ? LANES_TOP + lanes.length * laneHeight + RULER_SPACE
+    : COMBINED_TRACK_HEIGHT;
 
-    const scroll = () => {
-      trackRef.current.scrollLeft += 0.3;
-      raf = requestAnimationFrame(scroll);
+  // On-screen scale: the track is BASE_TRACK_WIDTH × zoom screens wide
+  const visibleWidth = viewportWidth - (isLanes ? LANE_LABEL_WIDTH : 0);
+  const pxPerYear = (visibleWidth * BASE_TRACK_WIDTH * zoom) / span;
+
+  useEffect(() => {
+    const handleResize = () => {
+      setViewportWidth(window.innerWidth);
+      setViewportHeight(window.innerHeight);
     };
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
 
-    raf = requestAnimationFrame(scroll);
-    return () => cancelAnimationFrame(raf);
-  }, [isLooping]);
+  // MINIMAP: follow the track's scroll position and zoom
+  const updateViewport = useCallback(() => {
+    const track = trackRef.current;
+    if (!track || !track.scrollWidth) return;
+    setViewport({
+      start: track.scrollLeft / track.scrollWidth,
+      size: track.clientWidth / track.scrollWidth,
+    });
+  }, []);
 
-  // CLICK TO ZOOM
-  const handleZoom = () => {
-    setZoom(prev => (prev >= 2.5 ? 1 : prev + 0.5));
+  useEffect(() => {
+    const track = trackRef.current;
+    if (!track) return;
+    track.addEventListener('scroll', updateViewport, { passive: true });
+    return () => track.removeEventListener('scroll', updateViewport);
+  }, [updateViewport]);
+
+  // ANALYTICS: record each zoom gesture once, not every step of it
+  const trackedZoomRef = useRef(zoom);
+  useEffect(() => {
+    if (zoom === trackedZoomRef.current) return undefined;
+    const timer = setTimeout(() => {
+      trackedZoomRef.current = zoom;
+      trackEvent('zoom', { zoom: Math.round(zoom * 100) / 100 });
+    }, ZOOM_SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [zoom]);
+
+  // Zooming (or the lane labels) changes the track width, which may not fire a scroll event
+  useLayoutEffect(updateViewport, [zoom, viewportWidth, view, updateViewport]);
+
+  const handleSeek = (fraction, smooth) => {
+    const track = trackRef.current;
+    if (!track) return;
+    track.scrollTo({
+      left: fraction * track.scrollWidth - track.clientWidth / 2,
+      behavior: smooth ? scrollBehavior : 'auto',
+    });
+  };
+
+  // Events that would overlap on screen (always those in the same year),
+  // each with its vertical position: the line, or the middle of its lane
+  const minYearGap = MIN_DOT_SPACING / pxPerYear;
+  const placedClusters = isLanes
+    ? lanes.flatMap((lane, index) => clusterEvents(lane.events, minYearGap)
+      .map(cluster => ({ cluster, top: `${laneCenter(index)}px` })))
+    : clusterEvents(events, minYearGap).map(cluster => ({ cluster, top: '50%' }));
+
+  const handleToggleCluster = (key) => {
+    setExpandedKey(prev => (prev === key ? null : key));
+  };
+
+  // SCROLL THE FOCUSED DOT INTO THE CENTER
+  // (this is also what moves the track along during the live tour,
+  // and what keeps the focus in view when the lane labels narrow the track)
+  useEffect(() => {
+    const track = trackRef.current;
+    const dot = dotRefs.current[focusedEventId];
+    if (!track || !dot) return;
+
+    const trackRect = track.getBoundingClientRect();
+    const dotRect = dot.getBoundingClientRect();
+    const offset = (dotRect.left + dotRect.width / 2) - (trackRect.left + trackRect.width / 2);
+    track.scrollBy({ left: offset, behavior: scrollBehavior });
+  }, [focusedEventId, events, view, scrollBehavior]);
+
+  // DECADE JUMP: animate the track so the middle of the decade is centered
+  const handleSelectDecade = (decade) => {
+    const track = trackRef.current;
+    const line = lineRef.current;
+    if (!track || !line) return;
+
+    const year = Math.min(decade + 5, maxYear);
+    const trackRect = track.getBoundingClientRect();
+    const lineRect = line.getBoundingClientRect();
+    const x = lineRect.left + (lineRect.width * yearToPercent(year)) / 100;
+    track.scrollBy({ left: x - (trackRect.left + trackRect.width / 2), behavior: scrollBehavior });
   };
 
   return (
-    <div style={styles.wrapper} onClick={handleZoom}>
-      <div ref={trackRef} style={styles.trackWrapper}>
+    <div
+      style={{
+        ...styles.wrapper,
+        height: `${trackHeight + MINIMAP_SPACE}px`,
+        ...(isLanes ? styles.wrapperLanes : null),
+      }}
+    >
+      {onChangeView && (
+        <div style={styles.toggle}>
+          <TimelineViewToggle view={view} language={language} onChangeView={onChangeView} />
+        </div>
+      )}
+
+      {/* LANE LABELS: stay put while the track scrolls under them */}
+      {isLanes && (
+        <div style={styles.laneLabels}>
+          {lanes.map((lane, index) => {
+            const { color, icon } = getSportConfig(lane.sport);
+            return (
+              <div
+                key={lane.sport}
+                style={{ ...styles.laneLabel, top: `${laneCenter(index)}px`, color }}
+              >
+                <span style={{ ...styles.laneIcon, borderColor: color }}>{icon}</span>
+                <span style={styles.laneName}>{translateSport(language, lane.sport)}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div
+        ref={trackRef}
+        role="group"
+        aria-label={translate(language, 'timelineLabel')}
+        style={{
+          ...styles.trackWrapper,
+          height: `${trackHeight}px`,
+          marginLeft: isLanes ? `${LANE_LABEL_WIDTH}px` : 0,
+          cursor: isDragging ? 'grabbing' : 'grab',
+        }}
+      >
         <div
           style={{
             ...styles.track,
-            transform: `scale(${zoom})`,
+            width: `${BASE_TRACK_WIDTH * zoom * 100}%`,
           }}
         >
-          <div style={styles.line} />
+          <div ref={lineRef} style={{ ...styles.line, opacity: isLanes ? 0 : 1 }} />
+
+          {/* One row per sport, with a bar from its founding to its latest milestone */}
+          {isLanes && lanes.map((lane, index) => {
+            const { color } = getSportConfig(lane.sport);
+            const start = yearToPercent(lane.firstYear);
+            return (
+              <div
+                key={lane.sport}
+                style={{ ...styles.lane, top: `${laneCenter(index)}px` }}
+              >
+                <div
+                  style={{
+                    ...styles.laneHistory,
+                    left: `${start}%`,
+                    width: `${yearToPercent(lane.lastYear) - start}%`,
+                    background: color,
+                  }}
+                />
+              </div>
+            );
+          })}
 
-          {events.map((event) => {
+          <TimelineRuler
+            ticks={getRulerTicks(minYear, maxYear, pxPerYear)}
+            yearToPercent={yearToPercent}
+            top={isLanes ? `${trackHeight - RULER_SPACE + 8}px` : undefined}
+            onSelectDecade={handleSelectDecade}
+          />
+
+          {placedClusters.map(({ cluster, top }) => {
+            // Several events in one spot: draw a numbered cluster badge
+            if (cluster.events.length > 1) {
+              return (
+                <div
+                  key={cluster.key}
+                  // Every member scrolls to the badge when it gets the focus
+                  ref={el => { cluster.events.forEach(event => { dotRefs.current[event.id] = el; }); }}
+                  style={{
+                    ...styles.dotWrapper,
+                    left: `${yearToPercent(cluster.year)}%`,
+                    top,
+                    zIndex: 2,
+                  }}
+                >
+                  <TimelineCluster
+                    cluster={cluster}
+                    language={language}
+                    // Also fan out while the focused event is inside, so the focus stays visible
+                    isExpanded={expandedKey === cluster.key ||
+                      cluster.events.some(event => event.id === focusedEventId)}
+                    focusedEventId={focusedEventId}
+                    onToggle={handleToggleCluster}
+                    onSelectEvent={onSelectEvent}
+                  />
+                </div>
+              );
+            }
+
+            const event = cluster.events[0];
             const { color, icon } = getSportConfig(event.sport);
+            const isFocused = event.id === focusedEventId;
 
             return (
               <div
+                // Same key in both views, so the dot glides to its new row
                 key={event.id}
+                ref={el => { dotRefs.current[event.id] = el; }}
                 style={{
                   ...styles.dotWrapper,
                   left: `${yearToPercent(event.year)}%`,
+                  top,
                 }}
+                // Not a <button>: its hover scale would replace the centering transform
+                role="button"
+                tabIndex={0}
+                aria-label={translate(language, 'eventDot', {
+                  year: event.year,
+                  sport: translateSport(language, event.sport),
+                  title: event.title,
+                })}
+                aria-current={isFocused || undefined}
                 onClick={(e) => {
                   e.stopPropagation();
                   onSelectEvent(event);
                 }}
+                onKeyDown={activateOnKey(() => onSelectEvent(event))}
               >
                 <div
                   style={{
                     ...styles.dot,
                     background: color,
                   }}
-                />
-                <span style={styles.icon}>{icon}</span>
+                >
+                  {isFocused && (
+                    <span style={{ ...styles.focusRing, borderColor: color }} />
+                  )}
+                </div>
+                {/* The lane label already shows the sport */}
+                {!isLanes && <span style={styles.icon}>{icon}</span>}
               </div>
             );
           })}
         </div>
       </div>
+
+      <TimelineMinimap
+        events={events}
+        yearToPercent={yearToPercent}
+        viewport={viewport}
+        focusedEventId={focusedEventId}
+        onSeek={handleSeek}
+      />
     </div>
   );
 }
@@ -79,23 +341,70 @@ export default function Timeline({ events, onSelectEvent, isLooping }) {
 const styles = {
   wrapper: {
     position: 'absolute',
-    top: '50%',
+    bottom: '130px',                   // docked above the sport filter chips
     left: 0,
     right: 0,
-    height: '240px',
-    transform: 'translateY(-50%)',
     zIndex: 10,
+    backgroundColor: 'rgba(0, 18, 42, 0)',
+    transition: 'height 0.5s cubic-bezier(0.4, 0, 0.2, 1), background-color 0.5s ease',
+  },
+  // "By sport": the taller panel covers the event card behind it
+  wrapperLanes: {
+    backgroundColor: 'rgba(0, 18, 42, 0.94)',
+    borderTop: '1px solid rgba(192, 151, 79, 0.3)',
+  },
+  toggle: {
+    position: 'absolute',
+    bottom: '100%',
+    right: '32px',
+    marginBottom: '10px',
+  },
+  laneLabels: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    width: `${LANE_LABEL_WIDTH}px`,
+    animation: 'fadeIn 0.5s ease both',
+    pointerEvents: 'none',
+  },
+  laneLabel: {
+    position: 'absolute',
+    left: '16px',
+    right: '8px',
+    transform: 'translateY(-50%)',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    transition: 'top 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
+  },
+  laneIcon: {
+    flexShrink: 0,
+    width: '20px',
+    height: '20px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    fontSize: textSize('12px'),
+    border: '1px solid',
+    borderRadius: '50%',
+  },
+  laneName: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('13px'),
+    fontWeight: 600,
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
   },
   trackWrapper: {
-    overflowX: 'auto',
-    height: '100%',
-    cursor: 'grab',
+    overflowX: 'hidden',               // scrolled by useTrackGestures, not the browser
+    overflowY: 'hidden',
+    touchAction: 'none',               // we handle pinch and pan ourselves
+    transition: 'height 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
   },
   track: {
     position: 'relative',
     height: '100%',
-    minWidth: '300%',
-    transition: 'transform 0.3s ease',
   },
   line: {
     position: 'absolute',
@@ -104,6 +413,26 @@ const styles = {
     right: 0,
     height: '3px',
     background: 'rgba(255,255,255,0.3)',
+    transition: 'opacity 0.5s ease',
+  },
+  // Faint guide across the whole lane
+  lane: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: '1px',
+    background: 'rgba(255,255,255,0.08)',
+    animation: 'fadeIn 0.5s ease both',
+    transition: 'top 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
+  },
+  // The program's span, from its founding to its latest milestone
+  laneHistory: {
+    position: 'absolute',
+    top: '-1px',
+    height: '3px',
+    borderRadius: '2px',
+    opacity: 0.55,
+    transition: 'left 0.5s cubic-bezier(0.4, 0, 0.2, 1), width 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
   },
   dotWrapper: {
     position: 'absolute',
@@ -113,14 +442,30 @@ const styles = {
     flexDirection: 'column',
     alignItems: 'center',
     cursor: 'pointer',
+    // Slides dots when the filter changes the year range, and between the line and the lanes
+    transition: 'left 0.5s cubic-bezier(0.4, 0, 0.2, 1), top 0.6s cubic-bezier(0.4, 0, 0.2, 1)',
   },
   dot: {
+    position: 'relative',
+    width: '18px',
+    height: '18px',
+    borderRadius: '50%',
+    boxShadow: 'var(--dot-outline, none)',  // white ring in LARGE TEXT mode (global.css)
+  },
+  // Pulsing ring around the dot the visitor navigated to
+  focusRing: {
+    position: 'absolute',
+    top: '50%',
+    left: '50%',
     width: '18px',
     height: '18px',
     borderRadius: '50%',
+    border: '2px solid',
+    transform: 'translate(-50%, -50%)',            // also where it rests with reduced motion
+    animation: 'pulseRing 1.5s ease-out infinite', // keyframe in global.css
   },
   icon: {
-    fontSize: '14px',
+    fontSize: textSize('14px'),
     marginTop: '4px',
   },
 };
\ No newline at end of file
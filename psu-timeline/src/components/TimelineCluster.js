@@ -0,0 +1,158 @@
+// src/components/TimelineCluster.js
+// A numbered badge standing in for several events that share a spot on
+// the timeline. Tapping it fans the members out above the line as a
+// chooser, so every event stays reachable.
+
+import React from 'react';
+import { getSportConfig } from '../utils/sportConfig';
+import { translate } from '../utils/i18n';
+import { textSize } from '../utils/largeText';
+
+/**
+ * TimelineCluster
+ * @param {Object}   cluster        - From clusterEvents: { key, year, events }
+ * @param {string}   language       - Code of the language being shown (badge label)
+ * @param {boolean}  isExpanded     - Whether the members are fanned out
+ * @param {number}   focusedEventId - Id of the focused event (gets a highlight)
+ * @param {Function} onToggle       - Called when the badge is tapped
+ * @param {Function} onSelectEvent  - Called with a member event when it is tapped
+ */
+export default function TimelineCluster({
+  cluster, language, isExpanded, focusedEventId, onToggle, onSelectEvent,
+}) {
+  const colors = cluster.events.map(event => getSportConfig(event.sport).color);
+
+  // Pie of the members' sport colors, so the badge hints at what's inside
+  const slice = 100 / colors.length;
+  const pie = colors.map((color, i) => `${color} ${i * slice}% ${(i + 1) * slice}%`).join(', ');
+
+  // cluster.year is the members' average (where the badge sits); read out their real years
+  const firstYear = cluster.events[0].year;
+  const lastYear = cluster.events[cluster.events.length - 1].year;
+  const years = firstYear === lastYear ? firstYear : `${firstYear}–${lastYear}`;
+
+  return (
+    <div style={styles.root}>
+      {isExpanded && (
+        <div style={styles.fan}>
+          {cluster.events.map(event => {
+            const { color, icon } = getSportConfig(event.sport);
+            const isFocused = event.id === focusedEventId;
+
+            return (
+              <button
+                key={event.id}
+                style={{ ...styles.member, ...(isFocused ? { borderColor: color } : null) }}
+                aria-current={isFocused || undefined}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onSelectEvent(event);
+                }}
+              >
+                <span style={{ ...styles.memberDot, background: color }} />
+                <span style={styles.memberIcon} aria-hidden="true">{icon}</span>
+                <span style={styles.memberTitle}>{event.year} · {event.title}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <button
+        style={{ ...styles.badge, background: `conic-gradient(${pie})` }}
+        onClick={(e) => {
+          e.stopPropagation();
+          onToggle(cluster.key);
+        }}
+        aria-expanded={isExpanded}
+        aria-label={translate(language, 'clusterLabel', { count: cluster.events.length, year: years })}
+      >
+        <span style={styles.count}>{cluster.events.length}</span>
+      </button>
+      <span style={styles.icons} aria-hidden="true">{cluster.events.map(event => getSportConfig(event.sport).icon).join('')}</span>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  root: {
+    position: 'relative',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+  },
+
+  badge: {
+    width: '26px',
+    height: '26px',
+    borderRadius: '50%',
+    border: '2px solid rgba(255,255,255,0.85)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    cursor: 'pointer',
+    padding: 0,
+  },
+
+  count: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('12px'),
+    fontWeight: 700,
+    color: '#FFFFFF',
+    textShadow: '0 1px 2px rgba(0,0,0,0.9)',
+  },
+
+  icons: {
+    fontSize: textSize('12px'),
+    marginTop: '2px',
+    whiteSpace: 'nowrap',
+  },
+
+  // Members stacked upwards from the badge
+  fan: {
+    position: 'absolute',
+    bottom: 'calc(100% + 8px)',
+    display: 'flex',
+    flexDirection: 'column-reverse',
+    gap: '6px',
+    animation: 'fadeUp 0.3s cubic-bezier(0.4, 0, 0.2, 1) both',
+    zIndex: 5,
+  },
+
+  member: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    minHeight: '36px',
+    padding: '6px 12px',
+    background: 'rgba(0, 18, 42, 0.95)',
+    border: '1px solid rgba(255,255,255,0.15)',
+    borderRadius: '18px',
+    cursor: 'pointer',
+    whiteSpace: 'nowrap',
+  },
+
+  memberDot: {
+    width: '12px',
+    height: '12px',
+    borderRadius: '50%',
+    flexShrink: 0,
+  },
+
+  memberIcon: {
+    fontSize: textSize('14px'),
+  },
+
+  memberTitle: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('13px'),
+    fontWeight: 600,
+    color: '#FFFFFF',
+    maxWidth: '220px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+  },
+};
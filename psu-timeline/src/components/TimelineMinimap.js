@@ -0,0 +1,123 @@
+// src/components/TimelineMinimap.js
+// Compact overview strip under the timeline track.
+// Shows every event as a tiny sport-colored tick across the full year range,
+// with a gold rectangle marking the part of the track currently on screen.
+// Tapping or dragging on the strip moves the main track.
+
+import React, { useRef } from 'react';
+import { getSportConfig } from '../utils/sportConfig';
+
+/**
+ * TimelineMinimap
+ * @param {Object[]} events         - Events drawn on the track
+ * @param {Function} yearToPercent  - Same year mapping the track uses (0–100)
+ * @param {Object}   viewport       - Visible part of the track as fractions: { start, size }
+ * @param {number}   focusedEventId - Id of the event to highlight
+ * @param {Function} onSeek         - Called with (fraction, smooth) to center the track there
+ */
+export default function TimelineMinimap({ events, yearToPercent, viewport, focusedEventId, onSeek }) {
+  const stripRef = useRef(null);
+  const isDraggingRef = useRef(false);
+
+  const fractionAt = (clientX) => {
+    const rect = stripRef.current.getBoundingClientRect();
+    return Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+  };
+
+  const handlePointerDown = (e) => {
+    isDraggingRef.current = true;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    onSeek(fractionAt(e.clientX), true);
+  };
+
+  const handlePointerMove = (e) => {
+    if (isDraggingRef.current) onSeek(fractionAt(e.clientX), false);
+  };
+
+  const handlePointerUp = () => {
+    isDraggingRef.current = false;
+  };
+
+  return (
+    // Hidden from screen readers: the dots on the track are reachable by keyboard
+    <div
+      ref={stripRef}
+      style={styles.strip}
+      aria-hidden="true"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      {events.map(event => {
+        const isFocused = event.id === focusedEventId;
+        return (
+          <span
+            key={event.id}
+            style={{
+              ...styles.tick,
+              ...(isFocused ? styles.focusedTick : null),
+              left: `${yearToPercent(event.year)}%`,
+              background: isFocused ? '#FFFFFF' : getSportConfig(event.sport).color,
+            }}
+          />
+        );
+      })}
+
+      {/* The part of the track currently on screen */}
+      <div
+        style={{
+          ...styles.viewport,
+          left: `${viewport.start * 100}%`,
+          width: `${viewport.size * 100}%`,
+        }}
+      />
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  strip: {
+    position: 'relative',
+    height: '24px',
+    margin: '8px 48px 0',
+    background: 'rgba(255,255,255,0.04)',
+    border: '1px solid rgba(255,255,255,0.08)',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    touchAction: 'none',               // dragging here pans the track, not the page
+  },
+
+  tick: {
+    position: 'absolute',
+    top: '6px',
+    bottom: '6px',
+    width: '2px',
+    transform: 'translateX(-50%)',
+    borderRadius: '1px',
+    transition: 'left 0.5s cubic-bezier(0.4, 0, 0.2, 1)', // matches the dot slide
+  },
+
+  // Active event: taller, white and glowing
+  focusedTick: {
+    top: '2px',
+    bottom: '2px',
+    width: '3px',
+    boxShadow: '0 0 6px #FFFFFF',
+    zIndex: 1,
+  },
+
+  viewport: {
+    position: 'absolute',
+    top: '-1px',
+    bottom: '-1px',
+    minWidth: '8px',
+    border: '2px solid #C0974F',
+    borderRadius: '6px',
+    background: 'rgba(192, 151, 79, 0.12)',
+    pointerEvents: 'none',
+  },
+};
@@ -0,0 +1,106 @@
+// src/components/TimelineRuler.js
+// Year ruler drawn inside the timeline track, just below the line.
+// Uses the same yearToPercent mapping as the dots, so it stays aligned
+// at every zoom level. Decade labels are buttons that jump the track.
+
+import React from 'react';
+import { textSize, fadedWhite } from '../utils/largeText';
+
+/**
+ * TimelineRuler
+ * @param {Object[]} ticks          - From getRulerTicks: { year, isDecade, isLabeled }
+ * @param {Function} yearToPercent  - Maps a year to its left position on the track (0–100)
+ * @param {string}   top            - CSS top within the track (optional; default is just below the line)
+ * @param {Function} onSelectDecade - Called with a decade year when its label is tapped
+ */
+export default function TimelineRuler({ ticks, yearToPercent, top, onSelectDecade }) {
+  return (
+    <div style={top ? { ...styles.ruler, top } : styles.ruler}>
+      {ticks.map(({ year, isDecade, isLabeled }) => (
+        <div
+          key={year}
+          style={{ ...styles.tickWrapper, left: `${yearToPercent(year)}%` }}
+        >
+          <div style={isDecade ? styles.majorTick : styles.minorTick} />
+
+          {isLabeled && (
+            isDecade ? (
+              <button
+                style={styles.decadeLabel}
+                onClick={(e) => {
+                  // Keeps the click to this button, like the dots and cluster badges.
+                  // The track's gestures listen to pointer events, so a double tap
+                  // on a label still resets the zoom.
+                  e.stopPropagation();
+                  onSelectDecade(year);
+                }}
+              >
+                {year}s
+              </button>
+            ) : (
+              <span style={styles.minorLabel}>{year}</span>
+            )
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  ruler: {
+    position: 'absolute',
+    top: 'calc(50% + 40px)',           // below the dots and their icons
+    left: 0,
+    right: 0,
+    height: '48px',
+    pointerEvents: 'none',             // only the labels are tappable
+    transition: 'top 0.5s cubic-bezier(0.4, 0, 0.2, 1)', // moves below the lanes in the "by sport" view
+  },
+
+  tickWrapper: {
+    position: 'absolute',
+    top: 0,
+    transform: 'translateX(-50%)',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    transition: 'left 0.5s cubic-bezier(0.4, 0, 0.2, 1)', // matches the dot slide
+  },
+
+  majorTick: {
+    width: '2px',
+    height: '14px',
+    background: 'rgba(192, 151, 79, 0.8)',
+  },
+
+  minorTick: {
+    width: '1px',
+    height: '7px',
+    background: 'rgba(255,255,255,0.25)',
+  },
+
+  decadeLabel: {
+    marginTop: '4px',
+    padding: '4px 10px',
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: textSize('18px'),
+    letterSpacing: '0.05em',
+    color: '#e8c17a',
+    background: 'rgba(0, 18, 42, 0.6)',
+    border: '1px solid rgba(192, 151, 79, 0.3)',
+    borderRadius: '12px',
+    cursor: 'pointer',
+    pointerEvents: 'auto',
+  },
+
+  minorLabel: {
+    marginTop: '4px',
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('11px'),
+    color: fadedWhite(0.4),
+  },
+};
@@ -0,0 +1,83 @@
+// src/components/TimelineViewToggle.js
+// Two-button switch above the timeline: every sport on one line, or one
+// lane per sport. Styled like the LanguageSwitcher in the Header.
+
+import React from 'react';
+import { translate } from '../utils/i18n';
+import { textSize, fadedWhite } from '../utils/largeText';
+
+const VIEWS = [
+  { view: 'combined', icon: '━', labelKey: 'viewCombined' },
+  { view: 'lanes',    icon: '☰', labelKey: 'viewLanes' },
+];
+
+/**
+ * TimelineViewToggle
+ * @param {string}   view         - 'combined' or 'lanes'
+ * @param {string}   language     - Language code for the button labels
+ * @param {Function} onChangeView - Called with the view when a button is tapped
+ */
+export default function TimelineViewToggle({ view, language, onChangeView }) {
+  return (
+    <div style={styles.group} role="group" aria-label={translate(language, 'timelineView')}>
+      {VIEWS.map(({ view: option, icon, labelKey }) => {
+        const isActive = option === view;
+        return (
+          <button
+            key={option}
+            style={{ ...styles.option, ...(isActive ? styles.optionActive : null) }}
+            onClick={(e) => {
+              e.stopPropagation();
+              onChangeView(option);
+            }}
+            aria-pressed={isActive}
+          >
+            <span style={styles.icon} aria-hidden="true">{icon}</span>
+            {translate(language, labelKey)}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  group: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    padding: '3px',
+    background: 'rgba(0, 18, 42, 0.7)',
+    border: '1px solid rgba(255,255,255,0.15)',
+    borderRadius: '22px',
+  },
+
+  option: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    minHeight: '38px',                 // comfortable touch target
+    padding: '6px 14px',
+    border: 'none',
+    borderRadius: '19px',
+    background: 'transparent',
+    color: fadedWhite(0.7),
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('13px'),
+    fontWeight: 600,
+    letterSpacing: '0.08em',
+    cursor: 'pointer',
+  },
+
+  optionActive: {
+    background: '#C0974F',             // PSU gold
+    color: '#001E44',
+  },
+
+  icon: {
+    fontSize: textSize('12px'),
+  },
+};
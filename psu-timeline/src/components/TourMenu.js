@@ -0,0 +1,148 @@
+// src/components/TourMenu.js
+// TOURS button in the Header. Opens a short list of the themed tours in
+// tours.json; picking one starts it for the visitor.
+
+import React, { useState } from 'react';
+import { translate } from '../utils/i18n';
+import { textSize, fadedWhite, fadedGold } from '../utils/largeText';
+
+/**
+ * TourMenu
+ * @param {Object[]} tours       - Tours from localizeTour: { name, title, stops }
+ * @param {string}   language    - Code of the language being shown
+ * @param {Function} onStartTour - Called with the name of the tour picked
+ */
+export default function TourMenu({ tours, language, onStartTour }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handlePick = (name) => {
+    setIsOpen(false);
+    onStartTour(name);
+  };
+
+  return (
+    <div style={styles.root}>
+      <button
+        style={styles.toggle}
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        aria-haspopup="true"
+      >
+        <span style={styles.icon}>🧭</span>
+        <span style={styles.label}>{translate(language, 'tours')}</span>
+      </button>
+
+      {isOpen && (
+        <>
+          {/* Tapping anywhere else closes the list */}
+          <div style={styles.dismiss} onClick={() => setIsOpen(false)} />
+          <div style={styles.menu} role="menu" aria-label={translate(language, 'chooseTour')}>
+            <p style={styles.heading}>{translate(language, 'chooseTour')}</p>
+            {tours.map(tour => (
+              <button key={tour.name} style={styles.item} role="menuitem" onClick={() => handlePick(tour.name)}>
+                <span style={styles.itemName}>{tour.title}</span>
+                <span style={styles.itemStops}>
+                  {translate(language, 'tourStops', { count: tour.stops.length })}
+                </span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  root: {
+    position: 'relative',
+  },
+
+  // Same pill as the Header's search button
+  toggle: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    minHeight: '44px',                 // comfortable touch target
+    padding: '8px 18px',
+    background: 'rgba(255,255,255,0.06)',
+    border: '1px solid rgba(255,255,255,0.15)',
+    borderRadius: '22px',
+    cursor: 'pointer',
+  },
+
+  icon: {
+    fontSize: textSize('14px'),
+  },
+
+  label: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('11px'),
+    fontWeight: 700,
+    letterSpacing: '0.2em',
+    color: fadedWhite(0.8),
+  },
+
+  dismiss: {
+    position: 'fixed',
+    inset: 0,
+  },
+
+  menu: {
+    position: 'absolute',
+    top: 'calc(100% + 10px)',
+    right: 0,
+    zIndex: 1,
+    minWidth: '300px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    padding: '14px',
+    background: 'linear-gradient(145deg, #001a3d, #000f25)',
+    border: '1px solid rgba(192, 151, 79, 0.3)',
+    borderRadius: '14px',
+    boxShadow: '0 20px 40px rgba(0,0,0,0.6)',
+    animation: 'fadeIn 0.2s ease both',  // keyframe in global.css
+  },
+
+  heading: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('11px'),
+    fontWeight: 700,
+    letterSpacing: '0.25em',
+    textTransform: 'uppercase',
+    color: fadedGold(0.8),
+    padding: '0 6px 4px',
+  },
+
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '16px',
+    minHeight: '52px',
+    padding: '10px 14px',
+    textAlign: 'left',
+    background: 'rgba(255,255,255,0.04)',
+    border: '1px solid rgba(255,255,255,0.08)',
+    borderRadius: '10px',
+    cursor: 'pointer',
+  },
+
+  itemName: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: textSize('17px'),
+    fontWeight: 700,
+    color: '#FFFFFF',
+  },
+
+  itemStops: {
+    flexShrink: 0,
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: textSize('12px'),
+    color: fadedWhite(0.5),
+  },
+};
@@ -0,0 +1,271 @@
+// src/components/VisitOverlay.js
+// The visitor's "my visit" list: every event they saved from the
+// DetailModal, with one QR code that takes the whole list home.
+// On the website (/visit/3,7,12) the same panel lists what was scanned,
+// without the QR code.
+
+import React, { useEffect, useId, useRef } from 'react';
+import QrCode from './QrCode';
+import { getSportConfig } from '../utils/sportConfig';
+import { translate, translateSport } from '../utils/i18n';
+import { buildWebUrl } from '../utils/route';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+/**
+ * VisitOverlay
+ * @param {Object[]} events        - The saved events, in the order added (already localized)
+ * @param {string}   language      - Code of the language being shown
+ * @param {boolean}  showQrCode    - Whether to show the take-home code (kiosk only)
+ * @param {Function} onSelectEvent - Called with an event the visitor tapped
+ * @param {Function} onRemove      - Called with an event id to take off the list
+ * @param {Function} onClose       - Called when the overlay should be dismissed
+ */
+export default function VisitOverlay({ events, language, showQrCode, onSelectEvent, onRemove, onClose }) {
+  const panelRef = useRef(null);
+  const titleId = useId();
+  useFocusTrap(panelRef);
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.key === 'Escape') onClose();
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div style={styles.backdrop} onClick={onClose}>
+      <div
+        ref={panelRef}
+        style={styles.panel}
+        onClick={e => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+      >
+        <div style={styles.topRow}>
+          <h2 id={titleId} style={styles.title}>{translate(language, 'myVisit')}</h2>
+          <button style={styles.closeBtn} onClick={onClose} aria-label={translate(language, 'closeVisit')}>
+            ✕
+          </button>
+        </div>
+
+        <div style={styles.body}>
+          {showQrCode && events.length > 0 && (
+            <figure style={styles.figure}>
+              <QrCode
+                value={buildWebUrl({ visitIds: events.map(event => event.id) })}
+                size={220}
+                label={translate(language, 'scanVisit', { count: events.length })}
+              />
+              <figcaption style={styles.caption}>
+                {translate(language, 'scanVisit', { count: events.length })}
+              </figcaption>
+            </figure>
+          )}
+
+          <div style={styles.list}>
+            {events.length === 0 && (
+              <p style={styles.empty}>{translate(language, 'visitEmpty')}</p>
+            )}
+
+            {events.map(event => {
+              const { color, icon } = getSportConfig(event.sport);
+              return (
+                <div key={event.id} style={{ ...styles.item, borderLeftColor: color }}>
+                  <button style={styles.itemMain} onClick={() => onSelectEvent(event)}>
+                    <span style={styles.itemIcon} aria-hidden="true">{icon}</span>
+                    <span style={{ ...styles.itemYear, color }}>{event.year}</span>
+                    <span style={styles.itemText}>
+                      <span style={styles.itemTitle}>{event.title}</span>
+                      <span style={styles.itemSport}>{translateSport(language, event.sport).toUpperCase()}</span>
+                    </span>
+                  </button>
+                  <button
+                    style={styles.removeBtn}
+                    onClick={() => onRemove(event.id)}
+                    aria-label={translate(language, 'removeFromVisit', { title: event.title })}
+                  >
+                    ✕
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ============================================================
+   Styles
+   ============================================================ */
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0, 5, 20, 0.9)',
+    backdropFilter: 'blur(8px)',
+    WebkitBackdropFilter: 'blur(8px)',
+    zIndex: 90,                          // just below DetailModal
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '40px',
+    animation: 'fadeIn 0.3s ease both',  // keyframe in global.css
+  },
+
+  panel: {
+    width: '100%',
+    maxWidth: '860px',
+    maxHeight: '80vh',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '20px',
+    padding: '28px 32px',
+    background: 'linear-gradient(145deg, #001a3d, #000f25)',
+    border: '1px solid rgba(192, 151, 79, 0.3)',
+    borderRadius: '20px',
+    boxShadow: '0 40px 80px rgba(0,0,0,0.7)',
+    animation: 'fadeUp 0.4s cubic-bezier(0.4, 0, 0.2, 1) both',
+    outline: 'none',
+  },
+
+  topRow: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '16px',
+  },
+
+  title: {
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: '32px',
+    letterSpacing: '0.08em',
+    color: '#e8c17a',
+  },
+
+  closeBtn: {
+    width: '56px',
+    height: '56px',
+    borderRadius: '50%',
+    border: '1px solid rgba(255,255,255,0.15)',
+    background: 'rgba(255,255,255,0.06)',
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: '18px',
+    cursor: 'pointer',
+  },
+
+  body: {
+    flex: 1,
+    minHeight: 0,
+    display: 'flex',
+    gap: '28px',
+    alignItems: 'flex-start',
+  },
+
+  figure: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '12px',
+    maxWidth: '220px',
+    margin: 0,
+  },
+
+  caption: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '14px',
+    lineHeight: 1.4,
+    color: 'rgba(255,255,255,0.7)',
+    textAlign: 'center',
+  },
+
+  list: {
+    flex: 1,
+    minWidth: 0,
+    maxHeight: '100%',
+    overflowY: 'auto',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+  },
+
+  empty: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '16px',
+    color: 'rgba(255,255,255,0.5)',
+    padding: '24px 0',
+  },
+
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    background: 'rgba(0, 20, 50, 0.75)',
+    border: '1px solid rgba(255,255,255,0.08)',
+    borderLeft: '4px solid',           // color set inline via sport config
+    borderRadius: '10px',
+  },
+
+  itemMain: {
+    flex: 1,
+    minWidth: 0,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+    minHeight: '60px',
+    padding: '10px 20px',
+    textAlign: 'left',
+    background: 'transparent',
+    border: 'none',
+    cursor: 'pointer',
+  },
+
+  itemIcon: {
+    fontSize: '24px',
+  },
+
+  itemYear: {
+    fontFamily: "'Bebas Neue', Impact, sans-serif",
+    fontSize: '28px',
+    lineHeight: 1,
+    minWidth: '56px',
+  },
+
+  itemText: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px',
+    minWidth: 0,
+  },
+
+  itemTitle: {
+    fontFamily: "'Playfair Display', Georgia, serif",
+    fontSize: '18px',
+    fontWeight: 700,
+    color: '#FFFFFF',
+  },
+
+  itemSport: {
+    fontFamily: "'Source Sans 3', sans-serif",
+    fontSize: '11px',
+    fontWeight: 700,
+    letterSpacing: '0.2em',
+    color: 'rgba(255,255,255,0.45)',
+  },
+
+  removeBtn: {
+    width: '44px',
+    height: '44px',
+    marginRight: '10px',
+    flexShrink: 0,
+    borderRadius: '50%',
+    border: '1px solid rgba(255,255,255,0.12)',
+    background: 'transparent',
+    color: 'rgba(255,255,255,0.5)',
+    fontSize: '14px',
+    cursor: 'pointer',
+  },
+};
@@ -2,22 +2,28 @@
 // Custom React hook that automatically advances through timeline events
 // when in "loop mode" (no user interaction).
 
-import { useEffect, useRef } from 'react';
+import { useEffect, useRef, useState } from 'react';
 
 /**
  * useAutoplay
- * @param {boolean}  isPlaying   - Whether auto-advance is active
- * @param {Function} onAdvance   - Callback to advance to the next event
- * @param {number}   interval    - Milliseconds between advances (default: 4000)
+ * @param   {boolean}  isPlaying   - Whether auto-advance is active
+ * @param   {Function} onAdvance   - Callback to advance to the next event
+ * @param   {number}   interval    - Milliseconds between advances (default: 4000)
+ * @returns {number} A count that goes up every time the wait for the next
+ *          advance starts over, so a countdown (EventCard's progress bar)
+ *          can be keyed to it and stay in step with the real advance
  */
 export function useAutoplay(isPlaying, onAdvance, interval = 4000) {
   // Store the interval ID so we can clear it when paused or unmounted
   const intervalRef = useRef(null);
+  const [cycle, setCycle] = useState(0);
 
   useEffect(() => {
     if (isPlaying) {
-      // Start the auto-advance interval
+      // Start the auto-advance interval (a new callback or interval restarts it too)
+      setCycle(n => n + 1);
       intervalRef.current = setInterval(() => {
+        setCycle(n => n + 1);
         onAdvance();
       }, interval);
     } else {
@@ -35,4 +41,6 @@ export function useAutoplay(isPlaying, onAdvance, interval = 4000) {
       }
     };
   }, [isPlaying, onAdvance, interval]); // Re-run whenever these change
+
+  return cycle;
 }
@@ -0,0 +1,61 @@
+// src/hooks/useFocusTrap.js
+// Custom React hook for overlays that act as modal dialogs: moves keyboard
+// focus into the overlay when it opens, keeps Tab / Shift+Tab cycling
+// inside it, and hands focus back to whatever had it once it closes.
+// Overlays can stack (the Lightbox opens over the DetailModal); only the
+// one on top holds the focus.
+
+import { useEffect } from 'react';
+import { getFocusable } from '../utils/a11y';
+
+// Containers of the open traps, the one on top last
+const openTraps = [];
+
+/**
+ * useFocusTrap
+ * @param {Object} containerRef - Ref to the dialog element (give it tabIndex={-1}
+ *                                so it can take the focus when it has no buttons)
+ */
+export function useFocusTrap(containerRef) {
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    const previousFocus = document.activeElement;
+    openTraps.push(container);
+    // Start on the first control (usually Close), so Escape and Enter work at once
+    (getFocusable(container)[0] || container).focus();
+
+    function handleKeyDown(e) {
+      if (e.key !== 'Tab' || openTraps[openTraps.length - 1] !== container) return;
+
+      const focusable = getFocusable(container);
+      if (focusable.length === 0) {
+        e.preventDefault();
+        container.focus();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const isInside = container.contains(document.activeElement);
+
+      if (e.shiftKey && (!isInside || document.activeElement === first || document.activeElement === container)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (!isInside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      openTraps.splice(openTraps.indexOf(container), 1);
+      // The element may be gone by now (e.g. a dot the sport filter hid)
+      if (previousFocus && previousFocus.focus && document.body.contains(previousFocus)) {
+        previousFocus.focus();
+      }
+    };
+  }, [containerRef]);
+}
@@ -2,16 +2,19 @@
 // Custom React hook that tracks user inactivity.
 // After `timeout` milliseconds of no mouse/touch/keyboard activity,
 // it calls the `onIdle` callback — which triggers the auto-loop mode.
+// While `isSuspended` is true (e.g. a video is playing) the timer is held
+// and starts counting again from zero once it ends.
 
 import { useEffect, useRef, useCallback } from 'react';
 
 /**
  * useInactivity
- * @param {Function} onIdle     - Called when user goes idle
- * @param {Function} onActive   - Called when user becomes active again
- * @param {number}   timeout    - Milliseconds of inactivity before calling onIdle
+ * @param {Function} onIdle      - Called when user goes idle
+ * @param {Function} onActive    - Called when user becomes active again
+ * @param {number}   timeout     - Milliseconds of inactivity before calling onIdle
+ * @param {boolean}  isSuspended - Hold the idle timer (counts as ongoing activity)
  */
-export function useInactivity(onIdle, onActive, timeout = 12000) {
+export function useInactivity(onIdle, onActive, timeout = 12000, isSuspended = false) {
   // Store the timer ID so we can clear it on new activity
   const timerRef = useRef(null);
 
@@ -24,11 +27,12 @@ export function useInactivity(onIdle, onActive, timeout = 12000) {
     // Notify that user is active
     onActive();
 
-    // Start a fresh idle timer
+    // Start a fresh idle timer (unless something is holding it)
+    if (isSuspended) return;
     timerRef.current = setTimeout(() => {
       onIdle();
     }, timeout);
-  }, [onIdle, onActive, timeout]);
+  }, [onIdle, onActive, timeout, isSuspended]);
 
   useEffect(() => {
     // Events that count as "user activity"
@@ -40,7 +44,10 @@ export function useInactivity(onIdle, onActive, timeout = 12000) {
     });
 
     // Start the initial idle timer when the component mounts
-    timerRef.current = setTimeout(onIdle, timeout);
+    // (or when a suspension ends)
+    if (!isSuspended) {
+      timerRef.current = setTimeout(onIdle, timeout);
+    }
 
     // Cleanup: remove all listeners and cancel timer on unmount
     return () => {
@@ -51,5 +58,5 @@ export function useInactivity(onIdle, onActive, timeout = 12000) {
         clearTimeout(timerRef.current);
       }
     };
-  }, [handleActivity, onIdle, timeout]);
+  }, [handleActivity, onIdle, timeout, isSuspended]);
 }
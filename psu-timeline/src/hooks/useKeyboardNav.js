@@ -0,0 +1,45 @@
+// src/hooks/useKeyboardNav.js
+// Custom React hook that maps keyboard and presenter-remote keys
+// to timeline navigation actions.
+
+import { useEffect } from 'react';
+
+// Key → action passed to onAction (see utils/eventNavigation.js)
+const KEY_ACTIONS = {
+  ArrowRight: 'next',
+  ArrowLeft:  'prev',
+  PageDown:   'nextDecade',
+  PageUp:     'prevDecade',
+  Home:       'first',
+  End:        'last',
+  Enter:      'open',
+};
+
+/**
+ * useKeyboardNav
+ * @param {boolean}  isEnabled - Whether keys should be handled (off while search is open)
+ * @param {Function} onAction  - Called with the action name for each handled key
+ */
+export function useKeyboardNav(isEnabled, onAction) {
+  useEffect(() => {
+    if (!isEnabled) return;
+
+    function handleKeyDown(e) {
+      const action = KEY_ACTIONS[e.key];
+      if (!action || e.altKey || e.ctrlKey || e.metaKey) return;
+
+      // Keys typed into a form control belong to it (text fields, the clip seek slider)
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return;
+
+      // Let Enter activate an on-screen button that already has focus
+      if (action === 'open' && target.closest && target.closest('button, [role="button"]')) return;
+
+      e.preventDefault(); // stop PageUp/Home etc. from scrolling the page
+      onAction(action);
+    }
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isEnabled, onAction]);
+}
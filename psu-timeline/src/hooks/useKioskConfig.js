@@ -0,0 +1,50 @@
+// src/hooks/useKioskConfig.js
+// Custom React hook that loads kiosk.json (with this kiosk's overrides from
+// the address it was opened with) and reads it again every
+// timing.reloadInterval seconds, so edits reach a running kiosk without
+// anyone refreshing the browser.
+
+import { useState, useEffect, useRef } from 'react';
+import { readConfigOverrides, resolveKioskConfig, loadKioskConfig } from '../utils/kioskConfig';
+
+/**
+ * useKioskConfig
+ * @returns {{ config: Object, issues: Object[], isLoaded: boolean, overrides: Object }}
+ *          config holds the defaults (plus overrides) until kiosk.json has been read;
+ *          issues are its problems, for the DataIssuesBadge;
+ *          overrides are the settings in the address, for buildRoute to keep
+ */
+export function useKioskConfig() {
+  // Read when the kiosk starts; buildRoute writes them back each time the URL changes
+  const [overrides] = useState(() => readConfigOverrides(window.location.search));
+  const [state, setState] = useState(() => ({ ...resolveKioskConfig({}, overrides), isLoaded: false }));
+  // kiosk.json as last read, to tell when it has changed
+  const sourceRef = useRef(null);
+
+  // First read
+  useEffect(() => {
+    let cancelled = false;
+    loadKioskConfig(overrides).then(({ config, issues, source }) => {
+      if (cancelled) return;
+      sourceRef.current = source;
+      setState({ config, issues, isLoaded: true });
+    });
+    return () => { cancelled = true; };
+  }, [overrides]);
+
+  // Later reads. A file that can't be reached (e.g. offline) keeps the current settings.
+  const { reloadInterval } = state.config.timing;
+  useEffect(() => {
+    if (!state.isLoaded || reloadInterval === 0) return undefined;
+    const timer = setInterval(() => {
+      loadKioskConfig(overrides).then(({ config, issues, source }) => {
+        if (source === null || source === sourceRef.current) return;
+        sourceRef.current = source;
+        setState({ config, issues, isLoaded: true });
+      });
+    }, reloadInterval * 1000);
+    return () => clearInterval(timer);
+  }, [state.isLoaded, reloadInterval, overrides]);
+
+  return { ...state, overrides };
+}
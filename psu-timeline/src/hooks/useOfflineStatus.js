@@ -0,0 +1,48 @@
+// src/hooks/useOfflineStatus.js
+// Custom React hook that reports whether the kiosk is running from its
+// offline cache, and triggers a background refresh when the network returns.
+
+import { useEffect, useState } from 'react';
+import { refreshOfflineCache } from '../utils/offline';
+
+/**
+ * useOfflineStatus
+ * @returns {boolean} true while the browser is offline or the service worker
+ *                    had to answer from its cache
+ */
+export function useOfflineStatus() {
+  const [isOffline, setIsOffline] = useState(!navigator.onLine);
+  const [isServingFromCache, setIsServingFromCache] = useState(false);
+
+  useEffect(() => {
+    function handleOnline() {
+      setIsOffline(false);
+      refreshOfflineCache();
+    }
+
+    function handleOffline() {
+      setIsOffline(true);
+    }
+
+    // Messages posted by public/service-worker.js
+    function handleMessage(e) {
+      if (e.data && e.data.type === 'cache-status') setIsServingFromCache(e.data.fromCache);
+    }
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', handleMessage);
+    }
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.removeEventListener('message', handleMessage);
+      }
+    };
+  }, []);
+
+  return isOffline || isServingFromCache;
+}
@@ -0,0 +1,26 @@
+// src/hooks/useReducedMotion.js
+// Custom React hook that follows the visitor's "reduce motion" setting
+// (prefers-reduced-motion). CSS animations and transitions are turned off
+// in global.css; this covers the motion started from JavaScript, like the
+// smooth scrolling of the timeline track.
+
+import { useEffect, useState } from 'react';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * useReducedMotion
+ * @returns {boolean} true while the system asks for reduced motion
+ */
+export function useReducedMotion() {
+  const [isReduced, setIsReduced] = useState(() => window.matchMedia(QUERY).matches);
+
+  useEffect(() => {
+    const media = window.matchMedia(QUERY);
+    const handleChange = () => setIsReduced(media.matches);
+    media.addEventListener('change', handleChange);
+    return () => media.removeEventListener('change', handleChange);
+  }, []);
+
+  return isReduced;
+}
@@ -0,0 +1,26 @@
+// src/hooks/useSecretTaps.js
+// Custom React hook for a hidden staff door: returns a click handler
+// that calls `onTrigger` once it has been tapped `count` times within
+// `windowMs`. Visitors tapping once or twice never notice anything.
+
+import { useRef, useCallback } from 'react';
+
+/**
+ * useSecretTaps
+ * @param   {Function} onTrigger - Called after the run of taps
+ * @param   {number}   count     - Taps needed
+ * @param   {number}   windowMs  - Time all of them must fall within
+ * @returns {Function} Click handler to put on the hidden target
+ */
+export function useSecretTaps(onTrigger, count = 5, windowMs = 3000) {
+  const tapsRef = useRef([]);
+
+  return useCallback(() => {
+    const now = Date.now();
+    tapsRef.current = [...tapsRef.current.filter(time => now - time < windowMs), now];
+    if (tapsRef.current.length >= count) {
+      tapsRef.current = [];
+      onTrigger();
+    }
+  }, [onTrigger, count, windowMs]);
+}
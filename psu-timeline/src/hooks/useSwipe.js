@@ -0,0 +1,43 @@
+// src/hooks/useSwipe.js
+// Custom React hook that turns horizontal swipes on an element into
+// previous/next callbacks, and short presses into taps.
+
+import { useRef } from 'react';
+
+const SWIPE_DISTANCE = 40; // px a finger must travel to count as a swipe
+
+/**
+ * useSwipe
+ * @param {Object} handlers - { onPrev, onNext, onTap } (all optional)
+ * @returns {Object} Pointer event props to spread onto the swipeable element
+ *          (give that element touchAction: 'pan-y' so the browser leaves
+ *          horizontal moves to us)
+ */
+export function useSwipe({ onPrev, onNext, onTap }) {
+  const startRef = useRef(null);
+
+  return {
+    onPointerDown: (e) => {
+      startRef.current = { x: e.clientX, y: e.clientY };
+    },
+    onPointerUp: (e) => {
+      const start = startRef.current;
+      startRef.current = null;
+      if (!start) return;
+
+      const dx = e.clientX - start.x;
+      const dy = e.clientY - start.y;
+
+      if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        // Finger moved left → show the next photo, and vice versa
+        if (dx < 0 && onNext) onNext();
+        if (dx > 0 && onPrev) onPrev();
+      } else if (Math.abs(dx) < 10 && Math.abs(dy) < 10 && onTap) {
+        onTap();
+      }
+    },
+    onPointerCancel: () => {
+      startRef.current = null;
+    },
+  };
+}
@@ -0,0 +1,229 @@
+// src/hooks/useTrackGestures.js
+// Custom React hook that adds touch-screen gestures to the timeline track:
+// pinch and mouse-wheel zoom anchored at the pointer, drag and fling panning
+// with momentum, and double-tap to reset the zoom. With reduced motion the
+// track stops where the finger lifts instead of coasting on.
+// Zoom is returned as a number; the component widens the track by that
+// factor, so the year-to-pixel mapping changes instead of the DOM being scaled.
+
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+
+const DRAG_THRESHOLD = 8;      // px of movement before a press becomes a drag
+const DOUBLE_TAP_MS = 300;     // max time between the taps of a double-tap
+const DOUBLE_TAP_SLOP = 30;    // max distance between the taps of a double-tap
+const FRICTION = 0.95;         // momentum kept per 16ms frame after a fling
+const MIN_FLING_SPEED = 0.02;  // px/ms below which momentum stops
+const WHEEL_ZOOM_SPEED = 0.002; // default zoom per px of wheel movement
+
+/**
+ * useTrackGestures
+ * @param {Object} trackRef - Ref to the horizontally scrolling track element
+ * @param {Object} options  - { minZoom, maxZoom, wheelZoomSpeed, isReducedMotion }
+ * @returns {{ zoom: number, isDragging: boolean, setZoomAt: Function, resetZoom: Function }}
+ *          setZoomAt(zoom, anchorX) zooms keeping the content under anchorX
+ *          (px from the track's left edge) in place
+ */
+export function useTrackGestures(trackRef, {
+  minZoom = 1,
+  maxZoom = 6,
+  wheelZoomSpeed = WHEEL_ZOOM_SPEED,
+  isReducedMotion = false,
+} = {}) {
+  const [zoom, setZoom] = useState(minZoom);
+  const [isDragging, setIsDragging] = useState(false);
+
+  // Mutable gesture state that must not trigger re-renders
+  const zoomRef = useRef(minZoom);
+  const anchorRef = useRef(null);           // { fraction, x } applied after a zoom renders
+  const pointersRef = useRef(new Map());    // pointerId → { x, y }
+  const gestureRef = useRef(null);          // current drag or pinch
+  const momentumRef = useRef(null);         // rAF id of the fling animation
+  const lastTapRef = useRef({ time: 0, x: 0 });
+  const suppressClickRef = useRef(false);
+
+  const setZoomAt = useCallback((nextZoom, anchorX) => {
+    const track = trackRef.current;
+    const clamped = Math.min(maxZoom, Math.max(minZoom, nextZoom));
+    if (!track || clamped === zoomRef.current) return;
+
+    const x = anchorX ?? track.clientWidth / 2;
+    // Remember where the anchor sits as a fraction of the content, so the
+    // same spot can be put back under the pointer once the track is wider
+    anchorRef.current = { fraction: (track.scrollLeft + x) / track.scrollWidth, x };
+    zoomRef.current = clamped;
+    setZoom(clamped);
+  }, [trackRef, minZoom, maxZoom]);
+
+  const resetZoom = useCallback((anchorX) => setZoomAt(minZoom, anchorX), [setZoomAt, minZoom]);
+
+  // Restore the anchor before the browser paints the re-sized track
+  useLayoutEffect(() => {
+    const track = trackRef.current;
+    const anchor = anchorRef.current;
+    if (!track || !anchor) return;
+
+    track.scrollLeft = anchor.fraction * track.scrollWidth - anchor.x;
+    anchorRef.current = null;
+  }, [zoom, trackRef]);
+
+  useEffect(() => {
+    const track = trackRef.current;
+    if (!track) return;
+
+    const pointers = pointersRef.current;
+    const localX = (clientX) => clientX - track.getBoundingClientRect().left;
+
+    function stopMomentum() {
+      if (momentumRef.current) cancelAnimationFrame(momentumRef.current);
+      momentumRef.current = null;
+    }
+
+    function startMomentum(velocity) {
+      let v = velocity;
+      let last = performance.now();
+
+      const step = (now) => {
+        const dt = now - last;
+        last = now;
+        track.scrollLeft -= v * dt;
+        v *= Math.pow(FRICTION, dt / 16);
+        momentumRef.current = Math.abs(v) > MIN_FLING_SPEED ? requestAnimationFrame(step) : null;
+      };
+      momentumRef.current = requestAnimationFrame(step);
+    }
+
+    function pinchInfo() {
+      const [a, b] = [...pointers.values()];
+      return {
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        midX: (a.x + b.x) / 2,
+      };
+    }
+
+    function handlePointerDown(e) {
+      stopMomentum();
+      suppressClickRef.current = false; // a new press clears any leftover from the last gesture
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (pointers.size === 2) {
+        const { distance } = pinchInfo();
+        gestureRef.current = { type: 'pinch', startDistance: distance, startZoom: zoomRef.current };
+      } else if (pointers.size === 1) {
+        gestureRef.current = {
+          type: 'press',
+          pointerId: e.pointerId,
+          startX: e.clientX,
+          startY: e.clientY,
+          startScroll: track.scrollLeft,
+          lastX: e.clientX,
+          lastTime: e.timeStamp,
+          velocity: 0,
+        };
+      }
+    }
+
+    function handlePointerMove(e) {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      const gesture = gestureRef.current;
+      if (!gesture) return;
+
+      if (gesture.type === 'pinch' && pointers.size === 2) {
+        const { distance, midX } = pinchInfo();
+        setZoomAt(gesture.startZoom * (distance / gesture.startDistance), localX(midX));
+        return;
+      }
+
+      if (gesture.pointerId !== e.pointerId) return;
+
+      // A press turns into a drag once it has moved far enough
+      if (gesture.type === 'press' &&
+          Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) > DRAG_THRESHOLD) {
+        gesture.type = 'drag';
+        track.setPointerCapture(e.pointerId);
+        setIsDragging(true);
+      }
+
+      if (gesture.type === 'drag') {
+        track.scrollLeft = gesture.startScroll - (e.clientX - gesture.startX);
+
+        const dt = e.timeStamp - gesture.lastTime;
+        if (dt > 0) gesture.velocity = (e.clientX - gesture.lastX) / dt;
+        gesture.lastX = e.clientX;
+        gesture.lastTime = e.timeStamp;
+      }
+    }
+
+    function handlePointerUp(e) {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.delete(e.pointerId);
+      const gesture = gestureRef.current;
+
+      if (gesture && gesture.type === 'drag' && gesture.pointerId === e.pointerId) {
+        suppressClickRef.current = true; // the drag must not also tap a dot
+        setIsDragging(false);
+        // Only fling if the finger was still moving when it lifted
+        if (!isReducedMotion && e.timeStamp - gesture.lastTime < 100) startMomentum(gesture.velocity);
+      }
+
+      if (gesture && gesture.type === 'press' && e.type === 'pointerup' && track.contains(e.target)) {
+        const last = lastTapRef.current;
+        if (e.timeStamp - last.time < DOUBLE_TAP_MS && Math.abs(e.clientX - last.x) < DOUBLE_TAP_SLOP) {
+          resetZoom(localX(e.clientX));
+          lastTapRef.current = { time: 0, x: 0 };
+        } else {
+          lastTapRef.current = { time: e.timeStamp, x: e.clientX };
+        }
+      }
+
+      if (gesture && gesture.type === 'pinch') suppressClickRef.current = true;
+      if (pointers.size === 0) gestureRef.current = null;
+    }
+
+    function handleClickCapture(e) {
+      if (!suppressClickRef.current) return;
+      suppressClickRef.current = false;
+      e.stopPropagation();
+      e.preventDefault();
+    }
+
+    function handleWheel(e) {
+      e.preventDefault(); // keep the page itself from scrolling or zooming
+      stopMomentum();
+      if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+        track.scrollLeft += e.deltaX;
+      } else {
+        setZoomAt(zoomRef.current * Math.exp(-e.deltaY * wheelZoomSpeed), localX(e.clientX));
+      }
+    }
+
+    track.addEventListener('pointerdown', handlePointerDown);
+    track.addEventListener('pointermove', handlePointerMove);
+    track.addEventListener('pointerup', handlePointerUp);
+    track.addEventListener('pointercancel', handlePointerUp);
+    // A press is only captured once it becomes a drag (capturing earlier
+    // would send the tap's click to the track instead of the dot), so one
+    // that slides off the track before then is released elsewhere. Forget
+    // it there too, or the next touch (a new pointer id) would look like a
+    // second finger and start a pinch. handlePointerUp ignores the repeat
+    // when the release was on the track.
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerUp);
+    track.addEventListener('click', handleClickCapture, true);
+    track.addEventListener('wheel', handleWheel, { passive: false });
+
+    return () => {
+      stopMomentum();
+      track.removeEventListener('pointerdown', handlePointerDown);
+      track.removeEventListener('pointermove', handlePointerMove);
+      track.removeEventListener('pointerup', handlePointerUp);
+      track.removeEventListener('pointercancel', handlePointerUp);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointercancel', handlePointerUp);
+      track.removeEventListener('click', handleClickCapture, true);
+      track.removeEventListener('wheel', handleWheel);
+    };
+  }, [trackRef, setZoomAt, resetZoom, wheelZoomSpeed, isReducedMotion]);
+
+  return { zoom, isDragging, setZoomAt, resetZoom };
+}
@@ -2,15 +2,30 @@
 // This is the entry point for the React application.
 // It renders the root <App /> component into the HTML div with id="root".
 
-import React from 'react';
+import React, { Suspense, lazy } from 'react';
 import ReactDOM from 'react-dom/client';
 import './styles/global.css'; // Global CSS resets and base styles
 import App from './App';      // The root application component
+import { registerServiceWorker } from './utils/offline';
+
+// The curator editor is its own chunk, so the kiosk never downloads it
+const AdminApp = lazy(() => import('./AdminApp'));
+
+// /admin opens the curator editor instead of the exhibit
+// (vercel.json sends every path to index.html)
+const isAdminRoute = /^\/admin\/?$/.test(window.location.pathname);
 
 // Create the React root and render the app
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {isAdminRoute ? (
+      <Suspense fallback={null}>
+        <AdminApp />
+      </Suspense>
+    ) : <App />}
   </React.StrictMode>
 );
+
+// Cache the app, data and images so the kiosk keeps working without Wi-Fi
+registerServiceWorker();
@@ -0,0 +1,214 @@
+// src/scripts/timeline-csv.test.js
+// Tests for scripts/timeline-csv.mjs, run the way curators run it: as a
+// command on real files in a temporary folder. (Jest only looks inside
+// src/, so the test lives here rather than next to the script.)
+
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readFileSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const SCRIPT = path.resolve(__dirname, '../../scripts/timeline-csv.mjs');
+const HEADER = 'id,year,sport,title,description,image';
+
+const EVENTS = [
+  {
+    id: 1,
+    year: 1887,
+    sport: 'Football',
+    title: 'Football Program Founded',
+    description: 'The first team takes the field, "with borrowed uniforms".',
+    image: null,
+    related: [2],
+    translations: {
+      es: { title: 'Nace el fútbol americano', description: 'El primer equipo salta al campo.' },
+      zh: { title: '橄榄球项目成立' },
+    },
+  },
+  {
+    id: 2,
+    year: 1909,
+    sport: 'Wrestling',
+    title: 'Wrestling Arrives',
+    description: 'A new sport,\nwith its first home meet.',
+    image: 'https://example.com/wrestling.jpg',
+    images: [{ src: 'https://example.com/team.jpg', caption: 'The 1909 team' }],
+    media: [{ type: 'audio', src: '/media/interview.mp3', title: 'Oral history' }],
+  },
+  {
+    id: 5,
+    year: 1934,
+    sport: 'Rifle',
+    title: 'Women on the Range',
+    description: 'Women’s rifle begins.',
+    image: null,
+    images: ['https://example.com/a.jpg', 'https://example.com/b.jpg'],
+  },
+];
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(path.join(tmpdir(), 'timeline-csv-'));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function file(name) {
+  return path.join(dir, name);
+}
+
+function run(...args) {
+  const result = spawnSync(process.execPath, [SCRIPT, ...args], { cwd: dir, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function writeJson(name, data) {
+  writeFileSync(file(name), JSON.stringify(data, null, 2));
+}
+
+function readJson(name) {
+  return JSON.parse(readFileSync(file(name), 'utf8'));
+}
+
+describe('timeline-csv export and import', () => {
+  test('a timeline exported to CSV imports back unchanged', () => {
+    writeJson('timeline.json', EVENTS);
+
+    const exported = run('export', file('events.csv'), '--json', file('timeline.json'));
+    expect(exported.status).toBe(0);
+    expect(exported.stdout).toContain('Wrote 3 events');
+
+    const imported = run('import', file('events.csv'), '--json', file('copy.json'));
+    expect(imported.status).toBe(0);
+    expect(imported.stdout).toContain('3 events imported, 0 rows rejected.');
+    expect(readJson('copy.json')).toEqual(EVENTS);
+  });
+
+  test('the exported CSV opens in Excel and keeps commas, quotes and line breaks in one cell', () => {
+    writeJson('timeline.json', EVENTS);
+    run('export', file('events.csv'), '--json', file('timeline.json'));
+    const csv = readFileSync(file('events.csv'), 'utf8');
+
+    expect(csv.startsWith('\uFEFFid,year,sport,title,description,image,images,media,related,')).toBe(true);
+    expect(csv).toContain('"The first team takes the field, ""with borrowed uniforms""."');
+    expect(csv).toContain('"A new sport,\nwith its first home meet."');
+    expect(csv).toContain('https://example.com/a.jpg | https://example.com/b.jpg');
+  });
+});
+
+describe('timeline-csv import', () => {
+  test('reports rejected and suspicious rows by spreadsheet row and imports the rest', () => {
+    writeFileSync(file('events.csv'), [
+      HEADER,
+      '1,1887,football ,Football Program Founded,First team.,image.jpg',
+      '2,19x5,Wrestling,Wrestling Arrives,First meet.,',
+      '3,1934,Quidditch,Brooms Up,Not a real sport.,',
+      '4,1950,Tennis,,No title.,',
+    ].join('\n'));
+
+    const { status, stdout } = run('import', file('events.csv'), '--json', file('timeline.json'));
+
+    expect(status).toBe(0);
+    expect(stdout).toContain('Row 2: CHECK    sport “football” written as “Football”');
+    expect(stdout).toContain('Row 2: CHECK    placeholder image “image.jpg” replaced with no image');
+    expect(stdout).toContain('Row 3: REJECTED year “19x5” is not a whole number');
+    expect(stdout).toContain('Row 4: CHECK    sport “Quidditch” is not in sportConfig.js');
+    expect(stdout).toContain('Row 5: REJECTED “title” is empty');
+    expect(stdout).toContain('2 events imported, 2 rows rejected.');
+
+    const records = readJson('timeline.json');
+    expect(records.map(record => [record.id, record.sport, record.image])).toEqual([
+      [1, 'Football', null],
+      [3, 'Quidditch', null],
+    ]);
+  });
+
+  test('rows without an id keep the id of the same event in the existing file', () => {
+    writeJson('timeline.json', EVENTS);
+    writeFileSync(file('events.csv'), [
+      HEADER,
+      ',1909,Wrestling,Wrestling Arrives,Reworded description.,',
+      ',2001,Soccer,A New Stadium,Brand new row.,',
+    ].join('\n'));
+
+    const { stdout } = run('import', file('events.csv'), '--json', file('timeline.json'));
+
+    expect(stdout).toContain('Row 2: CHECK    had no id, given id 2 (same as before)');
+    expect(stdout).toContain('Row 3: CHECK    had no id, given id 6');
+    expect(readJson('timeline.json').map(record => record.id)).toEqual([2, 6]);
+  });
+
+  test('a row without an id never takes an id a later row states', () => {
+    writeJson('timeline.json', [{ ...EVENTS[0], id: 5, year: 1900, title: 'A' }]);
+    writeFileSync(file('events.csv'), [
+      HEADER,
+      ',1900,Football,A,Reworded.,',
+      '5,1934,Rifle,B,Stated id.,',
+    ].join('\n'));
+
+    const { stdout } = run('import', file('events.csv'), '--json', file('timeline.json'));
+
+    expect(stdout).toContain('Row 2: CHECK    had no id, given id 6');
+    expect(stdout).not.toContain('Row 3:');
+    expect(readJson('timeline.json').map(record => [record.id, record.title])).toEqual([[6, 'A'], [5, 'B']]);
+  });
+
+  test('gives a duplicated id a new number', () => {
+    writeFileSync(file('events.csv'), [
+      HEADER,
+      '7,1887,Football,First,One.,',
+      '7,1892,Baseball,Second,Two.,',
+    ].join('\n'));
+
+    const { stdout } = run('import', file('events.csv'), '--json', file('timeline.json'));
+
+    expect(stdout).toContain('Row 3: CHECK    id 7 is already used by row 2, given id 8');
+    expect(readJson('timeline.json').map(record => record.id)).toEqual([7, 8]);
+  });
+
+  test('rejects rows the exhibit would skip, using its own validator', () => {
+    writeFileSync(file('events.csv'), [
+      `${HEADER},images,media`,
+      '1,1887,Football,First,One.,,,"[{""type"":""film"",""src"":""a.mp4""}]"',
+      '2,1892,Baseball,Second,Two.,,"[{""caption"":""No source""}]",',
+      '3,1900,Tennis,Third,Three.,,,"[{""type"":""video"",""src"":""a.mp4""}]"',
+    ].join('\n'));
+
+    const { stdout } = run('import', file('events.csv'), '--json', file('timeline.json'));
+
+    expect(stdout).toContain('Row 2: REJECTED “media” clip 1 “type” should be "video" or "audio"');
+    expect(stdout).toContain('Row 3: REJECTED “images” entry 1 has no “src” URL');
+    expect(stdout).toContain('1 events imported, 2 rows rejected.');
+    expect(readJson('timeline.json').map(record => record.id)).toEqual([3]);
+  });
+
+  test('--dry-run reports without writing the file', () => {
+    writeFileSync(file('events.csv'), `${HEADER}\n1,1887,Football,First,One.,\n`);
+
+    const { status, stdout } = run('import', file('events.csv'), '--json', file('timeline.json'), '--dry-run');
+
+    expect(status).toBe(0);
+    expect(stdout).toContain('Dry run: nothing was written.');
+    expect(existsSync(file('timeline.json'))).toBe(false);
+  });
+
+  test('stops with an error when a required column is missing', () => {
+    writeFileSync(file('events.csv'), 'id,year,sport,description\n1,1887,Football,One.\n');
+
+    const { status, stderr } = run('import', file('events.csv'), '--json', file('timeline.json'));
+
+    expect(status).toBe(1);
+    expect(stderr).toContain('is missing the column(s): title');
+    expect(existsSync(file('timeline.json'))).toBe(false);
+  });
+
+  test('stops with an error for a file that does not exist', () => {
+    const { status, stderr } = run('import', file('missing.csv'), '--json', file('timeline.json'));
+
+    expect(status).toBe(1);
+    expect(stderr).toContain('missing.csv not found.');
+  });
+});
@@ -0,0 +1,42 @@
+// src/utils/a11y.js
+// Keyboard helpers for elements that can't be a real <button> (the
+// global button:hover scale would undo their positioning transform) and
+// for overlays that keep keyboard focus inside themselves.
+
+// Everything a keyboard user can Tab to
+const FOCUSABLE_SELECTOR = [
+  'button:not([disabled])',
+  'a[href]',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'video[controls]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+/**
+ * getFocusable
+ * @param   {HTMLElement} container - Element to search inside
+ * @returns {HTMLElement[]} Its focusable descendants that are on screen, in Tab order
+ */
+export function getFocusable(container) {
+  return [...container.querySelectorAll(FOCUSABLE_SELECTOR)]
+    .filter(el => el.getClientRects().length > 0);
+}
+
+/**
+ * activateOnKey
+ * Makes a role="button" element answer Enter and Space like a real button.
+ * The key stops here, so the page-wide keyboard navigation doesn't act on it too.
+ *
+ * @param   {Function} onActivate - Called with the keyboard event
+ * @returns {Function} An onKeyDown handler
+ */
+export function activateOnKey(onActivate) {
+  return (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();     // Space would otherwise scroll
+    e.stopPropagation();
+    onActivate(e);
+  };
+}
@@ -0,0 +1,76 @@
+// src/utils/adminAuth.js
+// Password gate for the /admin curator editor, and the numeric PIN for the
+// kiosk's staff screen (typed on a keypad, so it is kept separate).
+// The build only contains SHA-256 hashes (set with the
+// REACT_APP_ADMIN_PASSWORD_HASH and REACT_APP_STAFF_PIN_HASH environment
+// variables), never the password or PIN.
+// This keeps visitors out of the editor; it is not server-side security —
+// the editor never writes anything back, it only exports a JSON file.
+
+const ADMIN_PASSWORD_HASH = (process.env.REACT_APP_ADMIN_PASSWORD_HASH || '').trim().toLowerCase();
+const STAFF_PIN_HASH = (process.env.REACT_APP_STAFF_PIN_HASH || '').trim().toLowerCase();
+
+// Unlocked state lasts until the browser tab is closed
+const SESSION_KEY = 'psu-timeline-admin';
+
+async function sha256(text) {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether a password hash was configured for this build.
+ * Without one the editor stays locked.
+ */
+export function isAdminConfigured() {
+  return ADMIN_PASSWORD_HASH !== '';
+}
+
+/**
+ * checkAdminPassword
+ * @param   {string} password - What the curator typed
+ * @returns {Promise<boolean>} Whether it matches the configured hash
+ */
+export async function checkAdminPassword(password) {
+  if (!isAdminConfigured()) return false;
+  return (await sha256(password)) === ADMIN_PASSWORD_HASH;
+}
+
+/**
+ * Whether a staff PIN hash was configured for this build.
+ * Without one the staff screen stays locked.
+ */
+export function isStaffPinConfigured() {
+  return STAFF_PIN_HASH !== '';
+}
+
+/**
+ * checkStaffPin
+ * @param   {string} pin - The digits staff typed
+ * @returns {Promise<boolean>} Whether it matches the configured hash
+ */
+export async function checkStaffPin(pin) {
+  if (!isStaffPinConfigured()) return false;
+  return (await sha256(pin)) === STAFF_PIN_HASH;
+}
+
+export function isAdminUnlocked() {
+  try {
+    return sessionStorage.getItem(SESSION_KEY) === 'unlocked';
+  } catch (err) {
+    return false; // storage disabled
+  }
+}
+
+/**
+ * setAdminUnlocked
+ * @param {boolean} isUnlocked - true after a correct password, false to lock again
+ */
+export function setAdminUnlocked(isUnlocked) {
+  try {
+    if (isUnlocked) sessionStorage.setItem(SESSION_KEY, 'unlocked');
+    else sessionStorage.removeItem(SESSION_KEY);
+  } catch (err) {
+    // Storage disabled: the curator just has to log in again after a reload
+  }
+}
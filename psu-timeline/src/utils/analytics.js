@@ -0,0 +1,142 @@
+// src/utils/analytics.js
+// Privacy-safe interaction log kept on the kiosk itself (localStorage).
+// Only what happened on screen is recorded — event ids, durations, zoom
+// and filter use — never anything about the visitor, and nothing leaves
+// the device unless staff export it from the hidden staff screen.
+//
+// Record types (every record also has "time", ms since 1970):
+//   session-start                  first touch after the live tour (handleActive)
+//   session-end  { duration, wasReading }
+//                                  idle reset (handleIdle); wasReading = a story was open
+//   dot-tap      { eventId }       a dot (or cluster member) on the timeline
+//   modal-open   { eventId }       the DetailModal opened on an event, however it got there
+//   modal-close  { eventId, dwell }
+//   zoom         { zoom }          one per pinch / wheel gesture, once it settles
+//   filter       { sport, isOn }   a sport chip toggled
+//   filter-reset                   "All sports"
+
+const STORAGE_KEY = 'psu-timeline-analytics';
+
+// Oldest records are dropped beyond this (about 300 KB of storage)
+export const MAX_RECORDS = 5000;
+
+// Parsed once, then kept in step with storage
+let cache = null;
+
+function load() {
+  if (cache) return cache;
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    cache = Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    cache = []; // storage disabled or the entry is damaged: start over
+  }
+  return cache;
+}
+
+/**
+ * trackEvent
+ * @param {string} type - One of the record types listed above
+ * @param {Object} data - Extra fields for that type
+ */
+export function trackEvent(type, data = {}) {
+  const records = load();
+  records.push({ time: Date.now(), type, ...data });
+  if (records.length > MAX_RECORDS) records.splice(0, records.length - MAX_RECORDS);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+  } catch (err) {
+    // Storage full or disabled: keep counting in memory until the next reload
+  }
+}
+
+/**
+ * @returns {Object[]} A copy of every stored record, oldest first
+ */
+export function getAnalyticsRecords() {
+  return [...load()];
+}
+
+export function clearAnalytics() {
+  cache = [];
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (err) {
+    // Storage disabled: nothing was saved
+  }
+}
+
+/**
+ * summarizeAnalytics
+ * @param   {Object[]} records - From getAnalyticsRecords
+ * @returns {Object} Totals for the staff screen:
+ *          { since, sessions, idleResets, cutOffs, averageSession, longestSession,
+ *            dotTaps, modalOpens, averageDwell, zoomUses, filterUses, filterResets,
+ *            events: [{ eventId, opens, averageDwell }] (most opened first),
+ *            sports: [{ sport, count }] (most filtered first) }
+ */
+export function summarizeAnalytics(records) {
+  const ofType = (type) => records.filter(record => record.type === type);
+  const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+  const ends = ofType('session-end');
+  const closes = ofType('modal-close');
+  const filters = ofType('filter');
+
+  const byEvent = new Map();
+  const entryFor = (eventId) => {
+    if (!byEvent.has(eventId)) byEvent.set(eventId, { eventId, opens: 0, dwells: [] });
+    return byEvent.get(eventId);
+  };
+  ofType('modal-open').forEach(record => { entryFor(record.eventId).opens += 1; });
+  closes.forEach(record => { entryFor(record.eventId).dwells.push(record.dwell); });
+
+  const bySport = new Map();
+  filters.filter(record => record.isOn).forEach(record => {
+    bySport.set(record.sport, (bySport.get(record.sport) || 0) + 1);
+  });
+
+  return {
+    since: records.length ? records[0].time : null,
+    sessions: ofType('session-start').length,
+    idleResets: ends.length,
+    cutOffs: ends.filter(record => record.wasReading).length,
+    averageSession: average(ends.map(record => record.duration)),
+    longestSession: Math.max(0, ...ends.map(record => record.duration)),
+    dotTaps: ofType('dot-tap').length,
+    modalOpens: ofType('modal-open').length,
+    averageDwell: average(closes.map(record => record.dwell)),
+    zoomUses: ofType('zoom').length,
+    filterUses: filters.length,
+    filterResets: ofType('filter-reset').length,
+    events: [...byEvent.values()]
+      .map(({ eventId, opens, dwells }) => ({ eventId, opens, averageDwell: average(dwells) }))
+      .sort((a, b) => b.opens - a.opens || b.averageDwell - a.averageDwell),
+    sports: [...bySport.entries()]
+      .map(([sport, count]) => ({ sport, count }))
+      .sort((a, b) => b.count - a.count),
+  };
+}
+
+/**
+ * toAnalyticsCsv
+ * @param   {Object[]} records - From getAnalyticsRecords
+ * @returns {string} One row per record: time (ISO), type, then every other field seen
+ */
+export function toAnalyticsCsv(records) {
+  const fields = [...new Set(records.flatMap(record => Object.keys(record)))]
+    .filter(field => field !== 'time' && field !== 'type')
+    .sort();
+  const columns = ['time', 'type', ...fields];
+
+  const escape = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = records.map(record => columns
+    .map(column => escape(column === 'time' ? new Date(record.time).toISOString() : record[column]))
+    .join(','));
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
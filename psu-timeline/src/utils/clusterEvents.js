@@ -0,0 +1,32 @@
+// src/utils/clusterEvents.js
+// Groups events that would be drawn on top of each other on the timeline
+// (e.g. Soccer and Tennis, both founded in 1911) into clusters.
+
+/**
+ * clusterEvents
+ * @param   {Object[]} events     - Events in year order
+ * @param   {number}   minYearGap - Events closer together than this many years
+ *                                  share a cluster (1 = same year only)
+ * @returns {Object[]} Clusters in year order: { key, year, events }
+ *          year is the average year of the members (where the cluster is drawn)
+ */
+export function clusterEvents(events, minYearGap = 1) {
+  const clusters = [];
+
+  events.forEach(event => {
+    const last = clusters[clusters.length - 1];
+    const lastYear = last && last.events[last.events.length - 1].year;
+
+    if (last && event.year - lastYear < minYearGap) {
+      last.events.push(event);
+    } else {
+      clusters.push({ events: [event] });
+    }
+  });
+
+  return clusters.map(cluster => ({
+    key: cluster.events.map(event => event.id).join('-'),
+    year: cluster.events.reduce((sum, event) => sum + event.year, 0) / cluster.events.length,
+    events: cluster.events,
+  }));
+}
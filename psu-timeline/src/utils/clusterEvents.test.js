@@ -0,0 +1,50 @@
+// src/utils/clusterEvents.test.js
+// Unit tests for grouping overlapping dots into clusters.
+
+import { clusterEvents } from './clusterEvents';
+
+const EVENTS = [
+  { id: 1, year: 1887 },
+  { id: 2, year: 1911 },
+  { id: 3, year: 1911 },
+  { id: 4, year: 1913 },
+  { id: 5, year: 1916 },
+  { id: 6, year: 1950 },
+];
+
+const keys = clusters => clusters.map(cluster => cluster.key);
+
+describe('clusterEvents', () => {
+  test('groups only same-year events by default', () => {
+    expect(keys(clusterEvents(EVENTS))).toEqual(['1', '2-3', '4', '5', '6']);
+  });
+
+  test('merges more events the further the timeline is zoomed out', () => {
+    // Timeline.js passes the years that fit in the minimum dot spacing,
+    // which grows as the zoom goes down
+    expect(keys(clusterEvents(EVENTS, 3))).toEqual(['1', '2-3-4', '5', '6']);
+    expect(keys(clusterEvents(EVENTS, 4))).toEqual(['1', '2-3-4-5', '6']);
+    expect(keys(clusterEvents(EVENTS, 40))).toEqual(['1-2-3-4-5-6']);
+  });
+
+  test('splits clusters apart again when zoomed in', () => {
+    expect(keys(clusterEvents(EVENTS, 0.5))).toEqual(['1', '2-3', '4', '5', '6']);
+  });
+
+  test('measures the gap from the last member, so a run of close events stays together', () => {
+    const run = [{ id: 1, year: 1900 }, { id: 2, year: 1902 }, { id: 3, year: 1904 }, { id: 4, year: 1906 }];
+    expect(keys(clusterEvents(run, 3))).toEqual(['1-2-3-4']);
+  });
+
+  test('draws each cluster at the average year of its members', () => {
+    const clusters = clusterEvents(EVENTS, 4);
+
+    expect(clusters[1].year).toBe((1911 + 1911 + 1913 + 1916) / 4);
+    expect(clusters[1].events.map(event => event.id)).toEqual([2, 3, 4, 5]);
+    expect(clusters[0]).toEqual({ key: '1', year: 1887, events: [EVENTS[0]] });
+  });
+
+  test('returns no clusters for no events', () => {
+    expect(clusterEvents([])).toEqual([]);
+  });
+});
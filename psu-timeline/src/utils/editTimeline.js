@@ -0,0 +1,160 @@
+// src/utils/editTimeline.js
+// Helpers for the /admin curator editor: new records, reordering,
+// per-record validation and turning the edited list back into a file.
+
+import { validateTimeline } from './timelineSchema';
+import { isRealImage } from './eventImages';
+
+/**
+ * The next unused id: one more than the highest id in the list.
+ * @param {Object[]} records - Event records (valid or not)
+ */
+export function getNextId(records) {
+  const ids = records.map(record => record && record.id).filter(Number.isInteger);
+  return ids.length ? Math.max(...ids) + 1 : 1;
+}
+
+/**
+ * createEvent
+ * @param   {Object[]} records - The current list, used to pick a fresh id
+ * @returns {Object} A blank record for the form to fill in
+ */
+export function createEvent(records) {
+  return {
+    id: getNextId(records),
+    year: new Date().getFullYear(),
+    sport: '',
+    title: '',
+    description: '',
+    image: null,
+  };
+}
+
+/**
+ * moveRecord
+ * @param   {Object[]} records - The list to reorder
+ * @param   {number}   from    - Index of the record to move
+ * @param   {number}   to      - Index it should end up at
+ * @returns {Object[]} A new list (the original is left alone)
+ */
+export function moveRecord(records, from, to) {
+  if (to < 0 || to >= records.length || from === to) return records;
+  const next = [...records];
+  const [record] = next.splice(from, 1);
+  next.splice(to, 0, record);
+  return next;
+}
+
+/**
+ * getIssuesByRecord
+ * Runs the same validator the exhibit uses over the whole list.
+ * @param   {Object[]} records - Event records
+ * @returns {Object[][]} One array of issues per record, in list order
+ */
+export function getIssuesByRecord(records) {
+  const grouped = records.map(() => []);
+  validateTimeline(records).issues.forEach(issue => grouped[issue.index].push(issue));
+  return grouped;
+}
+
+/**
+ * toDraft
+ * Copies a record into the shape the editor form works with: photos always
+ * as an "images" list of { src, caption, alt }, whichever field they came from.
+ * @param   {*}      value - A record from timeline.json (a broken one may not be an object)
+ * @returns {Object} A copy safe to edit
+ */
+export function toDraft(value) {
+  const record = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const draft = { ...record };
+
+  if (Array.isArray(record.images)) {
+    draft.images = record.images.map(image => (typeof image === 'string' ? { src: image } : { ...image }));
+  } else {
+    draft.images = isRealImage(record.image) ? [{ src: record.image }] : [];
+  }
+  draft.image = null;
+
+  draft.media = Array.isArray(record.media) ? record.media.map(clip => ({ ...clip })) : [];
+  if (record.translations && typeof record.translations === 'object') {
+    draft.translations = { ...record.translations };
+  }
+  return draft;
+}
+
+/**
+ * Drops empty optional values the form leaves behind (blank captions,
+ * empty lists, untranslated languages) so the exported file stays tidy.
+ * A single photo without a caption is written back as a plain "image".
+ * @param   {Object} record - A record as edited in the form
+ * @returns {Object} The record as it should be written to timeline.json
+ */
+export function cleanRecord(record) {
+  const clean = { ...record };
+
+  if (typeof clean.image === 'string' && clean.image.trim() === '') clean.image = null;
+
+  if (Array.isArray(clean.images)) {
+    const images = clean.images
+      .filter(image => typeof image.src === 'string' && image.src.trim())
+      .map(image => dropBlankFields(image));
+    delete clean.images;
+    if (images.length === 1 && Object.keys(images[0]).length === 1) {
+      clean.image = images[0].src;       // a lone URL keeps the simple "image" form
+    } else if (images.length > 0) {
+      clean.images = images;
+    }
+  }
+
+  if (Array.isArray(clean.media)) {
+    clean.media = clean.media
+      .filter(clip => typeof clip.src === 'string' && clip.src.trim())
+      .map(clip => dropBlankFields(clip));
+    if (clean.media.length === 0) delete clean.media;
+  }
+
+  if (clean.translations) {
+    const translations = {};
+    Object.entries(clean.translations).forEach(([language, translation]) => {
+      if (!translation || typeof translation !== 'object') return;
+      const fields = dropBlankFields(translation);
+      if (Object.keys(fields).length) translations[language] = fields;
+    });
+    if (Object.keys(translations).length) clean.translations = translations;
+    else delete clean.translations;
+  }
+
+  return clean;
+}
+
+function dropBlankFields(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => !(typeof value === 'string' && value.trim() === ''))
+  );
+}
+
+/**
+ * The list as timeline.json text, formatted the way the file is hand-edited.
+ */
+export function toTimelineJson(records) {
+  return `${JSON.stringify(records, null, 2)}\n`;
+}
+
+/**
+ * downloadTextFile
+ * Saves text as a file through the browser's normal download prompt.
+ * @param {string} text     - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type     - MIME type (JSON unless given)
+ */
+export function downloadTextFile(text, filename, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,103 @@
+// src/utils/editTimeline.test.js
+// Unit tests for the /admin editor's helpers: ids, reordering, per-record
+// validation and the round trip from a record to the form and back.
+
+import {
+  getNextId, createEvent, moveRecord, getIssuesByRecord, toDraft, cleanRecord, toTimelineJson,
+} from './editTimeline';
+
+function makeEvent(fields = {}) {
+  return {
+    id: 1,
+    year: 1887,
+    sport: 'Football',
+    title: 'Football Program Founded',
+    description: 'Penn State fields its first football team.',
+    image: null,
+    ...fields,
+  };
+}
+
+const ids = records => records.map(record => record.id);
+
+describe('getNextId and createEvent', () => {
+  test('give one more than the highest id, skipping broken records', () => {
+    expect(getNextId([makeEvent({ id: 4 }), null, makeEvent({ id: 'x' }), makeEvent({ id: 2 })])).toBe(5);
+    expect(getNextId([])).toBe(1);
+    expect(createEvent([makeEvent({ id: 9 })])).toMatchObject({ id: 10, sport: '', title: '', image: null });
+  });
+});
+
+describe('moveRecord', () => {
+  const records = [1, 2, 3, 4].map(id => makeEvent({ id }));
+
+  test('moves a record up or down and leaves the original list alone', () => {
+    expect(ids(moveRecord(records, 2, 1))).toEqual([1, 3, 2, 4]);
+    expect(ids(moveRecord(records, 0, 3))).toEqual([2, 3, 4, 1]);
+    expect(ids(records)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('returns the same list when the move goes nowhere', () => {
+    expect(moveRecord(records, 0, -1)).toBe(records);
+    expect(moveRecord(records, 3, 4)).toBe(records);
+    expect(moveRecord(records, 2, 2)).toBe(records);
+  });
+});
+
+describe('getIssuesByRecord', () => {
+  test('groups the exhibit validator\'s issues under the record they belong to', () => {
+    const grouped = getIssuesByRecord([
+      makeEvent({ id: 1 }),
+      makeEvent({ id: 2, year: 'soon', title: '' }),
+      makeEvent({ id: 1, sport: 'Quidditch' }),
+    ]);
+
+    expect(grouped).toHaveLength(3);
+    expect(grouped[0]).toEqual([]);
+    expect(grouped[1].map(issue => [issue.level, issue.field])).toEqual([['error', 'year'], ['error', 'title']]);
+    expect(grouped[2].map(issue => [issue.level, issue.field])).toEqual([['error', 'id']]);
+  });
+});
+
+describe('toDraft and cleanRecord', () => {
+  test('a record comes back from the form unchanged', () => {
+    const records = [
+      makeEvent({ image: 'https://example.com/photo.jpg' }),
+      makeEvent({
+        images: [{ src: 'a.jpg', caption: 'Team photo' }, { src: 'b.jpg' }],
+        media: [{ type: 'video', src: 'a.mp4', title: 'Highlights' }],
+        translations: { es: { title: 'Nace el fútbol americano' } },
+      }),
+    ];
+    records.forEach(record => expect(cleanRecord(toDraft(record))).toEqual(record));
+  });
+
+  test('the form always works with an "images" list', () => {
+    expect(toDraft(makeEvent({ image: 'a.jpg' })).images).toEqual([{ src: 'a.jpg' }]);
+    expect(toDraft(makeEvent({ images: ['a.jpg', { src: 'b.jpg', alt: 'B' }] })).images)
+      .toEqual([{ src: 'a.jpg' }, { src: 'b.jpg', alt: 'B' }]);
+    expect(toDraft(makeEvent({ image: 'image.jpg' })).images).toEqual([]);
+    expect(toDraft('not a record')).toMatchObject({ images: [], media: [], image: null });
+  });
+
+  test('drops what the form leaves blank', () => {
+    const clean = cleanRecord({
+      ...makeEvent(),
+      image: '  ',
+      images: [{ src: '', caption: 'Lost photo' }, { src: 'a.jpg', caption: ' ' }],
+      media: [{ type: 'audio', src: ' ' }],
+      translations: { es: { title: '', description: ' ' }, zh: { title: '橄榄球项目成立' } },
+    });
+
+    expect(clean.image).toBe('a.jpg'); // a lone photo without a caption is written as "image"
+    expect(clean).not.toHaveProperty('images');
+    expect(clean).not.toHaveProperty('media');
+    expect(clean.translations).toEqual({ zh: { title: '橄榄球项目成立' } });
+  });
+});
+
+describe('toTimelineJson', () => {
+  test('writes the list with 2-space indents and a final line break', () => {
+    expect(toTimelineJson([{ id: 1 }])).toBe('[\n  {\n    "id": 1\n  }\n]\n');
+  });
+});
@@ -0,0 +1,39 @@
+// src/utils/eventImages.js
+// One place that turns an event's image fields into a list of photos.
+// Events may use the newer ordered "images" list, or the original single
+// "image" string — both are supported.
+
+import { PLACEHOLDER_IMAGES } from './timelineSchema';
+
+/**
+ * Whether an image URL points at a real photo (not null or a placeholder).
+ */
+export function isRealImage(src) {
+  return typeof src === 'string' && src.trim() !== '' && !PLACEHOLDER_IMAGES.includes(src);
+}
+
+/**
+ * getEventImages
+ * @param   {Object}   event - A timeline event
+ * @returns {Object[]} Photos in display order: { src, caption, alt }
+ *          (empty if the event has no real images)
+ */
+export function getEventImages(event) {
+  if (!event) return [];
+
+  if (Array.isArray(event.images)) {
+    return event.images
+      // A bare string is shorthand for { "src": "..." }
+      .map(image => (typeof image === 'string' ? { src: image } : image))
+      .filter(image => image && isRealImage(image.src))
+      .map(image => ({
+        src: image.src,
+        caption: image.caption || '',
+        alt: image.alt || image.caption || event.title,
+      }));
+  }
+
+  return isRealImage(event.image)
+    ? [{ src: event.image, caption: '', alt: event.title }]
+    : [];
+}
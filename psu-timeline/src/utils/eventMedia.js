@@ -0,0 +1,27 @@
+// src/utils/eventMedia.js
+// Reads an event's optional "media" list (archival video and audio clips)
+// into a clean list the players can rely on.
+
+export const MEDIA_TYPES = ['video', 'audio'];
+
+/**
+ * getEventMedia
+ * @param   {Object}   event - A timeline event
+ * @returns {Object[]} Clips in display order:
+ *          { type, src, title, poster, captions, captionsLang, transcript }
+ */
+export function getEventMedia(event) {
+  if (!event || !Array.isArray(event.media)) return [];
+
+  return event.media
+    .filter(clip => clip && MEDIA_TYPES.includes(clip.type) && typeof clip.src === 'string' && clip.src)
+    .map(clip => ({
+      type: clip.type,
+      src: clip.src,
+      title: clip.title || '',
+      poster: clip.poster || null,           // still frame shown before playback
+      captions: clip.captions || null,       // URL of a WebVTT (.vtt) file
+      captionsLang: clip.captionsLang || 'en',
+      transcript: clip.transcript || '',     // full text, shown on request
+    }));
+}
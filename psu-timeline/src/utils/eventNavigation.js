@@ -0,0 +1,51 @@
+// src/utils/eventNavigation.js
+// Works out which event to move to for each navigation action
+// (arrow keys, presenter remote, the live tour, the ‹ › buttons).
+// Events are expected in year order, as App.js keeps them.
+
+/**
+ * Index of the first event in the decade after (direction 1) or before
+ * (direction -1) the decade of events[index]. Stays put at either end.
+ */
+function getDecadeIndex(events, index, direction) {
+  const decade = Math.floor(events[index].year / 10) * 10;
+
+  if (direction > 0) {
+    const next = events.findIndex(event => event.year >= decade + 10);
+    return next === -1 ? index : next;
+  }
+
+  // Last event before this decade, then back up to the start of its decade
+  let prev = -1;
+  for (let i = index - 1; i >= 0; i--) {
+    if (events[i].year < decade) { prev = i; break; }
+  }
+  if (prev === -1) return 0;
+
+  const prevDecade = Math.floor(events[prev].year / 10) * 10;
+  return events.findIndex(event => event.year >= prevDecade);
+}
+
+/**
+ * getTargetIndex
+ * @param   {Object[]} events - Events in year order
+ * @param   {number}   index  - Index of the current event (-1 if none)
+ * @param   {string}   action - 'next' | 'prev' | 'nextDecade' | 'prevDecade' | 'first' | 'last'
+ * @returns {number}   Index of the event to move to, or -1 if there are no events
+ */
+export function getTargetIndex(events, index, action) {
+  const count = events.length;
+  if (count === 0) return -1;
+
+  const current = Math.max(index, 0);
+
+  switch (action) {
+    case 'next':       return (current + 1) % count;          // wraps, so the tour loops
+    case 'prev':       return (current - 1 + count) % count;
+    case 'nextDecade': return getDecadeIndex(events, current, 1);
+    case 'prevDecade': return getDecadeIndex(events, current, -1);
+    case 'first':      return 0;
+    case 'last':       return count - 1;
+    default:           return current;
+  }
+}
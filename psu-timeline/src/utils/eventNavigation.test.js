@@ -0,0 +1,68 @@
+// src/utils/eventNavigation.test.js
+// Unit tests for the arrow-key, presenter-remote and live-tour navigation.
+
+import { getTargetIndex } from './eventNavigation';
+
+const EVENTS = [
+  { id: 1, year: 1887, sport: 'Football' },
+  { id: 2, year: 1892, sport: 'Baseball' },
+  { id: 3, year: 1909, sport: 'Wrestling' },
+  { id: 4, year: 1911, sport: 'Football' },
+  { id: 5, year: 1925, sport: 'Football' },
+  { id: 6, year: 1929, sport: 'Baseball' },
+];
+
+// The dots left when the sport filter is on, as App.js passes them
+function filtered(...sports) {
+  return EVENTS.filter(event => sports.includes(event.sport));
+}
+
+function targetId(events, currentId, action) {
+  const index = events.findIndex(event => event.id === currentId);
+  return events[getTargetIndex(events, index, action)].id;
+}
+
+describe('getTargetIndex', () => {
+  test('steps to the next and previous event, wrapping at both ends', () => {
+    expect(targetId(EVENTS, 2, 'next')).toBe(3);
+    expect(targetId(EVENTS, 2, 'prev')).toBe(1);
+    expect(targetId(EVENTS, 6, 'next')).toBe(1);
+    expect(targetId(EVENTS, 1, 'prev')).toBe(6);
+  });
+
+  test('steps and wraps through only the sports the filter shows', () => {
+    const football = filtered('Football');
+
+    expect(targetId(football, 1, 'next')).toBe(4);
+    expect(targetId(football, 5, 'next')).toBe(1);
+    expect(targetId(football, 1, 'prev')).toBe(5);
+    expect(targetId(filtered('Baseball', 'Wrestling'), 3, 'next')).toBe(6);
+  });
+
+  test('starts from the first event when none is current', () => {
+    expect(getTargetIndex(EVENTS, -1, 'next')).toBe(1);
+    expect(getTargetIndex(EVENTS, -1, 'first')).toBe(0);
+  });
+
+  test('jumps to the first and last event', () => {
+    expect(targetId(EVENTS, 3, 'first')).toBe(1);
+    expect(targetId(EVENTS, 3, 'last')).toBe(6);
+  });
+
+  test('jumps to the first event of the next or previous decade', () => {
+    expect(targetId(EVENTS, 1, 'nextDecade')).toBe(2);  // 1880s → 1892
+    expect(targetId(EVENTS, 2, 'nextDecade')).toBe(3);  // 1890s → 1909
+    expect(targetId(EVENTS, 5, 'prevDecade')).toBe(4);  // 1920s → 1911
+    expect(targetId(EVENTS, 6, 'prevDecade')).toBe(4);
+    expect(targetId(EVENTS, 4, 'prevDecade')).toBe(3);  // 1910s → 1909
+  });
+
+  test('stays put at either end when jumping by decade', () => {
+    expect(targetId(EVENTS, 6, 'nextDecade')).toBe(6);
+    expect(targetId(EVENTS, 1, 'prevDecade')).toBe(1);
+  });
+
+  test('returns -1 when no events are shown', () => {
+    expect(getTargetIndex([], 0, 'next')).toBe(-1);
+  });
+});
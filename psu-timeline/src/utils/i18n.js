@@ -0,0 +1,84 @@
+// src/utils/i18n.js
+// Language support: the languages the kiosk offers, interface text lookup
+// (uiStrings.js) and per-language event and tour text from timeline.json
+// and tours.json.
+// Anything without a translation falls back to English.
+
+import { UI_STRINGS, SPORT_NAMES } from './uiStrings';
+
+// Languages offered by the selector in the Header, in display order.
+// label is written in the language itself so visitors can find their own.
+export const LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'zh', label: '中文' },
+];
+
+// The language the kiosk starts in and returns to when idle
+export const DEFAULT_LANGUAGE = 'en';
+
+// Event fields that can be translated in an event's "translations" block
+export const TRANSLATABLE_FIELDS = ['title', 'description'];
+
+/**
+ * translate
+ * @param   {string} language - Language code, e.g. 'es'
+ * @param   {string} key      - Key in UI_STRINGS
+ * @param   {Object} values   - Values for {placeholders} in the string
+ * @returns {string} The interface text, in English if not translated
+ */
+export function translate(language, key, values = {}) {
+  const text = UI_STRINGS[language]?.[key] ?? UI_STRINGS[DEFAULT_LANGUAGE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * translateSport
+ * @param   {string} language - Language code
+ * @param   {string} sport    - Sport name as written in timeline.json
+ * @returns {string} The sport's name in that language, or as written
+ */
+export function translateSport(language, sport) {
+  return SPORT_NAMES[language]?.[sport] || sport;
+}
+
+/**
+ * localizeEvent
+ * Swaps in the event's translated title and description, field by field.
+ * e.g. "translations": { "es": { "title": "...", "description": "..." } }
+ * @param   {Object} event    - A timeline event
+ * @param   {string} language - Language code
+ * @returns {Object} The same event when nothing is translated, otherwise a copy
+ */
+export function localizeEvent(event, language) {
+  const translation = event.translations?.[language];
+  if (language === DEFAULT_LANGUAGE || !translation) return event;
+
+  const localized = { ...event };
+  TRANSLATABLE_FIELDS.forEach(field => {
+    const text = translation[field];
+    if (typeof text === 'string' && text.trim()) localized[field] = text;
+  });
+  return localized;
+}
+
+/**
+ * localizeTour
+ * Gives a tour its name and stop narrations in the visitor's language, from
+ * the "translations" blocks in tours.json (checked by validateTours), e.g.
+ * { "es": { "name": "..." } } on the tour, { "es": { "narration": "..." } } on a stop.
+ * @param   {Object} tour     - A tour from validateTours
+ * @param   {string} language - Language code
+ * @returns {Object} A copy with title set to the name to show. name stays as
+ *                   written, since that is how the kiosk keeps track of a tour.
+ */
+export function localizeTour(tour, language) {
+  return {
+    ...tour,
+    title: tour.translations[language]?.name || tour.name,
+    stops: tour.stops.map(stop => {
+      const narration = stop.translations[language]?.narration;
+      return narration ? { ...stop, narration } : stop;
+    }),
+  };
+}
@@ -0,0 +1,174 @@
+// src/utils/kioskConfig.js
+// Settings for the running exhibit, read from public/data/kiosk.json:
+// idle timings, tour speed, zoom, which features are on, the header's
+// branding text and where the data files are. A single kiosk can change
+// any of them from its address with the setting's dotted name, e.g.
+//   /?timing.inactivityTimeout=30&features.search=false
+// Bad or unknown settings are reported and the default is used instead.
+
+import { fetchTimelineData } from './loadTimeline';
+
+export const CONFIG_URL = '/data/kiosk.json';
+
+// One entry per setting, by its dotted path in kiosk.json.
+// type:     'number', 'boolean' or 'string'
+// default:  used when kiosk.json leaves the setting out (or gets it wrong)
+// min/max:  allowed range for numbers
+// nullable: whether `null` is an accepted value
+// Timings are in seconds, like the "dwell" of a tour stop.
+export const CONFIG_SCHEMA = {
+  'timing.inactivityTimeout': { type: 'number',  default: 14,    min: 5,  max: 600 },
+  'timing.tourInterval':      { type: 'number',  default: 4.5,   min: 1,  max: 60 },
+  'timing.attractTimeout':    { type: 'number',  default: 300,   min: 0,  max: 86400 }, // 0 = never
+  'timing.attractInterval':   { type: 'number',  default: 10,    min: 2,  max: 120 },
+  'timing.reloadInterval':    { type: 'number',  default: 60,    min: 0,  max: 86400 }, // 0 = never
+  'timeline.maxZoom':         { type: 'number',  default: 6,     min: 1,  max: 20 },
+  'timeline.wheelZoomSpeed':  { type: 'number',  default: 0.002, min: 0.0005, max: 0.01 },
+  'features.search':          { type: 'boolean', default: true },
+  'features.languages':       { type: 'boolean', default: true },
+  'features.tours':           { type: 'boolean', default: true },
+  'features.myVisit':         { type: 'boolean', default: true },
+  'features.sportFilter':     { type: 'boolean', default: true },
+  'features.sportLanes':      { type: 'boolean', default: true },
+  'features.largeText':       { type: 'boolean', default: true },
+  'branding.eyebrow':         { type: 'string',  default: 'PENN STATE UNIVERSITY' },
+  'branding.title':           { type: 'string',  default: 'All Sports Museum' },
+  // null = the translated "Athletic Heritage Timeline"
+  'branding.subtitle':        { type: 'string',  default: null, nullable: true },
+  'data.timeline':            { type: 'string',  default: '/data/timeline.json' },
+  'data.tours':               { type: 'string',  default: '/data/tours.json' },
+};
+
+// Every kiosk.json problem is a warning: the setting's default is used instead
+function configIssue(record, field, message) {
+  return { level: 'warning', record, index: -1, field, message };
+}
+
+/**
+ * Checks a single value against its setting rule.
+ * @returns {string|null} A human-readable problem, or null if the value is fine
+ */
+function checkSetting(value, rule) {
+  if (value === null) {
+    return rule.nullable ? null : 'is null';
+  }
+  if (typeof value !== rule.type) {
+    return `should be ${rule.type === 'boolean' ? 'true or false' : `a ${rule.type}`} but is ${JSON.stringify(value)}`;
+  }
+  if (rule.type === 'number' && (value < rule.min || value > rule.max)) {
+    return `should be ${rule.min}–${rule.max} but is ${value}`;
+  }
+  if (rule.type === 'string' && value.trim() === '') {
+    return 'is empty';
+  }
+  return null;
+}
+
+/**
+ * Turns a query-string value into the setting's type ("30" → 30, "false" → false).
+ * Anything that doesn't convert is left as text for checkSetting to report.
+ */
+function parseOverride(text, rule) {
+  if (text === 'null') return null;
+  if (rule.type === 'number' && text.trim() !== '' && !Number.isNaN(Number(text))) return Number(text);
+  if (rule.type === 'boolean' && (text === 'true' || text === 'false')) return text === 'true';
+  return text;
+}
+
+/**
+ * Flattens kiosk.json into { "timing.inactivityTimeout": 14, ... } so it can
+ * be checked setting by setting. Sections that aren't { ... } are reported.
+ */
+function flattenConfig(data, issues) {
+  const values = {};
+  Object.entries(data).forEach(([section, entries]) => {
+    if (entries === null || typeof entries !== 'object' || Array.isArray(entries)) {
+      issues.push(configIssue(
+        'kiosk.json', section, `“${section}” should be a group of settings { ... }, so it is ignored`,
+      ));
+      return;
+    }
+    Object.entries(entries).forEach(([key, value]) => { values[`${section}.${key}`] = value; });
+  });
+  return values;
+}
+
+/**
+ * readConfigOverrides
+ * @param   {string} search - window.location.search
+ * @returns {Object} The query parameters that name a setting, e.g. { "features.search": "false" }
+ */
+export function readConfigOverrides(search) {
+  const overrides = {};
+  new URLSearchParams(search).forEach((value, key) => {
+    if (key in CONFIG_SCHEMA) overrides[key] = value;
+  });
+  return overrides;
+}
+
+/**
+ * resolveKioskConfig
+ * Starts from the defaults, then applies kiosk.json, then this kiosk's overrides.
+ *
+ * @param   {*}      data      - Whatever JSON.parse returned for kiosk.json ({} if there is none)
+ * @param   {Object} overrides - From readConfigOverrides
+ * @returns {{ config: Object, issues: Object[] }}
+ *          config - { timing: { ... }, features: { ... }, ... } with every setting filled in
+ *          issues - same shape as validateTimeline's (see configIssue)
+ */
+export function resolveKioskConfig(data, overrides = {}) {
+  const issues = [];
+  const values = {};
+
+  const apply = (source, path, value) => {
+    const rule = CONFIG_SCHEMA[path];
+    const problem = rule ? checkSetting(value, rule) : 'is not a setting this version knows (check the spelling)';
+    if (problem) {
+      issues.push(configIssue(source, path, `“${path}” ${problem}, so it is ignored`));
+      return;
+    }
+    values[path] = value;
+  };
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    issues.push(configIssue(
+      'kiosk.json', null, 'should contain groups of settings wrapped in { ... }, so the defaults are used',
+    ));
+  } else {
+    Object.entries(flattenConfig(data, issues)).forEach(([path, value]) => apply('kiosk.json', path, value));
+  }
+  Object.entries(overrides).forEach(([path, text]) => (
+    apply('Address of this kiosk', path, parseOverride(text, CONFIG_SCHEMA[path]))
+  ));
+
+  const config = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([path, rule]) => {
+    const [section, key] = path.split('.');
+    config[section] = config[section] || {};
+    config[section][key] = path in values ? values[path] : rule.default;
+  });
+  return { config, issues };
+}
+
+/**
+ * loadKioskConfig
+ * @param   {Object} overrides - From readConfigOverrides
+ * @returns {Promise<{ config: Object, issues: Object[], source: string|null }>}
+ *          source is the file's contents as read, so callers can tell when it changes,
+ *          or null if it couldn't be read (then it's reported and the defaults are used).
+ *          Never rejects.
+ */
+export async function loadKioskConfig(overrides) {
+  let data;
+  try {
+    data = await fetchTimelineData(CONFIG_URL);
+  } catch (err) {
+    const { config, issues } = resolveKioskConfig({}, overrides);
+    return {
+      config,
+      issues: [configIssue('kiosk.json', null, `${err.message} The default settings are used.`), ...issues],
+      source: null,
+    };
+  }
+  return { ...resolveKioskConfig(data, overrides), source: JSON.stringify(data) };
+}
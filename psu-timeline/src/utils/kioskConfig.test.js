@@ -0,0 +1,167 @@
+// src/utils/kioskConfig.test.js
+// Unit tests for kiosk.json settings: defaults, validation, per-kiosk
+// overrides from the address, and loading the file.
+
+import {
+  CONFIG_SCHEMA, CONFIG_URL, readConfigOverrides, resolveKioskConfig, loadKioskConfig,
+} from './kioskConfig';
+import shippedConfig from '../../public/data/kiosk.json';
+
+const { config: DEFAULTS } = resolveKioskConfig({});
+
+describe('readConfigOverrides', () => {
+  test('keeps only the query parameters that name a setting', () => {
+    expect(readConfigOverrides('?timing.inactivityTimeout=30&sport=Tennis&mode=web&features.search=false'))
+      .toEqual({ 'timing.inactivityTimeout': '30', 'features.search': 'false' });
+  });
+
+  test('returns no overrides for an empty or unrelated query string', () => {
+    expect(readConfigOverrides('')).toEqual({});
+    expect(readConfigOverrides('?timing=30&features.unknown=true')).toEqual({});
+  });
+});
+
+describe('resolveKioskConfig', () => {
+  test('fills every setting with its default when kiosk.json is empty', () => {
+    const { config, issues } = resolveKioskConfig({});
+
+    expect(issues).toEqual([]);
+    Object.entries(CONFIG_SCHEMA).forEach(([path, rule]) => {
+      const [section, key] = path.split('.');
+      expect(config[section][key]).toBe(rule.default);
+    });
+  });
+
+  test('accepts the kiosk.json that ships with the exhibit', () => {
+    const { config, issues } = resolveKioskConfig(shippedConfig);
+
+    expect(issues).toEqual([]);
+    expect(config).toEqual(DEFAULTS);
+  });
+
+  test('applies valid settings from kiosk.json', () => {
+    const { config, issues } = resolveKioskConfig({
+      timing: { inactivityTimeout: 30 },
+      features: { search: false },
+      branding: { subtitle: 'Hall of Fame' },
+    });
+
+    expect(issues).toEqual([]);
+    expect(config.timing.inactivityTimeout).toBe(30);
+    expect(config.timing.tourInterval).toBe(DEFAULTS.timing.tourInterval);
+    expect(config.features.search).toBe(false);
+    expect(config.branding.subtitle).toBe('Hall of Fame');
+  });
+
+  test('reports bad settings as warnings and keeps the default', () => {
+    const { config, issues } = resolveKioskConfig({
+      timing: { inactivityTimeout: 2, tourInterval: 'slow' },
+      features: { search: 'no', serach: false },
+      branding: { title: '  ', eyebrow: null },
+      data: 'elsewhere',
+    });
+
+    expect(config).toEqual(DEFAULTS);
+    expect(issues.every(issue => issue.level === 'warning' && issue.record === 'kiosk.json')).toBe(true);
+    expect(issues.map(issue => issue.message)).toEqual([
+      '“data” should be a group of settings { ... }, so it is ignored',
+      '“timing.inactivityTimeout” should be 5–600 but is 2, so it is ignored',
+      '“timing.tourInterval” should be a number but is "slow", so it is ignored',
+      '“features.search” should be true or false but is "no", so it is ignored',
+      '“features.serach” is not a setting this version knows (check the spelling), so it is ignored',
+      '“branding.title” is empty, so it is ignored',
+      '“branding.eyebrow” is null, so it is ignored',
+    ]);
+  });
+
+  test('uses the defaults when kiosk.json is not a group of settings', () => {
+    [null, [], 'kiosk', 42].forEach(data => {
+      const { config, issues } = resolveKioskConfig(data);
+      expect(config).toEqual(DEFAULTS);
+      expect(issues).toHaveLength(1);
+      expect(issues[0].message).toContain('so the defaults are used');
+    });
+  });
+
+  test('lets the address override kiosk.json, converting the text to the setting type', () => {
+    const overrides = readConfigOverrides(
+      '?timing.inactivityTimeout=30&features.search=false&branding.subtitle=null&branding.title=Lobby%20Kiosk'
+    );
+    const { config, issues } = resolveKioskConfig(
+      { timing: { inactivityTimeout: 60 }, features: { search: true }, branding: { subtitle: 'Hall of Fame' } },
+      overrides,
+    );
+
+    expect(issues).toEqual([]);
+    expect(config.timing.inactivityTimeout).toBe(30);
+    expect(config.features.search).toBe(false);
+    expect(config.branding.subtitle).toBeNull();
+    expect(config.branding.title).toBe('Lobby Kiosk');
+  });
+
+  test('reports bad overrides against the address and keeps the kiosk.json value', () => {
+    const { config, issues } = resolveKioskConfig(
+      { timing: { inactivityTimeout: 60 } },
+      { 'timing.inactivityTimeout': 'soon', 'features.search': 'maybe' },
+    );
+
+    expect(config.timing.inactivityTimeout).toBe(60);
+    expect(config.features.search).toBe(true);
+    expect(issues).toEqual([
+      {
+        level: 'warning',
+        record: 'Address of this kiosk',
+        index: -1,
+        field: 'timing.inactivityTimeout',
+        message: '“timing.inactivityTimeout” should be a number but is "soon", so it is ignored',
+      },
+      {
+        level: 'warning',
+        record: 'Address of this kiosk',
+        index: -1,
+        field: 'features.search',
+        message: '“features.search” should be true or false but is "maybe", so it is ignored',
+      },
+    ]);
+  });
+});
+
+describe('loadKioskConfig', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('reads kiosk.json, applies the overrides and returns the file as read', async () => {
+    const data = { timing: { tourInterval: 6 } };
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve(JSON.stringify(data)) }));
+
+    const { config, issues, source } = await loadKioskConfig({ 'features.tours': 'false' });
+
+    expect(global.fetch).toHaveBeenCalledWith(CONFIG_URL);
+    expect(issues).toEqual([]);
+    expect(config.timing.tourInterval).toBe(6);
+    expect(config.features.tours).toBe(false);
+    expect(source).toBe(JSON.stringify(data));
+  });
+
+  test('falls back to the defaults (plus overrides) when the file cannot be read', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+
+    const { config, issues, source } = await loadKioskConfig({ 'features.tours': 'false' });
+
+    expect(source).toBeNull();
+    expect(config).toEqual({ ...DEFAULTS, features: { ...DEFAULTS.features, tours: false } });
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ level: 'warning', record: 'kiosk.json' });
+    expect(issues[0].message).toContain('HTTP 404');
+    expect(issues[0].message).toContain('The default settings are used.');
+  });
+
+  test('never rejects, even without a network', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+
+    await expect(loadKioskConfig({})).resolves.toMatchObject({ config: DEFAULTS, source: null });
+  });
+});
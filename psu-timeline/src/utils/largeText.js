@@ -0,0 +1,46 @@
+// src/utils/largeText.js
+// The visitor's LARGE TEXT mode: bigger type and a high-contrast palette.
+// App puts LARGE_TEXT_CLASS on <html> while it's on; global.css then
+// changes a few custom properties, and the inline style objects follow
+// them through these helpers, so no component needs a prop for it.
+// Sport colors stay as they are (each reads at 3:1 or better on the navy)
+// so dots, bars and borders still tell the sports apart.
+
+export const LARGE_TEXT_CLASS = 'large-text';
+
+/**
+ * textSize
+ * @param   {string} size - A CSS font size, e.g. '12px' or 'clamp(13px, 1.5vw, 16px)'
+ * @returns {string} That size, scaled up in LARGE TEXT mode (--text-scale)
+ */
+export function textSize(size) {
+  return `calc(${size} * var(--text-scale))`;
+}
+
+/**
+ * fadedWhite
+ * @param   {number} alpha - Opacity in the standard look, e.g. 0.4
+ * @returns {string} White at that opacity; solid white in LARGE TEXT mode
+ */
+export function fadedWhite(alpha) {
+  return `rgba(255, 255, 255, max(${alpha}, var(--text-min-alpha)))`;
+}
+
+/**
+ * fadedGold
+ * @param   {number} alpha - Opacity in the standard look
+ * @returns {string} PSU gold at that opacity; solid gold in LARGE TEXT mode
+ */
+export function fadedGold(alpha) {
+  return `rgba(192, 151, 79, max(${alpha}, var(--text-min-alpha)))`;
+}
+
+/**
+ * sportText
+ * @param   {string} color - The sport's color from sportConfig
+ * @returns {string} The color for small text in that sport's color: white in LARGE
+ *                   TEXT mode, where the sport shows in the badge's border instead
+ */
+export function sportText(color) {
+  return `var(--sport-text, ${color})`;
+}
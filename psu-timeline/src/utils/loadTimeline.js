@@ -0,0 +1,97 @@
+// src/utils/loadTimeline.js
+// Fetches timeline.json (and the themed tours in tours.json), parses them
+// and runs them through their validators.
+// Turns network and syntax failures into messages a curator can act on.
+
+import { validateTimeline } from './timelineSchema';
+import { validateTours } from './tourSchema';
+
+export const TIMELINE_URL = '/data/timeline.json';
+export const TOURS_URL = '/data/tours.json';
+
+/**
+ * Converts a JSON.parse error into "line X, column Y" wording when the
+ * browser reports a character position, so volunteers can find the typo.
+ */
+function describeSyntaxError(err, text) {
+  const match = /position (\d+)/.exec(err.message);
+  if (!match) return err.message;
+
+  const position = Number(match[1]);
+  const before = text.slice(0, position).split('\n');
+  const line = before.length;
+  const column = before[before.length - 1].length + 1;
+  return `${err.message} (line ${line}, column ${column}). ` +
+    'Look for a missing or extra comma, quote or bracket just before this point.';
+}
+
+/**
+ * fetchTimelineData
+ * Fetches and parses the data file without validating it, so the curator
+ * editor can show (and fix) records the exhibit would skip.
+ * @param   {string} url - Where to fetch the data file from
+ * @returns {Promise<*>} Whatever the file contains
+ * @throws  {Error} with a curator-facing message if it can't be fetched or parsed
+ */
+export async function fetchTimelineData(url = TIMELINE_URL) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (err) {
+    throw new Error(`Could not reach ${url}. Check the network connection.`);
+  }
+
+  if (!res.ok) {
+    throw new Error(`Could not load ${url} (HTTP ${res.status}). Check that the file exists.`);
+  }
+
+  const text = await res.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${url} is not valid JSON: ${describeSyntaxError(err, text)}`);
+  }
+  return data;
+}
+
+/**
+ * loadTimeline
+ * @param   {string} url - Where to fetch the data file from
+ * @returns {Promise<{ events: Object[], issues: Object[] }>}
+ *          events are sorted by year; issues come from validateTimeline
+ * @throws  {Error} with a curator-facing message if the file can't be used at all
+ */
+export async function loadTimeline(url = TIMELINE_URL) {
+  const data = await fetchTimelineData(url);
+  const { events, issues } = validateTimeline(data);
+  if (events.length === 0) {
+    const err = new Error(`${url} has no valid events to show.`);
+    err.issues = issues; // lets the error screen list what was wrong with each record
+    throw err;
+  }
+
+  return {
+    events: [...events].sort((a, b) => a.year - b.year),
+    issues,
+  };
+}
+
+/**
+ * loadTours
+ * Tours are extras: a tours.json that can't be used is reported like a
+ * skipped record and the live tour plays every event in year order instead.
+ * @param   {Object[]} events - The events from loadTimeline, to check the stops against
+ * @param   {string}   url    - Where to fetch the tours file from
+ * @returns {Promise<{ tours: Object[], issues: Object[] }>} tours and issues come from validateTours
+ */
+export async function loadTours(events, url = TOURS_URL) {
+  try {
+    return validateTours(await fetchTimelineData(url), events);
+  } catch (err) {
+    return {
+      tours: [],
+      issues: [{ level: 'error', record: 'tours.json', index: -1, field: null, message: err.message }],
+    };
+  }
+}
@@ -0,0 +1,45 @@
+// src/utils/offline.js
+// Page-side helpers for the offline service worker in public/service-worker.js.
+
+const SERVICE_WORKER_URL = '/service-worker.js';
+
+/**
+ * Registers the service worker. Production builds only, so the dev server
+ * never serves stale files while you're editing.
+ */
+export function registerServiceWorker() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(err => {
+      console.warn('Offline mode unavailable: service worker registration failed.', err);
+    });
+  });
+}
+
+/**
+ * Sends a message to the active service worker, if there is one.
+ */
+function postToServiceWorker(message) {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.active && registration.active.postMessage(message))
+    .catch(() => {});
+}
+
+/**
+ * Asks the service worker to store any of these URLs it doesn't have yet
+ * (e.g. images from newly added events).
+ * @param {string[]} urls
+ */
+export function precacheUrls(urls) {
+  postToServiceWorker({ type: 'precache', urls });
+}
+
+/**
+ * Asks the service worker to re-download the app, data, fonts and images
+ * in the background. Called when the network comes back.
+ */
+export function refreshOfflineCache() {
+  postToServiceWorker({ type: 'refresh' });
+}
@@ -0,0 +1,350 @@
+// src/utils/qrCode.js
+// Minimal QR Code generator (ISO/IEC 18004), so take-home links are drawn
+// on the kiosk itself — no QR web service, works offline.
+// Byte mode, error correction level M (≈15% of the code can be covered
+// or smudged and it still scans), versions 1–40, automatic mask choice.
+
+// Per version (index 1–40) for level M
+const ECC_CODEWORDS_PER_BLOCK = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26,
+  26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+];
+const NUM_ECC_BLOCKS = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14,
+  16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+];
+const ECC_FORMAT_BITS = 0;   // level M
+const BYTE_MODE = 0x4;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/**
+ * createQrMatrix
+ * @param   {string} text - What the code should contain (usually a URL)
+ * @returns {boolean[][]} Square grid of modules, [row][column], true = dark.
+ *          Leave a light margin of 4 modules around it when drawing.
+ * @throws  {Error} if the text is too long for the largest QR code
+ */
+export function createQrMatrix(text) {
+  const bytes = [...new TextEncoder().encode(text)];
+
+  let version = 1;
+  while (dataBitsNeeded(bytes.length, version) > numDataCodewords(version) * 8) {
+    version += 1;
+    if (version > 40) throw new Error('Text is too long for a QR code');
+  }
+
+  const codewords = addEccAndInterleave(encodeData(bytes, version), version);
+  const qr = createGrid(version);
+  drawFunctionPatterns(qr);
+  drawCodewords(qr, codewords);
+
+  // Try every mask and keep the one that is easiest to scan
+  let best = null;
+  MASKS.forEach((mask, index) => {
+    applyMask(qr, mask);
+    drawFormatBits(qr, index);
+    const penalty = getPenalty(qr.modules);
+    if (!best || penalty < best.penalty) best = { index, penalty };
+    applyMask(qr, mask); // XOR again to undo
+  });
+
+  applyMask(qr, MASKS[best.index]);
+  drawFormatBits(qr, best.index);
+  return qr.modules;
+}
+
+/* ============================================================
+   Data encoding
+   ============================================================ */
+function dataBitsNeeded(length, version) {
+  return 4 + (version < 10 ? 8 : 16) + length * 8;
+}
+
+function numRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function numDataCodewords(version) {
+  return Math.floor(numRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version] * NUM_ECC_BLOCKS[version];
+}
+
+// Mode, length, the bytes, then terminator and padding up to capacity
+function encodeData(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(BYTE_MODE, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacity = numDataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return data;
+}
+
+/* ============================================================
+   Reed–Solomon error correction
+   ============================================================ */
+function addEccAndInterleave(data, version) {
+  const numBlocks = NUM_ECC_BLOCKS[version];
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEccLength);
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+    offset += blockData.length;
+    const ecc = reedSolomonRemainder(blockData, divisor);
+    if (i < numShortBlocks) blockData.push(0); // placeholder, skipped below
+    blocks.push(blockData.concat(ecc));
+  }
+
+  // Take one codeword from each block in turn
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => { result[i] ^= gfMultiply(coefficient, factor); });
+  });
+  return result;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/* ============================================================
+   Drawing the grid
+   ============================================================ */
+function createGrid(version) {
+  const size = version * 4 + 17;
+  const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+  return { version, size, modules: grid(), isFunction: grid() };
+}
+
+function setFunctionModule(qr, x, y, isDark) {
+  qr.modules[y][x] = isDark;
+  qr.isFunction[y][x] = true;
+}
+
+function drawFunctionPatterns(qr) {
+  const { size, version } = qr;
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(qr, 6, i, i % 2 === 0);
+    setFunctionModule(qr, i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns in three corners (with their light separators)
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap the finders
+  const positions = alignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Reserve the format areas (filled in per mask) and draw the version blocks
+  drawFormatBits(qr, 0);
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const isDark = ((bits >>> i) & 1) !== 0;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunctionModule(qr, a, b, isDark);
+      setFunctionModule(qr, b, a, isDark);
+    }
+  }
+}
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let position = version * 4 + 10; result.length < numAlign; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+}
+
+function drawFormatBits(qr, mask) {
+  const { size } = qr;
+  const data = (ECC_FORMAT_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+  // First copy, around the top-left finder
+  for (let i = 0; i <= 5; i++) setFunctionModule(qr, 8, i, bit(i));
+  setFunctionModule(qr, 8, 7, bit(6));
+  setFunctionModule(qr, 8, 8, bit(7));
+  setFunctionModule(qr, 7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setFunctionModule(qr, 14 - i, 8, bit(i));
+
+  // Second copy, split between the other two finders
+  for (let i = 0; i < 8; i++) setFunctionModule(qr, size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setFunctionModule(qr, 8, size - 15 + i, bit(i));
+  setFunctionModule(qr, 8, size - 8, true); // always dark
+}
+
+// Zigzag up and down two-column strips from the right edge
+function drawCodewords(qr, codewords) {
+  const { size, modules, isFunction } = qr;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing pattern
+    const isUpward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = isUpward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+          i += 1;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(qr, mask) {
+  const { size, modules, isFunction } = qr;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && mask(x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+/* ============================================================
+   Mask penalty (lower is easier for scanners)
+   ============================================================ */
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true],
+];
+
+function getPenalty(modules) {
+  const size = modules.length;
+  const columns = modules.map((row, x) => modules.map(r => r[x]));
+  let penalty = 0;
+
+  [...modules, ...columns].forEach(line => {
+    // Runs of five or more modules of the same color
+    let runLength = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        runLength += 1;
+      } else {
+        if (runLength >= 5) penalty += runLength - 2;
+        runLength = 1;
+      }
+    }
+
+    // Patterns that look like a finder
+    for (let i = 0; i + 11 <= size; i++) {
+      if (FINDER_LIKE.some(pattern => pattern.every((isDark, k) => line[i + k] === isDark))) penalty += 40;
+    }
+  });
+
+  // 2×2 blocks of one color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        penalty += 3;
+      }
+    }
+  }
+
+  // Balance of dark and light
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return penalty;
+}
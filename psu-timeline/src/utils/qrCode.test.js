@@ -0,0 +1,269 @@
+/**
+ * @jest-environment node
+ */
+// src/utils/qrCode.test.js
+// Tests for the QR encoder. The codes are read back with a small decoder
+// written from the standard (ISO/IEC 18004) rather than from qrCode.js:
+// it checks the fixed patterns, the format information, the Reed–Solomon
+// check bytes of every block and finally the text itself.
+// (Node environment: the encoder needs TextEncoder.)
+
+import { createQrMatrix } from './qrCode';
+
+// Alignment pattern centers, per version (ISO/IEC 18004 Annex E)
+const ALIGNMENT_CENTERS = {
+  1: [], 2: [6, 18], 3: [6, 22], 4: [6, 26], 5: [6, 30], 7: [6, 22, 38], 10: [6, 28, 50],
+};
+
+// Level M error correction blocks, per version: [count, data codewords] groups
+// and the check codewords per block (ISO/IEC 18004 Table 9)
+const LEVEL_M_BLOCKS = {
+  1: { groups: [[1, 16]], ecc: 10 },
+  2: { groups: [[1, 28]], ecc: 16 },
+  3: { groups: [[1, 44]], ecc: 26 },
+  4: { groups: [[2, 32]], ecc: 18 },
+  5: { groups: [[2, 43]], ecc: 24 },
+  7: { groups: [[4, 31]], ecc: 18 },
+  10: { groups: [[4, 43], [1, 44]], ecc: 26 },
+};
+
+// Data masks, by mask number; i is the row and j the column
+const MASK_CONDITIONS = [
+  (i, j) => (i + j) % 2 === 0,
+  (i) => i % 2 === 0,
+  (i, j) => j % 3 === 0,
+  (i, j) => (i + j) % 3 === 0,
+  (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+  (i, j) => ((i * j) % 2) + ((i * j) % 3) === 0,
+  (i, j) => (((i * j) % 2) + ((i * j) % 3)) % 2 === 0,
+  (i, j) => (((i * j) % 3) + ((i + j) % 2)) % 2 === 0,
+];
+
+// GF(256) log tables for the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = [];
+const LOG = [];
+for (let i = 0, value = 1; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  value = (value << 1) ^ (value & 0x80 ? 0x11D : 0);
+}
+
+function gfMul(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[(LOG[a] + LOG[b]) % 255];
+}
+
+function versionOf(matrix) {
+  return (matrix.length - 17) / 4;
+}
+
+// Modules that belong to the fixed patterns, format and version areas
+function isFunctionModule(version, row, col) {
+  const size = version * 4 + 17;
+  if (row <= 8 && col <= 8) return true;                 // top-left finder and format
+  if (row <= 8 && col >= size - 8) return true;          // top-right finder and format
+  if (row >= size - 8 && col <= 8) return true;          // bottom-left finder, format, dark module
+  if (row === 6 || col === 6) return true;               // timing patterns
+  if (version >= 7 && ((row < 6 && col >= size - 11) || (col < 6 && row >= size - 11))) return true;
+
+  const centers = ALIGNMENT_CENTERS[version];
+  const last = centers.length - 1;
+  return centers.some((cy, a) => centers.some((cx, b) => {
+    const overlapsFinder = (a === 0 && b === 0) || (a === 0 && b === last) || (a === last && b === 0);
+    return !overlapsFinder && Math.abs(row - cy) <= 2 && Math.abs(col - cx) <= 2;
+  }));
+}
+
+// The 15 format bits, most significant first, from both copies
+function readFormatBits(matrix) {
+  const size = matrix.length;
+  const first = [
+    ...[0, 1, 2, 3, 4, 5, 7, 8].map(col => matrix[8][col]),
+    ...[7, 5, 4, 3, 2, 1, 0].map(row => matrix[row][8]),
+  ];
+  const second = [
+    ...[1, 2, 3, 4, 5, 6, 7].map(k => matrix[size - k][8]),
+    ...[8, 7, 6, 5, 4, 3, 2, 1].map(k => matrix[8][size - k]),
+  ];
+  const toNumber = bits => bits.reduce((value, bit) => (value << 1) | (bit ? 1 : 0), 0);
+  return { first: toNumber(first), second: toNumber(second) };
+}
+
+function bchRemainder(value) {
+  let remainder = value;
+  for (let bit = 14; bit >= 10; bit--) {
+    if (remainder & (1 << bit)) remainder ^= 0x537 << (bit - 10);
+  }
+  return remainder;
+}
+
+// Reads the codewords in the standard's zigzag order, with the mask removed
+function readCodewords(matrix, mask) {
+  const size = matrix.length;
+  const version = versionOf(matrix);
+  const bits = [];
+  let upward = true;
+  for (let right = size - 1; right > 0; right -= 2) {
+    if (right === 6) right -= 1;
+    for (let step = 0; step < size; step++) {
+      const row = upward ? size - 1 - step : step;
+      [right, right - 1].forEach(col => {
+        if (isFunctionModule(version, row, col)) return;
+        bits.push(matrix[row][col] !== MASK_CONDITIONS[mask](row, col));
+      });
+    }
+    upward = !upward;
+  }
+
+  const codewords = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | (bit ? 1 : 0), 0));
+  }
+  return codewords;
+}
+
+// Splits interleaved codewords back into blocks of { data, ecc }
+function deinterleave(codewords, version) {
+  const { groups, ecc } = LEVEL_M_BLOCKS[version];
+  const blocks = groups.flatMap(([count, length]) => (
+    Array.from({ length: count }, () => ({ length, data: [], ecc: [] }))
+  ));
+  const queue = [...codewords];
+  const longest = Math.max(...blocks.map(block => block.length));
+  for (let i = 0; i < longest; i++) {
+    blocks.filter(block => i < block.length).forEach(block => block.data.push(queue.shift()));
+  }
+  for (let i = 0; i < ecc; i++) {
+    blocks.forEach(block => block.ecc.push(queue.shift()));
+  }
+  return blocks;
+}
+
+// A valid Reed–Solomon codeword is zero at α^0 … α^(ecc - 1)
+function syndromes(block) {
+  const codeword = [...block.data, ...block.ecc];
+  return block.ecc.map((_, i) => codeword.reduce((sum, byte) => gfMul(sum, EXP[i]) ^ byte, 0));
+}
+
+// Full read-back: returns the decoded text plus what was checked on the way
+function decode(matrix) {
+  const version = versionOf(matrix);
+  const format = readFormatBits(matrix);
+  const info = format.first ^ 0x5412;
+  const mask = (info >> 10) & 0b111;
+  const blocks = deinterleave(readCodewords(matrix, mask), version);
+
+  const data = blocks.flatMap(block => block.data);
+  const bits = data.flatMap(byte => Array.from({ length: 8 }, (_, i) => (byte >> (7 - i)) & 1));
+  let position = 0;
+  const take = (length) => {
+    const value = bits.slice(position, position + length).reduce((sum, bit) => (sum << 1) | bit, 0);
+    position += length;
+    return value;
+  };
+
+  const mode = take(4);
+  const length = take(version < 10 ? 8 : 16);
+  const bytes = Array.from({ length }, () => take(8));
+  const terminator = take(Math.min(4, bits.length - position));
+  position = Math.ceil(position / 8) * 8;
+  const padding = [];
+  while (position < bits.length) padding.push(take(8));
+
+  return {
+    format,
+    level: info >> 13,
+    bch: bchRemainder(info),
+    mask,
+    blocks,
+    mode,
+    terminator,
+    padding,
+    text: new TextDecoder().decode(new Uint8Array(bytes)),
+  };
+}
+
+function finderAt(matrix, top, left) {
+  return Array.from({ length: 7 }, (_, r) => Array.from({ length: 7 }, (__, c) => {
+    const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+    return matrix[top + r][left + c] === (ring !== 2);
+  })).flat().every(Boolean);
+}
+
+const SAMPLES = [
+  { text: 'HELLO', version: 1 },
+  { text: 'https://psu-timeline.vercel.app/event/12?mode=web', version: 4 },
+  { text: 'https://psu-timeline.vercel.app/visit/3,7,12,15,21,22,23,24,26,30,31?mode=web', version: 5 },
+  { text: 'Pelé · 宾州州立大学 · Nittany Lions', version: 4 },
+  { text: `https://psu-timeline.vercel.app/visit/${Array.from({ length: 40 }, (_, i) => i + 100).join(',')}`, version: 10 },
+];
+
+describe('createQrMatrix', () => {
+  test.each(SAMPLES)('picks the smallest version that fits ($version)', ({ text, version }) => {
+    const matrix = createQrMatrix(text);
+    expect(matrix).toHaveLength(version * 4 + 17);
+    matrix.forEach(row => expect(row).toHaveLength(matrix.length));
+  });
+
+  test.each(SAMPLES)('draws the finder and timing patterns (version $version)', ({ text }) => {
+    const matrix = createQrMatrix(text);
+    const size = matrix.length;
+
+    expect(finderAt(matrix, 0, 0)).toBe(true);
+    expect(finderAt(matrix, 0, size - 7)).toBe(true);
+    expect(finderAt(matrix, size - 7, 0)).toBe(true);
+    for (let i = 8; i < size - 8; i++) {
+      expect(matrix[6][i]).toBe(i % 2 === 0);
+      expect(matrix[i][6]).toBe(i % 2 === 0);
+    }
+    expect(matrix[size - 8][8]).toBe(true); // the dark module
+  });
+
+  test.each(SAMPLES)('writes valid level M format information (version $version)', ({ text }) => {
+    const { format, level, bch } = decode(createQrMatrix(text));
+
+    expect(format.second).toBe(format.first);
+    expect(bch).toBe(0);
+    expect(level).toBe(0b00); // M
+  });
+
+  test.each(SAMPLES)('fills every block with valid Reed–Solomon codewords (version $version)', ({ text }) => {
+    const { blocks } = decode(createQrMatrix(text));
+
+    blocks.forEach(block => expect(syndromes(block)).toEqual(block.ecc.map(() => 0)));
+  });
+
+  test.each(SAMPLES)('reads back as the original text: $text', ({ text }) => {
+    const { mode, text: decoded, terminator, padding } = decode(createQrMatrix(text));
+
+    expect(mode).toBe(0b0100); // byte mode
+    expect(decoded).toBe(text);
+    expect(terminator).toBe(0);
+    padding.forEach((byte, i) => expect(byte).toBe(i % 2 === 0 ? 0xEC : 0x11));
+  });
+
+  test('writes the version information from version 7 up', () => {
+    // 120 bytes: too long for version 6 (106 at level M), fits version 7 (122)
+    const matrix = createQrMatrix('x'.repeat(120));
+    const size = matrix.length;
+    expect(versionOf(matrix)).toBe(7);
+
+    // Version 7's 18-bit version information, 000111 110010 010100
+    const bits = 0x07C94;
+    for (let i = 0; i < 18; i++) {
+      const isDark = ((bits >> i) & 1) === 1;
+      expect(matrix[Math.floor(i / 3)][size - 11 + (i % 3)]).toBe(isDark);
+      expect(matrix[size - 11 + (i % 3)][Math.floor(i / 3)]).toBe(isDark);
+    }
+    expect(decode(matrix).text).toBe('x'.repeat(120));
+  });
+
+  test('returns the same code for the same text', () => {
+    const url = 'https://psu-timeline.vercel.app/event/3?mode=web';
+    expect(createQrMatrix(url)).toEqual(createQrMatrix(url));
+  });
+
+  test('throws when the text does not fit the largest QR code', () => {
+    expect(() => createQrMatrix('x'.repeat(2332))).toThrow('Text is too long for a QR code');
+    expect(() => createQrMatrix('x'.repeat(2331))).not.toThrow();
+  });
+});
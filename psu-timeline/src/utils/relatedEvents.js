@@ -0,0 +1,52 @@
+// src/utils/relatedEvents.js
+// Picks the "Related moments" shown at the bottom of the DetailModal:
+// events a curator linked by hand first, then the same sport and other
+// sports from the same decade, taking turns so both kinds get a place.
+
+export const RELATED_LIMIT = 8;
+
+/**
+ * getRelatedEvents
+ * @param   {Object}   event  - The event being shown
+ * @param   {Object[]} events - All events to choose from
+ * @param   {number}   limit  - Most events to return
+ * @returns {Object[]} { event, reason } in display order, where reason is
+ *          'linked' (curator's "related" list), 'sport' or 'decade'
+ */
+export function getRelatedEvents(event, events, limit = RELATED_LIMIT) {
+  if (!event) return [];
+
+  const picked = new Set([event.id]);
+  const results = [];
+
+  function add(candidates, reason) {
+    candidates.forEach(candidate => {
+      if (results.length >= limit || picked.has(candidate.id)) return;
+      picked.add(candidate.id);
+      results.push({ event: candidate, reason });
+    });
+  }
+
+  // Closest years first, so the strip reads as "around this time"
+  const byDistance = (a, b) => Math.abs(a.year - event.year) - Math.abs(b.year - event.year) || a.year - b.year;
+  const decade = Math.floor(event.year / 10);
+
+  const linked = (Array.isArray(event.related) ? event.related : [])
+    .map(id => events.find(candidate => candidate.id === id))
+    .filter(Boolean);
+
+  const sameSport = events
+    .filter(candidate => candidate.sport === event.sport && candidate.id !== event.id)
+    .sort(byDistance);
+  const sameDecade = events
+    .filter(candidate => candidate.sport !== event.sport && Math.floor(candidate.year / 10) === decade)
+    .sort(byDistance);
+
+  add(linked, 'linked');
+  for (let i = 0; i < Math.max(sameSport.length, sameDecade.length); i++) {
+    if (sameSport[i]) add([sameSport[i]], 'sport');
+    if (sameDecade[i]) add([sameDecade[i]], 'decade');
+  }
+
+  return results;
+}
@@ -0,0 +1,70 @@
+// src/utils/relatedEvents.test.js
+// Unit tests for picking the DetailModal's "Related moments".
+
+import { getRelatedEvents, RELATED_LIMIT } from './relatedEvents';
+
+const EVENTS = [
+  { id: 1, year: 1887, sport: 'Football' },
+  { id: 2, year: 1905, sport: 'Football' },
+  { id: 3, year: 1911, sport: 'Soccer' },
+  { id: 4, year: 1911, sport: 'Football', related: [9, 6, 4, 99] },
+  { id: 5, year: 1913, sport: 'Tennis' },
+  { id: 6, year: 1918, sport: 'Football' },
+  { id: 7, year: 1919, sport: 'Wrestling' },
+  { id: 8, year: 1923, sport: 'Football' },
+  { id: 9, year: 1950, sport: 'Rifle' },
+];
+
+const eventById = id => EVENTS.find(event => event.id === id);
+
+function related(id, limit) {
+  return getRelatedEvents(eventById(id), EVENTS, limit).map(({ event, reason }) => [event.id, reason]);
+}
+
+describe('getRelatedEvents', () => {
+  test('puts the curator\'s links first, then alternates same sport and same decade', () => {
+    expect(related(4)).toEqual([
+      [9, 'linked'],
+      [6, 'linked'],
+      [2, 'sport'],      // 6 years away
+      [3, 'decade'],     // same year
+      [5, 'decade'],     // 6 (7 years, same sport) is already linked
+      [8, 'sport'],
+      [7, 'decade'],
+      [1, 'sport'],
+    ]);
+  });
+
+  test('ignores links to itself and to ids that match no event', () => {
+    const reasons = related(4).filter(([, reason]) => reason === 'linked');
+    expect(reasons.map(([id]) => id)).toEqual([9, 6]);
+  });
+
+  test('orders each kind by distance in years, the earlier year first on a tie', () => {
+    const events = [
+      { id: 1, year: 1910, sport: 'Golf' },
+      { id: 2, year: 1912, sport: 'Golf' },
+      { id: 3, year: 1908, sport: 'Golf' },
+      { id: 4, year: 1915, sport: 'Golf' },
+    ];
+    expect(getRelatedEvents(events[0], events).map(({ event }) => event.id)).toEqual([3, 2, 4]);
+  });
+
+  test('keeps to the same decade for other sports', () => {
+    const decadeIds = related(2)
+      .filter(([, reason]) => reason === 'decade')
+      .map(([id]) => id);
+    expect(decadeIds).toEqual([]); // nothing else happened in the 1900s
+  });
+
+  test('stops at the limit', () => {
+    expect(related(4, 3)).toHaveLength(3);
+    expect(getRelatedEvents(EVENTS[0], [...EVENTS, ...Array.from({ length: 20 }, (_, i) => ({
+      id: 100 + i, year: 1887, sport: 'Football',
+    }))])).toHaveLength(RELATED_LIMIT);
+  });
+
+  test('returns nothing when no event is shown', () => {
+    expect(getRelatedEvents(null, EVENTS)).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+// src/utils/route.js
+// Reads and writes the exhibit's state in the URL, so any view can be
+// linked or bookmarked (vercel.json and the service worker send every
+// path to index.html):
+//
+//   /                       the timeline
+//   /event/12               event 12 open in the detail view
+//   /year/1925              the timeline centered near 1925
+//   /visit/3,7,12           a "my visit" list of events (from a take-home QR code)
+//   ?sport=Tennis&sport=…   sport filter (one parameter per sport)
+//   ?mode=web               website mode: no live tour or idle reset
+//   ?features.search=false  this kiosk's kiosk.json overrides (see kioskConfig.js),
+//                           written back as they were so a reload keeps them
+//
+// /admin is handled in index.js before the exhibit loads.
+
+export const MODES = ['kiosk', 'web'];
+export const DEFAULT_MODE = 'kiosk';
+
+// Where take-home QR codes lead: the public website, which may not be
+// where the kiosk itself is served from (e.g. a build on the kiosk PC)
+const WEB_URL = (process.env.REACT_APP_WEB_URL || window.location.origin).replace(/\/+$/, '');
+
+/**
+ * parseRoute
+ * @param   {Object} location - window.location (or anything with pathname and search)
+ * @returns {Object} { eventId, year, visitIds, sports, mode, isUnknown }
+ *          eventId/year are numbers or null, visitIds a list of ids or null;
+ *          isUnknown is true for a path this app doesn't have (shown as "not found")
+ */
+export function parseRoute({ pathname, search }) {
+  const params = new URLSearchParams(search);
+  const mode = params.get('mode');
+  const route = {
+    eventId: null,
+    year: null,
+    visitIds: null,
+    sports: params.getAll('sport'),
+    mode: MODES.includes(mode) ? mode : DEFAULT_MODE,
+    isUnknown: false,
+  };
+
+  const match = pathname.match(/^\/(event|year)\/(\d+)\/?$/);
+  const visitMatch = pathname.match(/^\/visit\/(\d+(?:,\d+)*)\/?$/);
+  if (match) {
+    route[match[1] === 'event' ? 'eventId' : 'year'] = Number(match[2]);
+  } else if (visitMatch) {
+    route.visitIds = visitMatch[1].split(',').map(Number);
+  } else if (pathname !== '/' && pathname !== '') {
+    route.isUnknown = true;
+  }
+  return route;
+}
+
+/**
+ * buildRoute
+ * @param   {Object} state - { eventId, year, visitIds, sports, mode, overrides };
+ *                           eventId wins over visitIds, visitIds over year;
+ *                           overrides come from readConfigOverrides
+ * @returns {string} Path and query string, e.g. "/event/12?mode=web"
+ */
+export function buildRoute({ eventId, year, visitIds, sports = [], mode = DEFAULT_MODE, overrides = {} }) {
+  let path = '/';
+  if (eventId != null) path = `/event/${eventId}`;
+  else if (visitIds && visitIds.length) path = `/visit/${visitIds.join(',')}`;
+  else if (year != null) path = `/year/${year}`;
+
+  const params = new URLSearchParams();
+  sports.forEach(sport => params.append('sport', sport));
+  if (mode !== DEFAULT_MODE) params.set('mode', mode);
+  Object.entries(overrides).forEach(([path, value]) => params.set(path, value));
+
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+}
+
+/**
+ * buildWebUrl
+ * @param   {Object} state - As for buildRoute (sports, mode and overrides are ignored)
+ * @returns {string} Full website address for a take-home QR code,
+ *          e.g. "https://psu-timeline.vercel.app/event/12?mode=web"
+ */
+export function buildWebUrl({ eventId, visitIds }) {
+  return WEB_URL + buildRoute({ eventId, visitIds, mode: 'web' });
+}
+
+/**
+ * findNearestEvent
+ * @param   {Object[]} events - Events in year order
+ * @param   {number}   year   - Year to look for
+ * @returns {Object|null} The first event of the closest year, or null if there are no events
+ */
+export function findNearestEvent(events, year) {
+  return events.reduce((best, event) => (
+    !best || Math.abs(event.year - year) < Math.abs(best.year - year) ? event : best
+  ), null);
+}
@@ -0,0 +1,113 @@
+// src/utils/route.test.js
+// Unit tests for reading and writing the exhibit's state in the URL.
+
+import { parseRoute, buildRoute, buildWebUrl, findNearestEvent, DEFAULT_MODE } from './route';
+import { readConfigOverrides } from './kioskConfig';
+
+function route(url) {
+  const { pathname, search } = new URL(url, 'http://localhost');
+  return parseRoute({ pathname, search });
+}
+
+describe('parseRoute', () => {
+  test('reads the plain timeline', () => {
+    expect(route('/')).toEqual({
+      eventId: null,
+      year: null,
+      visitIds: null,
+      sports: [],
+      mode: DEFAULT_MODE,
+      isUnknown: false,
+    });
+    expect(route('').isUnknown).toBe(false);
+  });
+
+  test('reads an open event, a year and a visit list', () => {
+    expect(route('/event/12')).toMatchObject({ eventId: 12, year: null, visitIds: null });
+    expect(route('/event/12/')).toMatchObject({ eventId: 12 });
+    expect(route('/year/1925')).toMatchObject({ eventId: null, year: 1925 });
+    expect(route('/visit/3,7,12')).toMatchObject({ visitIds: [3, 7, 12] });
+  });
+
+  test('reads the sport filter and mode from the query string', () => {
+    expect(route('/year/1925?sport=Tennis&sport=Swim%20%26%20Diving&mode=web')).toMatchObject({
+      year: 1925,
+      sports: ['Tennis', 'Swim & Diving'],
+      mode: 'web',
+    });
+  });
+
+  test('falls back to the kiosk mode for a mode it does not know', () => {
+    expect(route('/?mode=tv').mode).toBe(DEFAULT_MODE);
+  });
+
+  test('marks paths the app does not have as unknown', () => {
+    ['/events/12', '/event/twelve', '/event/', '/visit/3,,7', '/year/1925/extra'].forEach(url => {
+      expect(route(url).isUnknown).toBe(true);
+    });
+  });
+});
+
+describe('buildRoute', () => {
+  test('writes the plain timeline as /', () => {
+    expect(buildRoute({})).toBe('/');
+  });
+
+  test('prefers the open event, then the visit list, then the year', () => {
+    expect(buildRoute({ eventId: 12, visitIds: [3], year: 1925 })).toBe('/event/12');
+    expect(buildRoute({ visitIds: [3, 7], year: 1925 })).toBe('/visit/3,7');
+    expect(buildRoute({ visitIds: [], year: 1925 })).toBe('/year/1925');
+  });
+
+  test('writes one sport parameter per sport and leaves out the default mode', () => {
+    expect(buildRoute({ year: 1925, sports: ['Tennis', 'Swim & Diving'], mode: 'kiosk' }))
+      .toBe('/year/1925?sport=Tennis&sport=Swim+%26+Diving');
+    expect(buildRoute({ eventId: 12, mode: 'web' })).toBe('/event/12?mode=web');
+  });
+
+  test('round-trips through parseRoute', () => {
+    const state = { eventId: null, year: null, visitIds: [3, 7], sports: ['Golf'], mode: 'web' };
+    expect(route(buildRoute(state))).toEqual({ ...state, isUnknown: false });
+  });
+
+  test('keeps this kiosk\'s settings overrides in the query string', () => {
+    const search = '?sport=Golf&timing.inactivityTimeout=30&features.search=false';
+    const url = buildRoute({ year: 1925, sports: ['Golf'], overrides: readConfigOverrides(search) });
+
+    expect(url).toBe('/year/1925?sport=Golf&timing.inactivityTimeout=30&features.search=false');
+    expect(readConfigOverrides(new URL(url, 'http://localhost').search))
+      .toEqual({ 'timing.inactivityTimeout': '30', 'features.search': 'false' });
+    expect(route(url)).toMatchObject({ year: 1925, sports: ['Golf'], isUnknown: false });
+  });
+});
+
+describe('buildWebUrl', () => {
+  test('links to the website version of an event or visit list', () => {
+    expect(buildWebUrl({ eventId: 12, sports: ['Golf'], mode: 'kiosk' })).toBe('http://localhost/event/12?mode=web');
+    expect(buildWebUrl({ visitIds: [3, 7] })).toBe('http://localhost/visit/3,7?mode=web');
+  });
+
+  test('leaves out the kiosk\'s settings overrides', () => {
+    expect(buildWebUrl({ eventId: 12, overrides: { 'features.search': 'false' } }))
+      .toBe('http://localhost/event/12?mode=web');
+  });
+});
+
+describe('findNearestEvent', () => {
+  const events = [
+    { id: 1, year: 1887 },
+    { id: 2, year: 1909 },
+    { id: 3, year: 1909 },
+    { id: 4, year: 1934 },
+  ];
+
+  test('finds the first event of the closest year', () => {
+    expect(findNearestEvent(events, 1910).id).toBe(2);
+    expect(findNearestEvent(events, 1800).id).toBe(1);
+    expect(findNearestEvent(events, 2000).id).toBe(4);
+  });
+
+  test('returns null when there are no events', () => {
+    expect(findNearestEvent([], 1925)).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+// src/utils/searchEvents.js
+// Simple full-text search over the loaded events.
+// Every word the visitor types must match somewhere in the event;
+// matches in the year, title or sport rank above matches in the description.
+// Titles, descriptions and sports match in English as well as in the
+// visitor's language, since the on-screen keyboard only types Latin letters.
+
+import { localizeEvent, translateSport } from './i18n';
+
+// How much a match in each field counts towards the ranking
+const FIELD_WEIGHTS = {
+  year: 6,
+  title: 5,
+  sport: 4,
+  description: 1,
+};
+
+// Extra points when a word matches the start of a word in the field
+const WORD_START_BONUS = 2;
+
+/**
+ * Lower-cases text and strips accents so "Pelé" matches "pele".
+ */
+export function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Scores one search term against one field's text.
+ * @returns {number} 0 if the term doesn't appear in the text
+ */
+function scoreTerm(term, text, weight) {
+  const index = text.indexOf(term);
+  if (index === -1) return 0;
+
+  const atWordStart = index === 0 || /[^a-z0-9]/.test(text[index - 1]);
+  return weight + (atWordStart ? WORD_START_BONUS : 0);
+}
+
+/**
+ * searchEvents
+ * @param   {Object[]} events   - Events to search, as loaded (not yet localized)
+ * @param   {string}   query    - What the visitor typed
+ * @param   {string}   language - Code of the language being shown
+ * @param   {number}   limit    - Maximum number of results to return
+ * @returns {Object[]} Matching events in the visitor's language, best match first
+ */
+export function searchEvents(events, query, language, limit = 20) {
+  const terms = normalizeText(query).split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const results = [];
+
+  events.forEach(original => {
+    const event = localizeEvent(original, language);
+    const fields = {
+      year: String(event.year),
+      title: normalizeText(`${event.title} ${original.title}`),
+      sport: normalizeText(`${event.sport} ${translateSport(language, event.sport)}`),
+      description: normalizeText(`${event.description} ${original.description}`),
+    };
+
+    let total = 0;
+    const allTermsMatch = terms.every(term => {
+      // Each term scores for the best field it appears in
+      const best = Math.max(
+        ...Object.entries(fields).map(([field, text]) => scoreTerm(term, text, FIELD_WEIGHTS[field]))
+      );
+      total += best;
+      return best > 0;
+    });
+
+    if (allTermsMatch) results.push({ event, score: total });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.event.year - b.event.year)
+    .slice(0, limit)
+    .map(result => result.event);
+}
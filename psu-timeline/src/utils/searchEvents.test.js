@@ -0,0 +1,92 @@
+// src/utils/searchEvents.test.js
+// Unit tests for the search overlay's ranking and matching.
+
+import { searchEvents, normalizeText } from './searchEvents';
+
+const EVENTS = [
+  {
+    id: 1,
+    year: 1887,
+    sport: 'Football',
+    title: 'Football Program Founded',
+    description: 'Penn State fields its first football team.',
+    translations: { zh: { title: '橄榄球项目成立', description: '宾州州立大学组建第一支橄榄球队。' } },
+  },
+  {
+    id: 2,
+    year: 1909,
+    sport: 'Wrestling',
+    title: 'Wrestling Arrives',
+    description: 'The first home meet draws a football crowd.',
+  },
+  {
+    id: 3,
+    year: 1925,
+    sport: 'Soccer',
+    title: 'Pelé Visits Campus',
+    description: 'A famous guest.',
+    translations: { es: { title: 'Pelé visita el campus' } },
+  },
+  {
+    id: 4,
+    year: 1887,
+    sport: 'Baseball',
+    title: 'Baseball Club Formed',
+    description: 'Students start a club.',
+  },
+];
+
+const ids = results => results.map(event => event.id);
+
+describe('normalizeText', () => {
+  test('lower-cases and strips accents', () => {
+    expect(normalizeText('Pelé FÚTBOL')).toBe('pele futbol');
+    expect(normalizeText(null)).toBe('');
+  });
+});
+
+describe('searchEvents', () => {
+  test('returns nothing for an empty query', () => {
+    expect(searchEvents(EVENTS, '   ', 'en')).toEqual([]);
+  });
+
+  test('ranks title and sport matches above description matches', () => {
+    expect(ids(searchEvents(EVENTS, 'football', 'en'))).toEqual([1, 2]);
+  });
+
+  test('ranks matches at the start of a word higher', () => {
+    const events = [
+      { ...EVENTS[3], id: 10, title: 'Snowball Fight' },
+      { ...EVENTS[3], id: 11, title: 'Ball Hockey' },
+    ];
+    expect(ids(searchEvents(events, 'ball', 'en'))).toEqual([11, 10]);
+  });
+
+  test('needs every word to match, and breaks ties by year', () => {
+    expect(ids(searchEvents(EVENTS, '1887', 'en'))).toEqual([1, 4]);
+    expect(ids(searchEvents(EVENTS, '1887 baseball', 'en'))).toEqual([4]);
+    expect(searchEvents(EVENTS, 'baseball tennis', 'en')).toEqual([]);
+  });
+
+  test('ignores accents in the query and the text', () => {
+    expect(ids(searchEvents(EVENTS, 'pele', 'en'))).toEqual([3]);
+  });
+
+  test('stops at the limit', () => {
+    expect(searchEvents(EVENTS, '1', 'en', 2)).toHaveLength(2);
+  });
+
+  test('matches the English title as well as the translated one', () => {
+    const [result] = searchEvents(EVENTS, 'program founded', 'zh');
+
+    expect(result.id).toBe(1);
+    expect(result.title).toBe('橄榄球项目成立'); // results come back in the visitor's language
+    expect(ids(searchEvents(EVENTS, '橄榄球', 'zh'))).toEqual([1]);
+    expect(ids(searchEvents(EVENTS, 'visita', 'es'))).toEqual([3]);
+  });
+
+  test('matches sports by their English and translated names', () => {
+    expect(ids(searchEvents(EVENTS, 'futbol', 'es'))).toContain(3);
+    expect(ids(searchEvents(EVENTS, 'soccer', 'es'))).toEqual([3]);
+  });
+});
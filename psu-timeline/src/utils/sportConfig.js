@@ -41,9 +41,3 @@ export function getSportConfig(sport) {
   return SPORT_CONFIG[sport] || DEFAULT_SPORT_CONFIG;
 }
 
-// Decade labels for the timeline ruler marks
-// Add or remove decades as your data range changes
-export const DECADE_MARKERS = [
-  1880, 1890, 1900, 1910, 1920, 1930,
-  1940, 1950, 1960, 1970, 1980, 1990, 2000,
-];
@@ -0,0 +1,29 @@
+// src/utils/sportLanes.js
+// Splits the timeline into one lane per sport for the "by sport" view.
+// Lanes are ordered by the sport's earliest event, so reading down the
+// lanes follows the order in which the programs were founded.
+
+/**
+ * groupIntoLanes
+ * @param   {Object[]} events - Events in year order
+ * @returns {Object[]} Lanes: { sport, events, firstYear, lastYear }
+ *          events keep their year order; firstYear is the founding milestone
+ */
+export function groupIntoLanes(events) {
+  const lanes = new Map();
+
+  events.forEach(event => {
+    if (!lanes.has(event.sport)) lanes.set(event.sport, []);
+    lanes.get(event.sport).push(event);
+  });
+
+  return [...lanes.entries()]
+    .map(([sport, laneEvents]) => ({
+      sport,
+      events: laneEvents,
+      firstYear: laneEvents[0].year,
+      lastYear: laneEvents[laneEvents.length - 1].year,
+    }))
+    // Same founding year: keep a stable alphabetical order
+    .sort((a, b) => a.firstYear - b.firstYear || a.sport.localeCompare(b.sport));
+}
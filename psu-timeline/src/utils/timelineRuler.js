@@ -0,0 +1,43 @@
+// src/utils/timelineRuler.js
+// Works out the tick marks and year labels for the timeline ruler
+// from the range of years actually in the data.
+
+// Minimum on-screen spacing that keeps ticks and labels legible
+const MIN_TICK_SPACING = 10;   // px between minor ticks
+const MIN_LABEL_SPACING = 70;  // px between half-decade labels
+
+/**
+ * Years between minor ticks for a given on-screen scale.
+ * The more the track is zoomed in, the finer the ticks.
+ */
+export function getMinorStep(pxPerYear) {
+  if (pxPerYear >= MIN_TICK_SPACING) return 1;
+  if (pxPerYear * 2 >= MIN_TICK_SPACING) return 2;
+  return 5;
+}
+
+/**
+ * getRulerTicks
+ * @param   {number} minYear   - First year on the track
+ * @param   {number} maxYear   - Last year on the track
+ * @param   {number} pxPerYear - Current year-to-pixel scale of the track
+ * @returns {Object[]} One entry per tick inside [minYear, maxYear]:
+ *          { year, isDecade, isLabeled }
+ */
+export function getRulerTicks(minYear, maxYear, pxPerYear) {
+  const step = getMinorStep(pxPerYear);
+  const labelHalfDecades = pxPerYear * 5 >= MIN_LABEL_SPACING;
+  const ticks = [];
+
+  for (let year = Math.ceil(minYear / step) * step; year <= maxYear; year += step) {
+    const isDecade = year % 10 === 0;
+    ticks.push({
+      year,
+      isDecade,
+      // Half-decade labels only appear once there is room for them
+      isLabeled: isDecade || (labelHalfDecades && year % 5 === 0),
+    });
+  }
+
+  return ticks;
+}
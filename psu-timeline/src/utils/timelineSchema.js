@@ -0,0 +1,248 @@
+// src/utils/timelineSchema.js
+// Formal description of an event record in timeline.json, plus the validator
+// that checks hand-edited data on load.
+// Bad records are skipped (and reported) so the good ones still render.
+
+import { SPORT_CONFIG } from './sportConfig';
+import { MEDIA_TYPES } from './eventMedia';
+import { TRANSLATABLE_FIELDS } from './i18n';
+
+// Placeholder image names that the components already treat as "no image"
+export const PLACEHOLDER_IMAGES = ['image.jpg'];
+
+// The range of years an event can have
+export const MIN_YEAR = 1800;
+export const MAX_YEAR = 2100;
+
+/**
+ * Checks the optional "images" list: each entry is either a URL string or
+ * { "src": "...", "caption": "...", "alt": "..." } with only src required.
+ */
+function checkImages(images) {
+  for (let i = 0; i < images.length; i++) {
+    const image = images[i];
+    const label = `entry ${i + 1}`;
+
+    if (typeof image === 'string') continue;
+    if (image === null || typeof image !== 'object' || Array.isArray(image)) {
+      return `${label} should be a URL or { "src": ... } but is ${JSON.stringify(image)}`;
+    }
+    if (typeof image.src !== 'string' || image.src.trim() === '') {
+      return `${label} has no “src” URL`;
+    }
+    for (const key of ['caption', 'alt']) {
+      if (image[key] !== undefined && typeof image[key] !== 'string') {
+        return `${label} “${key}” should be text`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks the optional "media" list of video/audio clips:
+ * { "type": "video" | "audio", "src": "...", plus optional text fields }.
+ */
+function checkMedia(media) {
+  for (let i = 0; i < media.length; i++) {
+    const clip = media[i];
+    const label = `clip ${i + 1}`;
+
+    if (clip === null || typeof clip !== 'object' || Array.isArray(clip)) {
+      return `${label} should be { "type": ..., "src": ... } but is ${JSON.stringify(clip)}`;
+    }
+    if (!MEDIA_TYPES.includes(clip.type)) {
+      return `${label} “type” should be ${MEDIA_TYPES.map(t => `"${t}"`).join(' or ')}`;
+    }
+    if (typeof clip.src !== 'string' || clip.src.trim() === '') {
+      return `${label} has no “src” URL`;
+    }
+    for (const key of ['title', 'poster', 'captions', 'captionsLang', 'transcript']) {
+      if (clip[key] !== undefined && clip[key] !== null && typeof clip[key] !== 'string') {
+        return `${label} “${key}” should be text`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks the optional "translations" block:
+ * { "es": { "title": "...", "description": "..." }, "zh": { ... } }.
+ * Any field left out falls back to the English text.
+ */
+function checkTranslations(translations) {
+  for (const [language, translation] of Object.entries(translations)) {
+    if (translation === null || typeof translation !== 'object' || Array.isArray(translation)) {
+      return `“${language}” should be { "title": ..., "description": ... } but is ${JSON.stringify(translation)}`;
+    }
+    for (const key of Object.keys(translation)) {
+      if (!TRANSLATABLE_FIELDS.includes(key)) {
+        return `“${language}” has “${key}”, only ${TRANSLATABLE_FIELDS.map(f => `“${f}”`).join(' and ')} can be translated`;
+      }
+      if (typeof translation[key] !== 'string') {
+        return `“${language}” “${key}” should be text`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks the optional "related" list: ids of other events a curator
+ * linked by hand. Ids that match no event are reported after all records
+ * have been read (see validateTimeline).
+ */
+function checkRelated(related) {
+  const bad = related.find(id => !Number.isInteger(id));
+  return bad === undefined ? null : `should list event ids (whole numbers) but contains ${JSON.stringify(bad)}`;
+}
+
+// One entry per field in an event record.
+// type:     the JavaScript type the value must have ('array' for lists, 'object' for { ... })
+// required: whether the record is skipped when the field is missing
+// nullable: whether `null` is an accepted value
+// check:    extra validation for structured values, returns a problem or null
+export const EVENT_SCHEMA = {
+  id:           { type: 'number', required: true,  integer: true },
+  year:         { type: 'number', required: true,  integer: true, min: MIN_YEAR, max: MAX_YEAR },
+  sport:        { type: 'string', required: true,  nonEmpty: true },
+  title:        { type: 'string', required: true,  nonEmpty: true },
+  description:  { type: 'string', required: true,  nonEmpty: true },
+  image:        { type: 'string', required: false, nullable: true },
+  images:       { type: 'array',  required: false, check: checkImages },
+  media:        { type: 'array',  required: false, check: checkMedia },
+  translations: { type: 'object', required: false, check: checkTranslations },
+  related:      { type: 'array',  required: false, check: checkRelated },
+};
+
+/**
+ * Checks a single value against its field rule.
+ * @param   {*}      value - The value found in the record
+ * @param   {Object} rule  - The EVENT_SCHEMA entry for this field
+ * @returns {string|null}  - A human-readable problem, or null if the value is fine
+ */
+function checkField(value, rule) {
+  if (value === undefined) {
+    return rule.required ? 'is missing' : null;
+  }
+  if (value === null) {
+    return rule.nullable ? null : 'is null';
+  }
+  const actualType = Array.isArray(value) ? 'array' : typeof value;
+  if (actualType !== rule.type) {
+    return `should be a ${rule.type} but is ${JSON.stringify(value)}`;
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    return `should be a whole number but is ${value}`;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `should be ${rule.min} or later but is ${value}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `should be ${rule.max} or earlier but is ${value}`;
+  }
+  if (rule.nonEmpty && value.trim() === '') {
+    return 'is empty';
+  }
+  if (rule.check) {
+    return rule.check(value);
+  }
+  return null;
+}
+
+/**
+ * Builds a short label a curator can use to find a record in the file,
+ * e.g. "Record #4 (id 4, “Basketball Program Founded”)".
+ */
+function describeRecord(record, index) {
+  const parts = [];
+  if (record && record.id !== undefined) parts.push(`id ${record.id}`);
+  if (record && typeof record.title === 'string' && record.title.trim()) {
+    parts.push(`“${record.title.trim()}”`);
+  }
+  return `Record #${index + 1}${parts.length ? ` (${parts.join(', ')})` : ''}`;
+}
+
+/**
+ * validateTimeline
+ * Validates the parsed contents of timeline.json.
+ *
+ * @param   {*} data - Whatever JSON.parse returned for the file
+ * @returns {{ events: Object[], issues: Object[] }}
+ *          events - the records that passed, in file order
+ *          issues - one entry per problem: { level, record, index, field, message }
+ *                   level is 'error' (record skipped) or 'warning' (record kept),
+ *                   index is the record's position in the file
+ * @throws  {Error} if the file is not a list of records at all
+ */
+export function validateTimeline(data) {
+  if (!Array.isArray(data)) {
+    throw new Error('timeline.json must contain a list of events wrapped in [ ... ].');
+  }
+
+  const events = [];
+  const issues = [];
+  const seenIds = new Map();
+
+  data.forEach((record, index) => {
+    const label = describeRecord(record, index);
+
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      issues.push({ level: 'error', record: label, index, field: null, message: 'is not an event object { ... }' });
+      return;
+    }
+
+    const errors = [];
+    Object.entries(EVENT_SCHEMA).forEach(([field, rule]) => {
+      const problem = checkField(record[field], rule);
+      if (problem) errors.push({ field, message: `“${field}” ${problem}` });
+    });
+
+    // Duplicate ids break React keys and event selection
+    if (Number.isInteger(record.id)) {
+      if (seenIds.has(record.id)) {
+        errors.push({ field: 'id', message: `“id” ${record.id} is already used by record #${seenIds.get(record.id) + 1}` });
+      } else {
+        seenIds.set(record.id, index);
+      }
+    }
+
+    if (errors.length) {
+      errors.forEach(err => issues.push({ level: 'error', record: label, index, ...err }));
+      return;
+    }
+
+    // Problems that don't stop the record from rendering
+    Object.keys(record)
+      .filter(field => !(field in EVENT_SCHEMA))
+      .forEach(field => issues.push({
+        level: 'warning', record: label, index, field,
+        message: `unknown field “${field}” is ignored (check the spelling)`,
+      }));
+
+    if (!SPORT_CONFIG[record.sport]) {
+      issues.push({
+        level: 'warning', record: label, index, field: 'sport',
+        message: `sport “${record.sport}” is not in sportConfig.js, so the gold default is used`,
+      });
+    }
+
+    events.push(record);
+  });
+
+  // Hand-made links to events that aren't in the file (or were skipped)
+  const validIds = new Set(events.map(event => event.id));
+  events.forEach(event => {
+    if (!Array.isArray(event.related)) return;
+    const index = data.indexOf(event);
+    event.related
+      .filter(id => !validIds.has(id))
+      .forEach(id => issues.push({
+        level: 'warning', record: describeRecord(event, index), index, field: 'related',
+        message: `“related” id ${id} doesn't match any event shown, so it is ignored`,
+      }));
+  });
+
+  return { events, issues };
+}
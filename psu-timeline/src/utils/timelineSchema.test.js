@@ -0,0 +1,172 @@
+// src/utils/timelineSchema.test.js
+// Unit tests for the timeline.json validator: good records pass through,
+// malformed ones are skipped with an error, and harmless problems are
+// reported as warnings while the record is kept.
+
+import { validateTimeline } from './timelineSchema';
+
+function makeEvent(fields = {}) {
+  return {
+    id: 1,
+    year: 1887,
+    sport: 'Football',
+    title: 'Football Program Founded',
+    description: 'Penn State fields its first football team.',
+    ...fields,
+  };
+}
+
+// The messages of the issues reported for one field
+function messagesFor(issues, field) {
+  return issues.filter(issue => issue.field === field).map(issue => issue.message);
+}
+
+describe('validateTimeline', () => {
+  test('keeps valid records in file order with no issues', () => {
+    const data = [
+      makeEvent({ id: 2, year: 1892 }),
+      makeEvent({ id: 1, image: null, images: ['a.jpg', { src: 'b.jpg', caption: 'Team photo' }] }),
+    ];
+    const { events, issues } = validateTimeline(data);
+
+    expect(events).toEqual(data);
+    expect(issues).toEqual([]);
+  });
+
+  test('throws when the file is not a list', () => {
+    expect(() => validateTimeline({ events: [] })).toThrow('must contain a list of events');
+    expect(() => validateTimeline(null)).toThrow();
+  });
+
+  test('skips entries that are not objects', () => {
+    const { events, issues } = validateTimeline([makeEvent(), 'oops', null, [1, 2]]);
+
+    expect(events).toHaveLength(1);
+    expect(issues).toHaveLength(3);
+    issues.forEach(issue => {
+      expect(issue.level).toBe('error');
+      expect(issue.message).toBe('is not an event object { ... }');
+    });
+    expect(issues.map(issue => issue.index)).toEqual([1, 2, 3]);
+  });
+
+  test('reports issues in the shape the badge expects', () => {
+    const { issues } = validateTimeline([makeEvent(), makeEvent({ id: 4, title: 'Basketball', year: 'soon' })]);
+
+    expect(issues).toEqual([{
+      level: 'error',
+      record: 'Record #2 (id 4, “Basketball”)',
+      index: 1,
+      field: 'year',
+      message: '“year” should be a number but is "soon"',
+    }]);
+  });
+
+  test('skips records with missing required fields', () => {
+    const { title, ...untitled } = makeEvent();
+    const { events, issues } = validateTimeline([untitled]);
+
+    expect(events).toEqual([]);
+    expect(messagesFor(issues, 'title')).toEqual(['“title” is missing']);
+  });
+
+  test('skips records with wrongly typed or out-of-range values', () => {
+    const { events, issues } = validateTimeline([
+      makeEvent({ id: 1, year: 1887.5 }),
+      makeEvent({ id: 2, year: 1700 }),
+      makeEvent({ id: 3, year: 2200 }),
+      makeEvent({ id: 4, sport: 7 }),
+      makeEvent({ id: 5, description: '   ' }),
+      makeEvent({ id: 6, title: null }),
+    ]);
+
+    expect(events).toEqual([]);
+    expect(messagesFor(issues, 'year')).toEqual([
+      '“year” should be a whole number but is 1887.5',
+      '“year” should be 1800 or later but is 1700',
+      '“year” should be 2100 or earlier but is 2200',
+    ]);
+    expect(messagesFor(issues, 'sport')).toEqual(['“sport” should be a string but is 7']);
+    expect(messagesFor(issues, 'description')).toEqual(['“description” is empty']);
+    expect(messagesFor(issues, 'title')).toEqual(['“title” is null']);
+  });
+
+  test('skips a record whose id is already used', () => {
+    const { events, issues } = validateTimeline([makeEvent({ title: 'First' }), makeEvent({ title: 'Second' })]);
+
+    expect(events.map(event => event.title)).toEqual(['First']);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      level: 'error',
+      index: 1,
+      field: 'id',
+      message: '“id” 1 is already used by record #1',
+    });
+  });
+
+  test('reports every problem of a skipped record', () => {
+    const { issues } = validateTimeline([{ id: 'x', year: 1900 }]);
+
+    expect(issues.map(issue => issue.field)).toEqual(['id', 'sport', 'title', 'description']);
+    expect(issues.every(issue => issue.level === 'error')).toBe(true);
+  });
+
+  test('checks the entries of images, media and translations', () => {
+    const { events, issues } = validateTimeline([
+      makeEvent({ id: 1, images: ['a.jpg', { caption: 'No source' }] }),
+      makeEvent({ id: 2, images: [42] }),
+      makeEvent({ id: 3, media: [{ type: 'film', src: 'a.mp4' }] }),
+      makeEvent({ id: 4, media: [{ type: 'video', src: 'a.mp4', captions: 5 }] }),
+      makeEvent({ id: 5, translations: { es: { subtitle: 'Hola' } } }),
+      makeEvent({ id: 6, translations: { es: 'Hola' } }),
+      makeEvent({ id: 7, related: [2, 'three'] }),
+    ]);
+
+    expect(events).toEqual([]);
+    expect(messagesFor(issues, 'images')).toEqual([
+      '“images” entry 2 has no “src” URL',
+      '“images” entry 1 should be a URL or { "src": ... } but is 42',
+    ]);
+    expect(messagesFor(issues, 'media')).toEqual([
+      '“media” clip 1 “type” should be "video" or "audio"',
+      '“media” clip 1 “captions” should be text',
+    ]);
+    expect(messagesFor(issues, 'translations')).toEqual([
+      '“translations” “es” has “subtitle”, only “title” and “description” can be translated',
+      '“translations” “es” should be { "title": ..., "description": ... } but is "Hola"',
+    ]);
+    expect(messagesFor(issues, 'related')).toEqual([
+      '“related” should list event ids (whole numbers) but contains "three"',
+    ]);
+  });
+
+  test('keeps records with unknown fields or sports, with a warning', () => {
+    const { events, issues } = validateTimeline([makeEvent({ sport: 'Quidditch', colour: 'blue' })]);
+
+    expect(events).toHaveLength(1);
+    expect(issues.map(issue => [issue.level, issue.field])).toEqual([
+      ['warning', 'colour'],
+      ['warning', 'sport'],
+    ]);
+    expect(messagesFor(issues, 'sport')).toEqual([
+      'sport “Quidditch” is not in sportConfig.js, so the gold default is used',
+    ]);
+  });
+
+  test('warns about related ids that match no event shown', () => {
+    const { events, issues } = validateTimeline([
+      makeEvent({ id: 1, related: [2, 3] }),
+      makeEvent({ id: 2 }),
+      makeEvent({ id: 3, year: 'unknown' }), // skipped, so it can't be linked to
+    ]);
+
+    expect(events.map(event => event.id)).toEqual([1, 2]);
+    expect(issues.filter(issue => issue.level === 'warning')).toEqual([{
+      level: 'warning',
+      record: 'Record #1 (id 1, “Football Program Founded”)',
+      index: 0,
+      field: 'related',
+      message: '“related” id 3 doesn\'t match any event shown, so it is ignored',
+    }]);
+  });
+});
@@ -0,0 +1,183 @@
+// src/utils/tourSchema.js
+// Themed tours in tours.json, plus the validator that checks them on load.
+// A tour is a named, ordered list of timeline events the live tour steps
+// through, e.g.
+//   { "name": "Wrestling Dynasty",
+//     "stops": [ { "event": 5, "narration": "...", "dwell": 8 }, 19, 26 ] }
+// A stop is an event id, or { "event": id } with optional narration text
+// and dwell (seconds on screen). Like events, tours and stops can carry a
+// "translations" block for the name and narration. Bad tours and stops are
+// skipped (and reported) so the rest still play.
+
+// Allowed range for a stop's "dwell", in seconds
+export const MIN_DWELL = 2;
+export const MAX_DWELL = 120;
+
+const TOUR_FIELDS = ['name', 'translations', 'stops'];
+const STOP_FIELDS = ['event', 'narration', 'dwell', 'translations'];
+
+/**
+ * Builds a short label a curator can use to find a tour in the file,
+ * e.g. "Tour #2 (“Wrestling Dynasty”)".
+ */
+function describeTour(tour, index) {
+  const name = tour && typeof tour.name === 'string' && tour.name.trim();
+  return `Tour #${index + 1}${name ? ` (“${name}”)` : ''}`;
+}
+
+/**
+ * Checks an optional "translations" block, e.g. { "es": { "name": "..." } },
+ * in which only the given fields can be translated.
+ * @param   {*}        translations - The block, or undefined when left out
+ * @param   {string[]} fields       - Fields that can be translated
+ * @returns {{ translations: Object, problem: string|null }}
+ *          translations is {} when the block is left out or has a problem
+ */
+function readTranslations(translations, fields) {
+  if (translations === undefined) return { translations: {}, problem: null };
+  const fail = (problem) => ({ translations: {}, problem });
+  const shape = `{ ${fields.map(field => `"${field}": ...`).join(', ')} }`;
+
+  if (translations === null || typeof translations !== 'object' || Array.isArray(translations)) {
+    return fail(`“translations” should be { "es": ${shape} } but is ${JSON.stringify(translations)}`);
+  }
+  const read = {};
+  for (const [language, translation] of Object.entries(translations)) {
+    if (translation === null || typeof translation !== 'object' || Array.isArray(translation)) {
+      return fail(`“translations” “${language}” should be ${shape} but is ${JSON.stringify(translation)}`);
+    }
+    read[language] = {};
+    for (const [field, text] of Object.entries(translation)) {
+      if (!fields.includes(field)) {
+        return fail(`“translations” “${language}” has “${field}”, only ${fields.map(f => `“${f}”`).join(' and ')} can be translated`);
+      }
+      if (typeof text !== 'string' || text.trim() === '') {
+        return fail(`“translations” “${language}” “${field}” should be text`);
+      }
+      read[language][field] = text.trim();
+    }
+  }
+  return { translations: read, problem: null };
+}
+
+/**
+ * Checks one stop and turns it into { eventId, narration, translations, dwell }.
+ * @param   {*}       stop     - The entry from the tour's "stops" list
+ * @param   {Set}     eventIds - Ids of the events shown on the timeline
+ * @returns {{ stop: Object|null, problem: string|null, warning: string|null }}
+ *          problem leaves the stop out; warning keeps it (untranslated)
+ */
+function readStop(stop, eventIds) {
+  const entry = typeof stop === 'number' ? { event: stop } : stop;
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { stop: null, problem: `should be an event id or { "event": ... } but is ${JSON.stringify(stop)}` };
+  }
+  if (!Number.isInteger(entry.event)) {
+    return { stop: null, problem: `“event” should be an event id (a whole number) but is ${JSON.stringify(entry.event)}` };
+  }
+  if (!eventIds.has(entry.event)) {
+    return { stop: null, problem: `event ${entry.event} doesn't match any event shown` };
+  }
+  if (entry.narration !== undefined && (typeof entry.narration !== 'string' || entry.narration.trim() === '')) {
+    return { stop: null, problem: '“narration” should be text' };
+  }
+  if (entry.dwell !== undefined &&
+      (typeof entry.dwell !== 'number' || entry.dwell < MIN_DWELL || entry.dwell > MAX_DWELL)) {
+    return { stop: null, problem: `“dwell” should be ${MIN_DWELL}–${MAX_DWELL} seconds but is ${JSON.stringify(entry.dwell)}` };
+  }
+  const { translations, problem } = readTranslations(entry.translations, ['narration']);
+  return {
+    stop: {
+      eventId: entry.event,
+      narration: entry.narration ? entry.narration.trim() : null,
+      translations,
+      dwell: entry.dwell !== undefined ? entry.dwell * 1000 : null, // ms; null = the normal tour pace
+    },
+    problem: null,
+    warning: problem,
+  };
+}
+
+/**
+ * validateTours
+ * Validates the parsed contents of tours.json against the loaded events.
+ *
+ * @param   {*}        data   - Whatever JSON.parse returned for the file
+ * @param   {Object[]} events - The events that passed validateTimeline
+ * @returns {{ tours: Object[], issues: Object[] }}
+ *          tours  - { name, translations, stops: [{ eventId, narration, translations, dwell }] },
+ *                   in file order (see localizeTour for the visitor's language)
+ *          issues - same shape as validateTimeline's: { level, record, index, field, message }
+ *                   level is 'error' (tour skipped) or 'warning' (tour kept)
+ * @throws  {Error} if the file is not a list of tours at all
+ */
+export function validateTours(data, events) {
+  if (!Array.isArray(data)) {
+    throw new Error('tours.json must contain a list of tours wrapped in [ ... ].');
+  }
+
+  const eventIds = new Set(events.map(event => event.id));
+  const tours = [];
+  const issues = [];
+  const seenNames = new Map();
+
+  data.forEach((tour, index) => {
+    const label = describeTour(tour, index);
+    const report = (level, field, message) => issues.push({ level, record: label, index, field, message });
+
+    if (tour === null || typeof tour !== 'object' || Array.isArray(tour)) {
+      report('error', null, 'is not a tour object { ... }');
+      return;
+    }
+    if (typeof tour.name !== 'string' || tour.name.trim() === '') {
+      report('error', 'name', '“name” is missing');
+      return;
+    }
+    // The name is what the Header shows and how a tour is picked
+    const name = tour.name.trim();
+    if (seenNames.has(name)) {
+      report('error', 'name', `“name” is already used by tour #${seenNames.get(name) + 1}`);
+      return;
+    }
+    seenNames.set(name, index);
+    if (!Array.isArray(tour.stops)) {
+      report('error', 'stops', '“stops” should be a list of event ids [ ... ]');
+      return;
+    }
+
+    const stops = [];
+    tour.stops.forEach((entry, stopIndex) => {
+      const { stop, problem, warning } = readStop(entry, eventIds);
+      if (!stop) {
+        report('warning', 'stops', `stop ${stopIndex + 1} ${problem}, so it is left out`);
+        return;
+      }
+      if (warning) {
+        report('warning', 'stops', `stop ${stopIndex + 1} ${warning}, so its narration is shown as written`);
+      }
+      stops.push(stop);
+      if (typeof entry !== 'object') return;
+      Object.keys(entry)
+        .filter(field => !STOP_FIELDS.includes(field))
+        .forEach(field => report(
+          'warning', 'stops',
+          `stop ${stopIndex + 1} has unknown field “${field}”, which is ignored (check the spelling)`,
+        ));
+    });
+    if (stops.length === 0) {
+      report('error', 'stops', '“stops” has no event that is shown on the timeline');
+      return;
+    }
+
+    const { translations, problem } = readTranslations(tour.translations, ['name']);
+    if (problem) report('warning', 'translations', `${problem}, so the name is shown as written`);
+
+    Object.keys(tour)
+      .filter(field => !TOUR_FIELDS.includes(field))
+      .forEach(field => report('warning', field, `unknown field “${field}” is ignored (check the spelling)`));
+
+    tours.push({ name, translations, stops });
+  });
+
+  return { tours, issues };
+}
@@ -0,0 +1,135 @@
+// src/utils/tourSchema.test.js
+// Unit tests for the tours.json validator: stops, dwell times and
+// translations, and how bad tours and stops are reported.
+
+import { validateTours, MIN_DWELL, MAX_DWELL } from './tourSchema';
+import { validateTimeline } from './timelineSchema';
+import shippedTimeline from '../../public/data/timeline.json';
+import shippedTours from '../../public/data/tours.json';
+
+const EVENTS = [1, 2, 3].map(id => ({ id, year: 1900 + id, sport: 'Football', title: `Event ${id}` }));
+
+function makeTour(fields = {}) {
+  return { name: 'Gridiron Greats', stops: [1, 2], ...fields };
+}
+
+// The messages of the issues reported, as [level, message]
+function reported(issues) {
+  return issues.map(issue => [issue.level, issue.message]);
+}
+
+describe('validateTours', () => {
+  test('reads stops given as ids or as { "event": ... }', () => {
+    const { tours, issues } = validateTours([makeTour({
+      stops: [1, { event: 2, narration: '  The first home game.  ', dwell: 8 }],
+    })], EVENTS);
+
+    expect(issues).toEqual([]);
+    expect(tours).toEqual([{
+      name: 'Gridiron Greats',
+      translations: {},
+      stops: [
+        { eventId: 1, narration: null, translations: {}, dwell: null },
+        { eventId: 2, narration: 'The first home game.', translations: {}, dwell: 8000 },
+      ],
+    }]);
+  });
+
+  test('accepts the tours.json that ships with the exhibit', () => {
+    const { events } = validateTimeline(shippedTimeline);
+    const { tours, issues } = validateTours(shippedTours, events);
+
+    expect(issues).toEqual([]);
+    expect(tours).toHaveLength(shippedTours.length);
+  });
+
+  test('throws when the file is not a list', () => {
+    expect(() => validateTours({ tours: [] }, EVENTS)).toThrow('must contain a list of tours');
+  });
+
+  test('leaves out bad stops with a warning and keeps the tour', () => {
+    const { tours, issues } = validateTours([makeTour({
+      stops: [1, 'two', { event: 2.5 }, 42, { event: 2, narration: '' }, { event: 3, dwell: '8' }, 3],
+    })], EVENTS);
+
+    expect(tours[0].stops.map(stop => stop.eventId)).toEqual([1, 3]);
+    expect(reported(issues)).toEqual([
+      ['warning', 'stop 2 should be an event id or { "event": ... } but is "two", so it is left out'],
+      ['warning', 'stop 3 “event” should be an event id (a whole number) but is 2.5, so it is left out'],
+      ['warning', 'stop 4 event 42 doesn\'t match any event shown, so it is left out'],
+      ['warning', 'stop 5 “narration” should be text, so it is left out'],
+      ['warning', 'stop 6 “dwell” should be 2–120 seconds but is "8", so it is left out'],
+    ]);
+    expect(issues[0]).toMatchObject({ record: 'Tour #1 (“Gridiron Greats”)', index: 0, field: 'stops' });
+  });
+
+  test('keeps dwell times only within the allowed range', () => {
+    const stops = [MIN_DWELL - 1, MIN_DWELL, MAX_DWELL, MAX_DWELL + 1].map(dwell => ({ event: 1, dwell }));
+    const { tours, issues } = validateTours([makeTour({ stops })], EVENTS);
+
+    expect(tours[0].stops.map(stop => stop.dwell)).toEqual([MIN_DWELL * 1000, MAX_DWELL * 1000]);
+    expect(issues.map(issue => issue.message)).toEqual([
+      `stop 1 “dwell” should be 2–120 seconds but is ${MIN_DWELL - 1}, so it is left out`,
+      `stop 4 “dwell” should be 2–120 seconds but is ${MAX_DWELL + 1}, so it is left out`,
+    ]);
+  });
+
+  test('skips tours without a name, with a repeated name or without usable stops', () => {
+    const { tours, issues } = validateTours([
+      makeTour(),
+      makeTour({ name: '  ' }),
+      makeTour({ name: 'Gridiron Greats ' }),
+      makeTour({ name: 'Lost', stops: [41, 42] }),
+      makeTour({ name: 'Flat', stops: 1 }),
+      null,
+    ], EVENTS);
+
+    expect(tours.map(tour => tour.name)).toEqual(['Gridiron Greats']);
+    expect(issues.filter(issue => issue.level === 'error').map(issue => [issue.index, issue.message])).toEqual([
+      [1, '“name” is missing'],
+      [2, '“name” is already used by tour #1'],
+      [3, '“stops” has no event that is shown on the timeline'],
+      [4, '“stops” should be a list of event ids [ ... ]'],
+      [5, 'is not a tour object { ... }'],
+    ]);
+  });
+
+  test('reads translations of the name and of each narration', () => {
+    const { tours, issues } = validateTours([makeTour({
+      translations: { es: { name: ' Grandes del fútbol ' }, zh: { name: '橄榄球名将' } },
+      stops: [{ event: 1, narration: 'Kickoff.', translations: { es: { narration: 'Saque inicial.' } } }],
+    })], EVENTS);
+
+    expect(issues).toEqual([]);
+    expect(tours[0].translations).toEqual({ es: { name: 'Grandes del fútbol' }, zh: { name: '橄榄球名将' } });
+    expect(tours[0].stops[0].translations).toEqual({ es: { narration: 'Saque inicial.' } });
+  });
+
+  test('drops a bad translations block with a warning and keeps the English', () => {
+    const { tours, issues } = validateTours([makeTour({
+      translations: { es: { title: 'Grandes' } },
+      stops: [{ event: 1, narration: 'Kickoff.', translations: { es: 'Saque' } }, { event: 2, translations: [] }],
+    })], EVENTS);
+
+    expect(tours[0].translations).toEqual({});
+    expect(tours[0].stops.map(stop => stop.translations)).toEqual([{}, {}]);
+    expect(reported(issues)).toEqual([
+      ['warning', 'stop 1 “translations” “es” should be { "narration": ... } but is "Saque", so its narration is shown as written'],
+      ['warning', 'stop 2 “translations” should be { "es": { "narration": ... } } but is [], so its narration is shown as written'],
+      ['warning', '“translations” “es” has “title”, only “name” can be translated, so the name is shown as written'],
+    ]);
+  });
+
+  test('warns about unknown fields on tours and stops', () => {
+    const { tours, issues } = validateTours([makeTour({
+      colour: 'blue',
+      stops: [{ event: 1, naration: 'Typo.' }],
+    })], EVENTS);
+
+    expect(tours).toHaveLength(1);
+    expect(reported(issues)).toEqual([
+      ['warning', 'stop 1 has unknown field “naration”, which is ignored (check the spelling)'],
+      ['warning', 'unknown field “colour” is ignored (check the spelling)'],
+    ]);
+  });
+});
@@ -0,0 +1,327 @@
+// src/utils/uiStrings.js
+// Every piece of interface text, per language.
+// English is the reference: a key missing from another language falls back
+// to English. Placeholders like {query} are filled in by translate().
+
+export const UI_STRINGS = {
+  en: {
+    // Header
+    subtitle: 'Athletic Heritage Timeline',
+    liveTour: 'LIVE TOUR',
+    interactive: 'INTERACTIVE',
+    search: 'SEARCH',
+    myVisitButton: 'MY VISIT · {count}',
+    tours: 'TOURS',
+    chooseTour: 'Themed tours',
+    tourStops: '{count} stops',
+    tourPosition: '{current} / {total}',
+    endTour: 'End tour',
+    touchToExplore: 'Touch anywhere to explore',
+    language: 'Language',
+    largeText: 'LARGE TEXT',
+
+    // EventCard
+    hintLooping: '← Touch the timeline below to explore →',
+    hintInteractive: '← Use arrow buttons to navigate →',
+    previousEvent: 'Previous event',
+    nextEvent: 'Next event',
+
+    // LiveAnnouncer (read out by screen readers)
+    nowShowing: 'Now showing {year}: {title}',
+    tourStopOf: '{tour}, stop {current} of {total}.',
+
+    // Timeline
+    timelineView: 'Timeline layout',
+    viewCombined: 'ONE LINE',
+    viewLanes: 'BY SPORT',
+    timelineLabel: 'Timeline of events',
+    eventDot: '{year}, {sport}: {title}',
+    clusterLabel: '{count} events in {year}',
+
+    // DetailModal
+    sport: 'SPORT',
+    year: 'YEAR',
+    close: 'Close',
+    closeHint: 'Press ESC or click outside to close',
+    relatedMoments: 'RELATED MOMENTS',
+    relatedLinked: 'Curator’s pick',
+    relatedSport: 'Same sport',
+    relatedDecade: 'Same decade',
+
+    // ImageGallery / Lightbox
+    showPhoto: 'Show photo {number}',
+    openPhoto: 'Open photo {number} of {count} full screen',
+    photoViewer: 'Photo viewer',
+    closePhoto: 'Close photo',
+    previousPhoto: 'Previous photo',
+    nextPhoto: 'Next photo',
+
+    // TakeHome
+    takeHome: 'TAKE IT HOME',
+    takeHomeHint: 'Point your phone camera at a code to read the story later.',
+    thisMoment: 'THIS MOMENT',
+    scanMoment: 'QR code for this moment on your phone',
+    addToVisit: '＋ ADD TO MY VISIT',
+    inVisit: '✓ IN MY VISIT',
+    myVisitCount: 'MY VISIT · {count}',
+    scanVisit: 'Scan to take all {count} moments home',
+
+    // VisitOverlay
+    myVisit: 'MY VISIT',
+    visitEmpty: 'Nothing saved yet. Open an event and tap “Add to my visit”.',
+    removeFromVisit: 'Remove “{title}”',
+    closeVisit: 'Close my visit',
+
+    // MediaPlayer
+    play: 'Play',
+    pause: 'Pause',
+    mute: 'Mute',
+    unmute: 'Unmute',
+    seek: 'Seek',
+    captions: 'CC',
+    transcript: 'TEXT',
+
+    // SportFilter
+    allSports: 'ALL SPORTS',
+
+    // SearchOverlay
+    searchPlaceholder: 'Search by sport, year, or name…',
+    noResults: 'No moments match “{query}”',
+    closeSearch: 'Close search',
+    searchDialog: 'Search the timeline',
+
+    // OnScreenKeyboard
+    keyClear: 'CLEAR',
+    keySpace: 'SPACE',
+    keyBackspace: 'Backspace',
+
+    // OfflineIndicator
+    offline: 'OFFLINE · SAVED CONTENT',
+
+    // NotFoundNotice
+    notFoundTitle: 'We couldn’t find that moment',
+    notFoundMessage: 'The link may be out of date, or the event has moved. Everything else is still here.',
+    exploreTimeline: 'EXPLORE THE TIMELINE',
+  },
+
+  es: {
+    subtitle: 'Cronología del patrimonio deportivo',
+    liveTour: 'RECORRIDO EN VIVO',
+    interactive: 'INTERACTIVO',
+    search: 'BUSCAR',
+    myVisitButton: 'MI VISITA · {count}',
+    tours: 'RECORRIDOS',
+    chooseTour: 'Recorridos temáticos',
+    tourStops: '{count} paradas',
+    endTour: 'Terminar recorrido',
+    touchToExplore: 'Toca en cualquier lugar para explorar',
+    language: 'Idioma',
+    largeText: 'LETRA GRANDE',
+
+    hintLooping: '← Toca la línea de tiempo para explorar →',
+    hintInteractive: '← Usa las flechas para navegar →',
+    previousEvent: 'Evento anterior',
+    nextEvent: 'Evento siguiente',
+
+    nowShowing: 'Ahora: {year}, {title}',
+    tourStopOf: '{tour}, parada {current} de {total}.',
+
+    timelineView: 'Vista de la línea de tiempo',
+    viewCombined: 'UNA LÍNEA',
+    viewLanes: 'POR DEPORTE',
+    timelineLabel: 'Línea de tiempo de eventos',
+    clusterLabel: '{count} eventos en {year}',
+
+    sport: 'DEPORTE',
+    year: 'AÑO',
+    close: 'Cerrar',
+    closeHint: 'Pulsa ESC o toca fuera para cerrar',
+    relatedMoments: 'MOMENTOS RELACIONADOS',
+    relatedLinked: 'Selección del museo',
+    relatedSport: 'Mismo deporte',
+    relatedDecade: 'Misma década',
+
+    showPhoto: 'Mostrar foto {number}',
+    openPhoto: 'Abrir la foto {number} de {count} en pantalla completa',
+    photoViewer: 'Visor de fotos',
+    closePhoto: 'Cerrar foto',
+    previousPhoto: 'Foto anterior',
+    nextPhoto: 'Foto siguiente',
+
+    takeHome: 'LLÉVATELO A CASA',
+    takeHomeHint: 'Apunta la cámara de tu teléfono a un código para leer la historia más tarde.',
+    thisMoment: 'ESTE MOMENTO',
+    scanMoment: 'Código QR para ver este momento en tu teléfono',
+    addToVisit: '＋ AÑADIR A MI VISITA',
+    inVisit: '✓ EN MI VISITA',
+    myVisitCount: 'MI VISITA · {count}',
+    scanVisit: 'Escanea para llevarte los {count} momentos',
+
+    myVisit: 'MI VISITA',
+    visitEmpty: 'Aún no has guardado nada. Abre un evento y toca “Añadir a mi visita”.',
+    removeFromVisit: 'Quitar “{title}”',
+    closeVisit: 'Cerrar mi visita',
+
+    play: 'Reproducir',
+    pause: 'Pausa',
+    mute: 'Silenciar',
+    unmute: 'Activar sonido',
+    seek: 'Posición',
+    captions: 'CC',
+    transcript: 'TEXTO',
+
+    allSports: 'TODOS LOS DEPORTES',
+
+    searchPlaceholder: 'Busca por deporte, año o nombre…',
+    noResults: 'Ningún momento coincide con “{query}”',
+    closeSearch: 'Cerrar búsqueda',
+    searchDialog: 'Buscar en la línea de tiempo',
+
+    keyClear: 'BORRAR',
+    keySpace: 'ESPACIO',
+    keyBackspace: 'Retroceso',
+
+    offline: 'SIN CONEXIÓN · CONTENIDO GUARDADO',
+
+    notFoundTitle: 'No encontramos ese momento',
+    notFoundMessage: 'Es posible que el enlace esté desactualizado o que el evento se haya movido. Todo lo demás sigue aquí.',
+    exploreTimeline: 'EXPLORAR LA LÍNEA DE TIEMPO',
+  },
+
+  zh: {
+    subtitle: '体育传承时间轴',
+    liveTour: '自动导览',
+    interactive: '互动模式',
+    search: '搜索',
+    myVisitButton: '我的参观 · {count}',
+    tours: '主题导览',
+    chooseTour: '主题导览',
+    tourStops: '{count} 站',
+    endTour: '结束导览',
+    touchToExplore: '触摸屏幕开始探索',
+    language: '语言',
+    largeText: '大字模式',
+
+    hintLooping: '← 触摸下方时间轴开始探索 →',
+    hintInteractive: '← 使用箭头按钮浏览 →',
+    previousEvent: '上一个事件',
+    nextEvent: '下一个事件',
+
+    nowShowing: '当前：{year}年，{title}',
+    tourStopOf: '{tour}，第 {current} 站，共 {total} 站。',
+
+    timelineView: '时间轴布局',
+    viewCombined: '单线',
+    viewLanes: '按项目',
+    timelineLabel: '事件时间轴',
+    eventDot: '{year}年，{sport}：{title}',
+    clusterLabel: '{year}年的 {count} 个事件',
+
+    sport: '运动项目',
+    year: '年份',
+    close: '关闭',
+    closeHint: '按 ESC 或点击外部关闭',
+    relatedMoments: '相关时刻',
+    relatedLinked: '策展人推荐',
+    relatedSport: '同一项目',
+    relatedDecade: '同一年代',
+
+    showPhoto: '显示第 {number} 张照片',
+    openPhoto: '全屏查看第 {number} 张照片（共 {count} 张）',
+    photoViewer: '照片查看器',
+    closePhoto: '关闭照片',
+    previousPhoto: '上一张照片',
+    nextPhoto: '下一张照片',
+
+    takeHome: '带回家',
+    takeHomeHint: '用手机相机扫描二维码，稍后继续阅读。',
+    thisMoment: '本条内容',
+    scanMoment: '在手机上查看本条内容的二维码',
+    addToVisit: '＋ 加入我的参观',
+    inVisit: '✓ 已加入',
+    myVisitCount: '我的参观 · {count}',
+    scanVisit: '扫码带走全部 {count} 条内容',
+
+    myVisit: '我的参观',
+    visitEmpty: '还没有保存内容。打开一个事件并点击“加入我的参观”。',
+    removeFromVisit: '移除“{title}”',
+    closeVisit: '关闭我的参观',
+
+    play: '播放',
+    pause: '暂停',
+    mute: '静音',
+    unmute: '取消静音',
+    seek: '播放进度',
+    captions: '字幕',
+    transcript: '文字稿',
+
+    allSports: '全部项目',
+
+    searchPlaceholder: '用英文输入项目、年份或名称搜索…', // the on-screen keyboard only types Latin letters
+    noResults: '没有与“{query}”匹配的内容',
+    closeSearch: '关闭搜索',
+    searchDialog: '搜索时间轴',
+
+    keyClear: '清空',
+    keySpace: '空格',
+    keyBackspace: '退格',
+
+    offline: '离线 · 已保存内容',
+
+    notFoundTitle: '未找到该时刻',
+    notFoundMessage: '链接可能已过期，或该事件已被移动。其他内容仍可浏览。',
+    exploreTimeline: '浏览时间轴',
+  },
+};
+
+// Sport names as shown to visitors. Keys match SPORT_CONFIG in sportConfig.js;
+// a sport missing here is shown as written in timeline.json.
+export const SPORT_NAMES = {
+  es: {
+    'Baseball':           'Béisbol',
+    'Football':           'Fútbol americano',
+    'Track & Field':      'Atletismo',
+    'Basketball':         'Baloncesto',
+    'Wrestling':          'Lucha',
+    'Soccer':             'Fútbol',
+    'Tennis':             'Tenis',
+    'Lacrosse':           'Lacrosse',
+    'Boxing':             'Boxeo',
+    'Golf':               'Golf',
+    'Rifle':              'Tiro con rifle',
+    'Fencing':            'Esgrima',
+    'Gymnastics':         'Gimnasia',
+    'Cross-Country':      'Campo a través',
+    'Swim & Diving':      'Natación y saltos',
+    'Swim//Diving':       'Natación y saltos',
+    'Softball':           'Sóftbol',
+    'Hockey':             'Hockey sobre hierba',
+    'Volleyball':         'Voleibol',
+    "Women's Basketball": 'Baloncesto femenino',
+    "Womens Basketball":  'Baloncesto femenino',
+  },
+
+  zh: {
+    'Baseball':           '棒球',
+    'Football':           '美式橄榄球',
+    'Track & Field':      '田径',
+    'Basketball':         '篮球',
+    'Wrestling':          '摔跤',
+    'Soccer':             '足球',
+    'Tennis':             '网球',
+    'Lacrosse':           '长曲棍球',
+    'Boxing':             '拳击',
+    'Golf':               '高尔夫',
+    'Rifle':              '步枪射击',
+    'Fencing':            '击剑',
+    'Gymnastics':         '体操',
+    'Cross-Country':      '越野跑',
+    'Swim & Diving':      '游泳与跳水',
+    'Swim//Diving':       '游泳与跳水',
+    'Softball':           '垒球',
+    'Hockey':             '曲棍球',
+    'Volleyball':         '排球',
+    "Women's Basketball": '女子篮球',
+    "Womens Basketball":  '女子篮球',
+  },
+};